@@ -9,6 +9,7 @@
  * @requires ui/panels/*
  * @requires ui/components/bag-list
  * @requires store/history
+ * @requires store/persistence
  * @requires domain/models/registry
  * @requires infra/file-loader
  * @requires ui/layout
@@ -17,12 +18,16 @@
 import { initImportPanel } from './ui/panels/import.js';
 import { initOperationsPanel } from './ui/panels/operations.js';
 import { initExportPanel } from './ui/panels/export.js';
+import { initJobsPanel } from './ui/panels/jobs.js';
+import { initApplyAllPanel } from './ui/panels/apply-all.js';
+import { initLookupPanel } from './ui/panels/lookup.js';
 import { initTabs } from './ui/layout.js';
 import { renderBags, startProgressPoller, applyChoices } from './ui/components/bag-list.js';
-import { initHistory, undo, redo, setHistoryUpdateCallback } from './store/history.js';
+import { initHistory, resetHistory, undo, redo, setHistoryUpdateCallback } from './store/history.js';
+import { restoreWorkspace, startAutoSave, startFresh, setSaveStatusCallback } from './store/persistence.js';
 import { REG } from './domain/models/registry.js';
 import { listJsonFiles } from './infra/file-loader.js';
-import { el, log } from './ui/dom.js';
+import { el, log, appendOpLog } from './ui/dom.js';
 
 /* Global Error Handler */
 window.addEventListener('error', e => {
@@ -36,28 +41,65 @@ document.addEventListener('DOMContentLoaded', async () => {
     log('App initializing...');
 
     try {
-        // Init state
-        REG.restore([]); // Clear or load default?
-        // Actually we likely want to begin empty or load defaults.
-        // Original app.js called REG.add(Bag('Default Bag', ...)) if empty.
+        // Init state: restore the auto-saved workspace (`?fresh` skips and clears it).
+        let restored = null;
+        try {
+            if (new URLSearchParams(location.search).has('fresh')) {
+                await startFresh();
+            } else {
+                restored = await restoreWorkspace();
+            }
+        } catch (e) {
+            log('Restore failed: ' + e.message);
+            console.error(e);
+        }
+        if (!restored) REG.restore([]);
 
         // Init UI Panels
         initImportPanel();
         initOperationsPanel();
         initExportPanel();
+        initJobsPanel();
+        initApplyAllPanel();
+        initLookupPanel();
 
         // Init History
-        initHistory();
         setHistoryUpdateCallback(({ canUndo, canRedo }) => {
             const btnUndo = el('#btnUndo');
             const btnRedo = el('#btnRedo');
             if (btnUndo) btnUndo.disabled = !canUndo;
             if (btnRedo) btnRedo.disabled = !canRedo;
         });
+        initHistory();
+        if (restored) {
+            appendOpLog(`↺ 復元ポイント: ${restored.savedAt || '?'} (${restored.bags} bags)`);
+        }
 
         el('#btnUndo')?.addEventListener('click', undo);
         el('#btnRedo')?.addEventListener('click', redo);
 
+        // Init Persistence
+        setSaveStatusCallback(({ state, savedAt, error }) => {
+            const statusEl = el('#saveStatus');
+            if (!statusEl) return;
+            if (state === 'saving') statusEl.textContent = '保存中…';
+            else if (state === 'saved') statusEl.textContent = `保存済み ${savedAt}`;
+            else if (state === 'cleared') statusEl.textContent = '保存データなし';
+            else if (state === 'error') statusEl.textContent = `保存失敗: ${error}`;
+        });
+        startAutoSave();
+
+        el('#btnStartFresh')?.addEventListener('click', async () => {
+            if (!window.confirm('保存済みのワークスペースを破棄して新しく始めますか？')) return;
+            try {
+                await startFresh();
+                resetHistory();
+                appendOpLog('∅ Start fresh (workspace cleared)');
+            } catch (e) {
+                log('Start fresh failed: ' + e.message);
+            }
+        });
+
         // Init Bag List & Poller
         renderBags();
         startProgressPoller();
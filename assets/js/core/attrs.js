@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Per-item attribute records.
+ * @summary Builds, merges, formats and filters item attributes (POS, ids, glosses, readings).
+ * @description
+ * A record holds the attributes of one item as arrays of distinct strings,
+ * e.g. `{id: ['omw-ja-00004296-a'], pos: ['a'], glosses: ['死期に起こる']}`.
+ * The same word can come from several entries (a lemma of two synsets), so
+ * records merge by uniting each array. Records are shared between bags and
+ * treated as immutable: merging returns a new record. Besides the imported
+ * keys, operations can record `hops` (synonym expansion distance) and
+ * `cluster` (synonym cluster id, see core/wordnet).
+ *
+ * @module core/attrs
+ * @requires core/utils
+ * @requires core/text
+ * @exports ATTR_KEYS, POS_MATCH_MODES, mergeRecords, recordOf, collectRecords, attrValues, valueCounts, formatRecord, filterAttr, filterPos
+ */
+
+import { processWithBatching } from './utils.js';
+import { normNFKC } from './text.js';
+
+export const ATTR_KEYS = ['id', 'pos', 'glosses', 'reading', 'hops', 'cluster'];
+
+export const POS_MATCH_MODES = ['any', 'all'];
+
+// Source field names per key (JSON entries use both singular and plural forms).
+const SOURCE_FIELDS = {
+    id: ['id'],
+    pos: ['pos'],
+    glosses: ['glosses', 'gloss'],
+    reading: ['reading', 'readings'],
+    hops: ['hops'],
+    cluster: ['cluster']
+};
+
+function toStrings(value) {
+    if (value === null || value === undefined || value === '') return [];
+    return (Array.isArray(value) ? value : [value]).map(String).filter(Boolean);
+}
+
+/**
+ * Unites records key by key.
+ * @param {...(object|null|undefined)} records
+ * @returns {object|null} null when nothing is set
+ */
+export function mergeRecords(...records) {
+    const present = records.filter(Boolean);
+    if (present.length <= 1) return present[0] || null;
+    const out = {};
+    for (const key of ATTR_KEYS) {
+        const values = new Set();
+        for (const r of present) for (const v of r[key] || []) values.add(v);
+        if (values.size) out[key] = Array.from(values);
+    }
+    return Object.keys(out).length ? out : null;
+}
+
+/**
+ * The record of an imported entry (`{id, pos, lemmas, glosses}` etc.).
+ * @param {object} entry
+ * @returns {object|null}
+ */
+export function recordOf(entry) {
+    const out = {};
+    for (const key of ATTR_KEYS) {
+        const values = Array.from(new Set(SOURCE_FIELDS[key].flatMap(f => toStrings(entry?.[f]))));
+        if (values.length) out[key] = values;
+    }
+    return Object.keys(out).length ? out : null;
+}
+
+/**
+ * Records of each entry's words, merged per word.
+ * @param {Array<{words: string[], record: (object|null)}>} entries
+ * @param {function(string): string} [clean] Applied to each word (e.g. NFKC); empty results are skipped
+ * @returns {Map<string, object>}
+ */
+export function collectRecords(entries, clean = s => s) {
+    const out = new Map();
+    for (const { words, record } of entries) {
+        if (!record) continue;
+        for (const w of words) {
+            const item = clean(w);
+            if (item) out.set(item, mergeRecords(out.get(item), record));
+        }
+    }
+    return out;
+}
+
+/**
+ * @param {object|null|undefined} record
+ * @param {string} key One of ATTR_KEYS
+ * @returns {string[]}
+ */
+export function attrValues(record, key) {
+    return record?.[key] || [];
+}
+
+/**
+ * How many items have each value of an attribute, e.g. POS → item count.
+ * @param {Map<string, object>|null} attrs
+ * @param {string} key One of ATTR_KEYS
+ * @returns {Map<string, number>} most frequent first
+ */
+export function valueCounts(attrs, key) {
+    const out = new Map();
+    for (const record of attrs?.values() || []) {
+        for (const v of attrValues(record, key)) out.set(v, (out.get(v) || 0) + 1);
+    }
+    return new Map(Array.from(out).sort((a, b) => b[1] - a[1]));
+}
+
+/**
+ * One-line summary for previews, e.g. "〔a〕 死期に起こる / …（さいご） hop=1 ≈最期".
+ * @param {object|null|undefined} record
+ * @returns {string}
+ */
+export function formatRecord(record) {
+    if (!record) return '';
+    const parts = [];
+    if (record.pos?.length) parts.push(`〔${record.pos.join(',')}〕`);
+    if (record.glosses?.length) parts.push(record.glosses.join(' / '));
+    if (record.reading?.length) parts.push(`（${record.reading.join(',')}）`);
+    if (record.hops?.length) parts.push(`hop=${record.hops.join(',')}`);
+    if (record.cluster?.length) parts.push(`≈${record.cluster.join(',')}`);
+    return parts.join(' ');
+}
+
+/**
+ * Keeps items whose attribute matches.
+ * An item matches when any value of `key` equals / contains (both NFKC) or
+ * matches `needle`; items without the attribute never match (with `invert`,
+ * they are kept).
+ * @param {Iterable<string>} items
+ * @param {{attrs: Map<string, object>, key: string, needle: string, mode?: 'contains'|'equals'|'regex', invert?: boolean}} params
+ * @param {object} [hooks]
+ * @returns {Promise<Set<string>>}
+ */
+export async function filterAttr(items, { attrs, key, needle, mode = 'contains', invert = false }, hooks) {
+    if (!ATTR_KEYS.includes(key)) throw new Error(`Unknown attribute: ${key}`);
+    let test;
+    if (mode === 'regex') {
+        const re = new RegExp(needle, 'u');
+        test = v => re.test(v);
+    } else if (mode === 'equals') {
+        const n = normNFKC(needle);
+        test = v => normNFKC(v) === n;
+    } else if (mode === 'contains') {
+        const n = normNFKC(needle);
+        test = v => normNFKC(v).includes(n);
+    } else {
+        throw new Error(`Unknown match mode: ${mode}`);
+    }
+    return processWithBatching(items, w => {
+        const hit = attrValues(attrs?.get(w), key).some(test);
+        return hit !== !!invert ? w : null;
+    }, hooks);
+}
+
+/**
+ * Keeps items by part of speech. An item can have several POS (a word listed
+ * as both 名詞 and 副詞): 'any' keeps items with one of `pos`, 'all' items
+ * with every one of them. Items without POS never match.
+ * @param {Iterable<string>} items
+ * @param {{attrs: Map<string, object>, pos: string[], match?: 'any'|'all', invert?: boolean}} params
+ * @param {object} [hooks]
+ * @returns {Promise<Set<string>>}
+ */
+export async function filterPos(items, { attrs, pos, match = 'any', invert = false }, hooks) {
+    if (!POS_MATCH_MODES.includes(match)) throw new Error(`Unknown POS match: ${match}`);
+    const wanted = Array.from(new Set(pos));
+    return processWithBatching(items, w => {
+        const has = new Set(attrValues(attrs?.get(w), 'pos'));
+        const hit = has.size > 0 && (match === 'all' ? wanted.every(p => has.has(p)) : wanted.some(p => has.has(p)));
+        return hit !== !!invert ? w : null;
+    }, hooks);
+}
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Reading-based Japanese collation.
+ * @summary Orders words by their kana reading (五十音順 / いろは順).
+ * @description
+ * `localeCompare(…, 'ja')` compares the surface, so kanji words sort by code
+ * point. Here words are compared by their hiragana reading (obtained by the
+ * caller, e.g. through Kuroshiro) with JIS X 4061 style rules:
+ *  - 1st level: kana without voicing marks, small kana equal to large ones,
+ *    ー read as the vowel of the preceding kana, ゝゞ as the preceding kana;
+ *  - 2nd level: per position, seion < dakuon < handakuon (は < ば < ぱ);
+ *  - then the reading, then the surface, so the order is total.
+ * Characters are grouped as symbols < digits < Latin < kana < others (kanji
+ * left unconverted etc.). Keys are memoized per reading.
+ *
+ * @module core/collation
+ * @requires core/utils
+ * @exports COLLATION_SCHEMES, collationKey, compareCollated, sortByReading
+ */
+
+import { checkpoint } from './utils.js';
+
+export const COLLATION_SCHEMES = ['gojuon', 'iroha'];
+
+const GOJUON = 'あいうえおかきくけこさしすせそたちつてとなにぬねのはひふへほまみむめもやゆよらりるれろわゐゑをん';
+const IROHA = 'いろはにほへとちりぬるをわかよたれそつねならむうゐのおくやまけふこえてあさきゆめみしゑひもせすん';
+
+const RANKS = {
+    gojuon: new Map(Array.from(GOJUON).map((ch, i) => [ch, i + 1])),
+    iroha: new Map(Array.from(IROHA).map((ch, i) => [ch, i + 1]))
+};
+
+const SMALL_TO_LARGE = new Map([
+    ['ぁ', 'あ'], ['ぃ', 'い'], ['ぅ', 'う'], ['ぇ', 'え'], ['ぉ', 'お'],
+    ['っ', 'つ'], ['ゃ', 'や'], ['ゅ', 'ゆ'], ['ょ', 'よ'], ['ゎ', 'わ'],
+    ['ゕ', 'か'], ['ゖ', 'け']
+]);
+
+// Vowel row of each base kana, for ー.
+const VOWEL_OF = new Map();
+for (const [row, vowel] of [['あかさたなはまやらわ', 'あ'], ['いきしちにひみりゐ', 'い'], ['うくすつぬふむゆる', 'う'], ['えけせてねへめれゑ', 'え'], ['おこそとのほもよろを', 'お']]) {
+    for (const ch of row) VOWEL_OF.set(ch, vowel);
+}
+
+const BAND = 0x200000;
+const BANDS = { symbol: 0, digit: 1, latin: 2, kana: 3, other: 4 };
+
+// Splits a kana into [base kana, voicing level]; null for non-kana.
+function kanaParts(ch) {
+    let c = ch.codePointAt(0);
+    if (c >= 0x30A1 && c <= 0x30F6) c -= 0x60; // katakana → hiragana
+    else if (c === 0x30F7 || c === 0x30F8 || c === 0x30F9 || c === 0x30FA) {
+        // ヷヸヹヺ: わ゙ ゐ゙ ゑ゙ を゙
+        return ['わゐゑを'[c - 0x30F7], 1];
+    }
+    if (c < 0x3041 || c > 0x3096) return null;
+    const [base, mark] = Array.from(String.fromCodePoint(c).normalize('NFD'));
+    const large = SMALL_TO_LARGE.get(base) ?? base;
+    return [large, mark === '゙' ? 1 : mark === '゚' ? 2 : 0];
+}
+
+function weightOf(ch) {
+    const c = ch.codePointAt(0);
+    if (/[0-9]/.test(ch)) return BANDS.digit * BAND + c;
+    if (/\p{Script=Latin}/u.test(ch)) return BANDS.latin * BAND + ch.toLowerCase().codePointAt(0);
+    if (/[\p{P}\p{S}\p{Z}]/u.test(ch)) return BANDS.symbol * BAND + c;
+    return BANDS.other * BAND + c;
+}
+
+const memo = new Map();
+const MEMO_LIMIT = 200000;
+
+/**
+ * Collation key of a reading: `[primary[], secondary[]]`.
+ * @param {string} reading Hiragana (or katakana) reading; other characters are allowed
+ * @param {'gojuon'|'iroha'} [scheme]
+ * @returns {[number[], number[]]}
+ */
+export function collationKey(reading, scheme = 'gojuon') {
+    const ranks = RANKS[scheme];
+    if (!ranks) throw new Error(`Unknown collation scheme: ${scheme}`);
+    const memoKey = `${scheme}\u0000${reading}`;
+    const hit = memo.get(memoKey);
+    if (hit) return hit;
+
+    const primary = [];
+    const secondary = [];
+    let prev = null; // [base, voicing] of the preceding kana
+    for (const ch of String(reading ?? '').normalize('NFKC')) {
+        let parts = kanaParts(ch);
+        if (!parts && ch === 'ー' && prev) {
+            parts = [VOWEL_OF.get(prev[0]) ?? prev[0], 0];
+        } else if (!parts && (ch === 'ゝ' || ch === 'ヽ') && prev) {
+            parts = [prev[0], 0];
+        } else if (!parts && (ch === 'ゞ' || ch === 'ヾ') && prev) {
+            parts = [prev[0], 1];
+        }
+        if (parts && ranks.has(parts[0])) {
+            primary.push(BANDS.kana * BAND + ranks.get(parts[0]));
+            secondary.push(parts[1]);
+            prev = parts;
+        } else {
+            primary.push(weightOf(ch));
+            secondary.push(0);
+            prev = null;
+        }
+    }
+
+    const key = [primary, secondary];
+    if (memo.size >= MEMO_LIMIT) memo.clear();
+    memo.set(memoKey, key);
+    return key;
+}
+
+function compareArrays(a, b) {
+    const n = Math.min(a.length, b.length);
+    for (let i = 0; i < n; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return a.length - b.length;
+}
+
+/**
+ * Compares two entries by key, then reading, then surface.
+ * @param {{key: Array, reading: string, surface: string}} a
+ * @param {{key: Array, reading: string, surface: string}} b
+ * @returns {number}
+ */
+export function compareCollated(a, b) {
+    return compareArrays(a.key[0], b.key[0])
+        || compareArrays(a.key[1], b.key[1])
+        || (a.reading < b.reading ? -1 : a.reading > b.reading ? 1 : 0)
+        || (a.surface < b.surface ? -1 : a.surface > b.surface ? 1 : 0);
+}
+
+/**
+ * Sorts items by reading.
+ * @param {Iterable<string>} items
+ * @param {{readings: Map<string, string>, scheme?: 'gojuon'|'iroha', order?: 'asc'|'desc'}} params
+ *   readings: item → hiragana reading; an item without one is read as itself
+ * @param {object} [hooks] `onProgress`, `yielder`, `batchSize`, `signal`, `control`
+ * @returns {Promise<Set<string>>}
+ */
+export async function sortByReading(items, { readings, scheme = 'gojuon', order = 'asc' } = {}, { yielder, batchSize = 200, onProgress = null, signal = null, control = null } = {}) {
+    const arr = Array.from(items);
+    const entries = new Array(arr.length);
+    for (let i = 0; i < arr.length; i += 1) {
+        const surface = arr[i];
+        const reading = readings?.get(surface) || surface;
+        entries[i] = { surface, reading, key: collationKey(reading, scheme) };
+        if ((i + 1) % batchSize === 0) {
+            if (onProgress) onProgress(i + 1, arr.length);
+            if (yielder) await yielder();
+            await checkpoint({ signal, control });
+        }
+    }
+    entries.sort(compareCollated);
+    if (order === 'desc') entries.reverse();
+    if (onProgress) onProgress(arr.length, arr.length);
+    return new Set(entries.map(e => e.surface));
+}
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Dictionary entry lookup and gloss search.
+ * @summary Finds the entries of a lemma and the lemmas whose glosses match.
+ * @description
+ * Entries are the records of the data files (`{id, pos, lemmas, glosses}`,
+ * see data/bags). Lemmas are compared in NFKC, like bag items; glosses are
+ * matched in NFKC ('contains') or by a regular expression ('regex').
+ *
+ * @module core/entries
+ * @requires core/utils
+ * @requires core/text
+ * @requires core/attrs
+ * @exports GLOSS_MODES, findEntries, glossTest, glossSearch, glossRecords
+ */
+
+import { processWithBatching } from './utils.js';
+import { normNFKC } from './text.js';
+import { recordOf, collectRecords } from './attrs.js';
+
+export const GLOSS_MODES = ['contains', 'regex'];
+
+/**
+ * Entries listing the item among their lemmas.
+ * @param {object[]} entries
+ * @param {string} item
+ * @returns {object[]}
+ */
+export function findEntries(entries, item) {
+    const needle = normNFKC(item);
+    if (!needle) return [];
+    return entries.filter(e => e.lemmas.some(l => normNFKC(l) === needle));
+}
+
+/**
+ * @param {string} needle
+ * @param {'contains'|'regex'} [mode]
+ * @returns {function(object): boolean} true for an entry with a matching gloss
+ */
+export function glossTest(needle, mode = 'contains') {
+    if (!GLOSS_MODES.includes(mode)) throw new Error(`Unknown match mode: ${mode}`);
+    let test;
+    if (mode === 'regex') {
+        const re = new RegExp(needle, 'u');
+        test = g => re.test(g);
+    } else {
+        const n = normNFKC(needle);
+        test = g => normNFKC(g).includes(n);
+    }
+    return entry => Array.isArray(entry.glosses) && entry.glosses.some(g => test(String(g)));
+}
+
+/**
+ * Lemmas (NFKC) of the entries whose glosses match.
+ * @param {object[]} entries
+ * @param {{needle: string, mode?: 'contains'|'regex'}} params
+ * @param {object} [hooks]
+ * @returns {Promise<Set<string>>}
+ */
+export async function glossSearch(entries, { needle, mode = 'contains' }, hooks) {
+    const test = glossTest(needle, mode);
+    return processWithBatching(entries, e => (test(e) ? e.lemmas.map(normNFKC).filter(Boolean) : null), hooks);
+}
+
+/**
+ * Attribute records of the lemmas found by `glossSearch`, from the matching entries.
+ * @param {object[]} entries
+ * @param {{needle: string, mode?: 'contains'|'regex'}} params
+ * @returns {Map<string, object>}
+ */
+export function glossRecords(entries, { needle, mode = 'contains' }) {
+    const test = glossTest(needle, mode);
+    return collectRecords(entries.filter(test).map(e => ({ words: e.lemmas, record: recordOf(e) })), normNFKC);
+}
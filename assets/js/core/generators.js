@@ -11,7 +11,7 @@
  * @exports ngrams, sample, cartesian, anagram
  */
 
-import { processWithBatching, makeSeedFromString, mulberry32 } from './utils.js';
+import { processWithBatching, checkpoint, makeSeedFromString, mulberry32 } from './utils.js';
 import { normNFKC } from './text.js';
 
 
@@ -41,11 +41,14 @@ export async function ngrams(items, { n }, hooks) {
  * Supports seeding for reproducibility.
  * @param {Iterable} items 
  * @param {object} params - { count, seed }
+ * @param {object} [hooks] - { onProgress }
  */
-export async function sample(items, { count, seed }) {
+export async function sample(items, { count, seed }, { onProgress = null } = {}) {
     const arr = Array.from(items);
     const safeCount = Number.isFinite(count) ? count : 0;
     const need = Math.min(Math.max(0, safeCount), arr.length);
+    // The shuffle is a single synchronous pass: report it as done at once.
+    if (onProgress) onProgress(arr.length, arr.length);
     if (need === arr.length) return new Set(arr);
 
     let rand = Math.random;
@@ -62,24 +65,47 @@ export async function sample(items, { count, seed }) {
 /**
  * Generates the Cartesian product of two sets of items (A x B).
  * Joiner is 'sep'. Respects a limit to avoid explosions.
+ * With `onChunk`, rows are streamed as they are produced.
  * @param {Iterable} itemsA 
  * @param {object} params - { itemsB, sep, limit }
- * @param {object} hooks - { yielder, batchSize }
+ * Progress counts rows of A.
+ * @param {object} hooks - { yielder, batchSize, onChunk, onProgress, signal, control }
  */
-export async function cartesian(itemsA, { itemsB, sep = '', limit = 10000 }, { yielder, batchSize = 200 } = {}) {
+export async function cartesian(itemsA, { itemsB, sep = '', limit = 10000 }, { yielder, batchSize = 200, onChunk = null, onProgress = null, signal = null, control = null } = {}) {
     const out = new Set();
     const arrA = Array.from(itemsA);
     const arrB = Array.from(itemsB);
     let count = 0;
+    if (onProgress) onProgress(0, arrA.length);
+    let chunk = [];
+
+    const flushChunk = () => {
+        if (onChunk && chunk.length) {
+            onChunk(chunk);
+            chunk = [];
+        }
+    };
 
     outer: for (let i = 0; i < arrA.length; i++) {
         const wa = arrA[i];
         for (const wb of arrB) {
             if (out.size >= limit) break outer;
-            out.add(wa + sep + wb);
+            const w = wa + sep + wb;
+            if (!out.has(w)) {
+                out.add(w);
+                if (onChunk) chunk.push(w);
+            }
+        }
+        if (++count % batchSize === 0) {
+            flushChunk();
+            if (onProgress) onProgress(count, arrA.length);
+            if (yielder) await yielder();
+            await checkpoint({ signal, control });
         }
-        if (++count % batchSize === 0 && yielder) await yielder();
     }
+    flushChunk();
+    // Reaching the limit ends the product early; it is still complete.
+    if (onProgress) onProgress(arrA.length, arrA.length);
     return out;
 }
 
@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Incremental reading of bag files.
+ * @summary Splits a JSON array into its elements as the text arrives, and streams them as bag items.
+ * @description
+ * The data files are JSON arrays of entries (`[{id, pos, lemmas, glosses}, …]`)
+ * of up to tens of MB. `JsonArraySplitter` takes the text in pieces and hands
+ * back each top-level element as soon as it is complete, so entries are read
+ * while the file is still downloading and the whole text is never held at
+ * once. A file that is not an array (an exported bag, `{items, counts, attrs}`)
+ * is buffered and parsed at the end.
+ *
+ * `readBagStream` reads entries the way infra/file-loader parseBagData does,
+ * normalizes (NFKC) and dedupes their words, and streams the result in
+ * batches through the runProgressiveOp hooks. It runs in
+ * workers/json-stream-worker.js, or on the main thread when workers are
+ * unavailable (see infra/json-stream-client). `textPieces` decodes a fetch
+ * response or an uploaded file as it arrives.
+ *
+ * @module core/json-stream
+ * @requires core/utils
+ * @requires core/text
+ * @requires core/attrs
+ * @exports ATTR_IMPORT_MODES, JsonArraySplitter, readBagStream, textPieces
+ */
+
+import { checkpoint } from './utils.js';
+import { normNFKC } from './text.js';
+import { recordOf, mergeRecords } from './attrs.js';
+
+/** Which attributes an import keeps: every attribute, the POS only, or none (null). */
+export const ATTR_IMPORT_MODES = ['all', 'pos'];
+
+const WHITESPACE = new Set([' ', '\t', '\n', '\r', '\uFEFF']);
+
+export class JsonArraySplitter {
+    constructor() {
+        this._buf = '';
+        this._pos = 0; // Next character of _buf to scan
+        this._start = -1; // Start of the current element in _buf
+        this._depth = 0;
+        this._inString = false;
+        this._escape = false;
+        this._mode = null; // 'array' | 'whole' | 'done', null until the first character
+    }
+
+    /**
+     * @param {string} text Next piece of the file
+     * @returns {Array} The elements this piece completed, parsed
+     */
+    push(text) {
+        this._buf += text;
+        if (this._mode === null) {
+            let i = 0;
+            while (i < this._buf.length && WHITESPACE.has(this._buf[i])) i += 1;
+            this._buf = this._buf.slice(i);
+            if (!this._buf) return [];
+            if (this._buf[0] === '[') this._mode = 'array';
+            else if (this._buf[0] === '{') this._mode = 'whole';
+            else throw new Error('Invalid JSON format');
+        }
+        return this._mode === 'array' ? this._scan() : [];
+    }
+
+    /**
+     * Call once the text has ended.
+     * @returns {Array} The remaining elements (the whole value of a non-array file)
+     */
+    end() {
+        if (this._mode === 'whole') {
+            const data = JSON.parse(this._buf);
+            this._buf = '';
+            this._mode = 'done';
+            return [data];
+        }
+        if (this._mode !== 'done') throw new Error(this._mode === null ? 'Invalid JSON format' : 'Unexpected end of JSON');
+        return [];
+    }
+
+    _scan() {
+        const buf = this._buf;
+        const out = [];
+        const emit = end => out.push(JSON.parse(buf.slice(this._start, end)));
+        let i = this._pos;
+        for (; i < buf.length && this._mode === 'array'; i += 1) {
+            const c = buf[i];
+            if (this._inString) {
+                if (this._escape) this._escape = false;
+                else if (c === '\\') this._escape = true;
+                else if (c === '"') this._inString = false;
+                continue;
+            }
+            if (WHITESPACE.has(c)) continue;
+            if (c === ',' && this._depth === 1) {
+                if (this._start >= 0) emit(i); // A number, string or literal element
+                this._start = -1;
+                continue;
+            }
+            if (c === ']' || c === '}') {
+                if (this._depth === 1) {
+                    // End of the top-level array
+                    if (this._start >= 0) emit(i);
+                    this._start = -1;
+                    this._depth = 0;
+                    this._mode = 'done';
+                    continue;
+                }
+                this._depth -= 1;
+                if (this._depth === 1) {
+                    emit(i + 1);
+                    this._start = -1;
+                }
+                continue;
+            }
+            if (this._depth === 1 && this._start < 0) this._start = i;
+            if (c === '"') this._inString = true;
+            else if (c === '[' || c === '{') this._depth += 1;
+        }
+        // Keep only the unfinished element.
+        if (this._start >= 0) {
+            this._buf = buf.slice(this._start);
+            this._pos = i - this._start;
+            this._start = 0;
+        } else {
+            this._buf = '';
+            this._pos = 0;
+        }
+        return out;
+    }
+}
+
+function recordFor(obj, attrs, pos) {
+    if (attrs === 'all') return recordOf({ ...obj, pos: obj.pos || pos });
+    if (attrs === 'pos') return recordOf({ pos: obj.pos || pos });
+    return null;
+}
+
+/**
+ * Reads a bag file from pieces of its text, as parseBagData would, and
+ * streams the NFKC items in batches: `onChunk(items)` with the items not seen
+ * before, or, when counting (`counting`, or an exported counted bag),
+ * `onCounts(pairs)` with the counts of the batch. With `attrs`, the entries'
+ * records go to `onAttrs(pairs)`; `pos` is the POS recorded for entries that
+ * have none (e.g. the catalog's POS of the file).
+ * @param {AsyncIterable<string>} pieces
+ * @param {{counting?: boolean, attrs?: ('all'|'pos'|null), pos?: (string|null), batchSize?: number}} [options]
+ * @param {object} [hooks] onChunk, onCounts, onAttrs, yielder, signal, control
+ * @returns {Promise<{entries: number, words: number}>} Top-level values read, and words in them (repeats included)
+ */
+export async function readBagStream(pieces, { counting = false, attrs = null, pos = null, batchSize = 5000 } = {}, hooks = {}) {
+    if (attrs !== null && !ATTR_IMPORT_MODES.includes(attrs)) throw new Error(`Unknown attribute import: ${attrs}`);
+    const { onChunk = null, onCounts = null, onAttrs = null, yielder = null } = hooks;
+    const splitter = new JsonArraySplitter();
+    const seen = new Set();
+    let fresh = [];
+    let counts = new Map();
+    let records = new Map();
+    let pending = 0;
+    let entries = 0;
+    let words = 0;
+
+    const flush = () => {
+        if (fresh.length && onChunk) onChunk(fresh);
+        if (counts.size && onCounts) onCounts(Array.from(counts));
+        if (records.size && onAttrs) onAttrs(Array.from(records));
+        fresh = [];
+        counts = new Map();
+        records = new Map();
+        pending = 0;
+    };
+    // n: the word's count, or null for a plain bag
+    const add = (word, n, record) => {
+        const item = normNFKC(word);
+        if (!item) return;
+        words += 1;
+        pending += 1;
+        if (n !== null) counts.set(item, (counts.get(item) || 0) + n);
+        else if (!seen.has(item)) fresh.push(item);
+        seen.add(item);
+        if (record) records.set(item, mergeRecords(records.get(item), record));
+    };
+    const read = (obj) => {
+        entries += 1;
+        if (obj && Array.isArray(obj.lemmas)) {
+            const record = recordFor(obj, attrs, pos);
+            for (const w of obj.lemmas) add(w, counting ? 1 : null, record);
+        } else if (obj && Array.isArray(obj.items)) {
+            const itemCounts = Array.isArray(obj.counts) ? obj.counts : null;
+            const itemAttrs = Array.isArray(obj.attrs) ? obj.attrs : null;
+            obj.items.forEach((w, i) => {
+                const n = itemCounts ? (Number(itemCounts[i]) || 1) : (counting ? 1 : null);
+                add(w, n, itemAttrs || pos ? recordFor(itemAttrs?.[i] || {}, attrs, pos) : null);
+            });
+        }
+    };
+
+    try {
+        for await (const text of pieces) {
+            for (const value of splitter.push(text)) read(value);
+            if (pending >= batchSize) flush();
+            await checkpoint(hooks);
+            if (yielder) await yielder();
+        }
+        for (const value of splitter.end()) read(value);
+    } finally {
+        flush(); // What was read also counts when the read stops early
+    }
+    return { entries, words };
+}
+
+/**
+ * The text of a response or file, piece by piece as it arrives.
+ * @param {Response|Blob} source
+ * @param {function(number, number): void} [onBytes] Receives (bytes read, total bytes or 0 when unknown)
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* textPieces(source, onBytes = null) {
+    const isBlob = typeof Blob !== 'undefined' && source instanceof Blob;
+    const total = isBlob ? source.size : (Number(source.headers?.get('content-length')) || 0);
+    const reader = (isBlob ? source.stream() : source.body).getReader();
+    const decoder = new TextDecoder();
+    let read = 0;
+    try {
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            read += value.byteLength;
+            if (onBytes) onBytes(read, Math.max(total, read)); // A compressed response reads more than its length
+            yield decoder.decode(value, { stream: true });
+        }
+        const rest = decoder.decode();
+        if (rest) yield rest;
+    } finally {
+        reader.cancel().catch(() => { }); // Stops the download when the reader quits early
+    }
+}
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Multiset (counted bag) operations.
+ * @summary Counting, counted set operations and frequency filters.
+ * @description
+ * A counted collection is a `Map<string, number>` of item → count (≥ 1), in
+ * insertion order. Where an input may also be plain (a Set or other
+ * iterable), a plain item counts once in a union, and a plain bag acts as a
+ * membership test in an intersection or difference, so the counted side
+ * keeps its counts (A ∩ dictionary, A − stopwords).
+ *
+ * Results are Maps; the loops run through `processWithBatching` for progress,
+ * pause and cancel.
+ *
+ * @module core/multiset
+ * @requires core/utils
+ * @requires core/text
+ * @exports
+ *  COUNT_UNION_MODES, isCounted, countItems, parseCountedLines, formatCounted,
+ *  ngramCounts, unionCounts, intersectionCounts, differenceCounts,
+ *  topByCount, filterMinCount
+ */
+
+import { processWithBatching } from './utils.js';
+import { normNFKC } from './text.js';
+
+export const COUNT_UNION_MODES = ['sum', 'max'];
+
+/**
+ * @param {*} items
+ * @returns {boolean} true for a counted collection (Map)
+ */
+export function isCounted(items) {
+    return items instanceof Map;
+}
+
+function add(out, item, n) {
+    out.set(item, (out.get(item) || 0) + n);
+}
+
+/**
+ * Counts how often each item occurs.
+ * @param {Iterable<string>} items Items, repeats allowed
+ * @param {{weights?: Map<string, number>, clean?: function(string): string}} [params]
+ *   weights: count per item instead of 1; clean: applied to each item (e.g. NFKC), empty results are skipped
+ * @returns {Map<string, number>}
+ */
+export function countItems(items, { weights = null, clean = s => s } = {}) {
+    const out = new Map();
+    for (const w of items) {
+        const item = clean(w);
+        if (item) add(out, item, weights?.get(w) ?? 1);
+    }
+    return out;
+}
+
+// "item<TAB>count"; the count is taken only when the last field is a positive integer.
+const COUNTED_LINE = /^(.*)\t\s*(\d+)\s*$/;
+
+/**
+ * Parses lines as written by `formatCounted` (and the export): "item<TAB>count",
+ * or a bare item counting once. Repeated items add up.
+ * @param {Iterable<string>} lines
+ * @param {function(string): string} [clean] Applied to each item (e.g. NFKC)
+ * @returns {Map<string, number>}
+ */
+export function parseCountedLines(lines, clean = s => s) {
+    const out = new Map();
+    for (const line of lines) {
+        const m = COUNTED_LINE.exec(line);
+        const item = clean(m ? m[1] : line);
+        const n = m ? Number(m[2]) : 1;
+        if (item && n > 0) add(out, item, n);
+    }
+    return out;
+}
+
+/**
+ * @param {string} item
+ * @param {number} count
+ * @returns {string} "item<TAB>count"
+ */
+export function formatCounted(item, count) {
+    return `${item}\t${count}`;
+}
+
+/**
+ * Counts the n-grams of the items (NFKC, as core/generators ngrams). With
+ * `weights`, an item's n-grams count as often as the item does.
+ * @param {Iterable<string>} items
+ * @param {{n: number, weights?: Map<string, number>}} params
+ * @param {object} [hooks]
+ * @returns {Promise<Map<string, number>>}
+ */
+export async function ngramCounts(items, { n, weights = null }, hooks) {
+    const size = Number.isFinite(n) ? Math.max(1, n) : 1;
+    const out = new Map();
+    await processWithBatching(items, w => {
+        const norm = normNFKC(w);
+        const weight = weights?.get(w) ?? 1;
+        for (let i = 0; i + size <= norm.length; i += 1) add(out, norm.slice(i, i + size), weight);
+        return null;
+    }, hooks);
+    return out;
+}
+
+function countIn(items, item) {
+    if (isCounted(items)) return items.get(item) || 0;
+    return items.has(item) ? 1 : 0;
+}
+
+/**
+ * Union: counts add up ('sum') or the larger one is kept ('max').
+ * @param {Map<string, number>|Set<string>} itemsA
+ * @param {{itemsB: (Map<string, number>|Set<string>), mode?: 'sum'|'max'}} params
+ * @param {object} [hooks]
+ * @returns {Promise<Map<string, number>>}
+ */
+export async function unionCounts(itemsA, { itemsB, mode = 'sum' }, hooks = {}) {
+    if (!COUNT_UNION_MODES.includes(mode)) throw new Error(`Unknown count mode: ${mode}`);
+    const out = new Map();
+    const keysA = isCounted(itemsA) ? itemsA.keys() : itemsA;
+    const keysB = isCounted(itemsB) ? itemsB.keys() : itemsB;
+    const sizeA = itemsA.size ?? 0;
+    const total = sizeA + (itemsB.size ?? 0);
+    const { onProgress } = hooks;
+    const pass = offset => (onProgress ? { ...hooks, onProgress: done => onProgress(offset + done, total) } : hooks);
+
+    await processWithBatching(keysA, w => {
+        out.set(w, countIn(itemsA, w));
+        return null;
+    }, pass(0));
+    await processWithBatching(keysB, w => {
+        const a = out.get(w) || 0;
+        const b = countIn(itemsB, w);
+        out.set(w, mode === 'max' ? Math.max(a, b) : a + b);
+        return null;
+    }, pass(sizeA));
+    return out;
+}
+
+/**
+ * Intersection: the smaller count, or A's count when B is plain.
+ * @param {Map<string, number>} countsA
+ * @param {{itemsB: (Map<string, number>|Set<string>)}} params
+ * @param {object} [hooks]
+ * @returns {Promise<Map<string, number>>}
+ */
+export async function intersectionCounts(countsA, { itemsB }, hooks) {
+    const out = new Map();
+    await processWithBatching(countsA.keys(), w => {
+        if (!itemsB.has(w)) return null;
+        const a = countsA.get(w);
+        out.set(w, isCounted(itemsB) ? Math.min(a, itemsB.get(w)) : a);
+        return null;
+    }, hooks);
+    return out;
+}
+
+/**
+ * Difference: B's count is subtracted, or the item removed when B is plain;
+ * items left with no count are dropped.
+ * @param {Map<string, number>} countsA
+ * @param {{itemsB: (Map<string, number>|Set<string>)}} params
+ * @param {object} [hooks]
+ * @returns {Promise<Map<string, number>>}
+ */
+export async function differenceCounts(countsA, { itemsB }, hooks) {
+    const out = new Map();
+    await processWithBatching(countsA.keys(), w => {
+        if (!itemsB.has(w)) {
+            out.set(w, countsA.get(w));
+        } else if (isCounted(itemsB)) {
+            const rest = countsA.get(w) - itemsB.get(w);
+            if (rest > 0) out.set(w, rest);
+        }
+        return null;
+    }, hooks);
+    return out;
+}
+
+/**
+ * The `n` most frequent items, most frequent first (ties keep their order).
+ * @param {Map<string, number>} counts
+ * @param {{n: number}} params
+ * @param {object} [hooks] `onProgress`
+ * @returns {Promise<Map<string, number>>}
+ */
+export async function topByCount(counts, { n }, { onProgress = null } = {}) {
+    const entries = Array.from(counts);
+    entries.sort((a, b) => b[1] - a[1]);
+    // A single synchronous pass, like core/generators sample.
+    if (onProgress) onProgress(entries.length, entries.length);
+    return new Map(entries.slice(0, Math.max(0, n)));
+}
+
+/**
+ * Items counted at least `min` times.
+ * @param {Map<string, number>} counts
+ * @param {{min: number}} params
+ * @param {object} [hooks]
+ * @returns {Promise<Map<string, number>>}
+ */
+export async function filterMinCount(counts, { min }, hooks) {
+    const out = new Map();
+    await processWithBatching(counts, ([w, c]) => {
+        if (c >= min) out.set(w, c);
+        return null;
+    }, hooks);
+    return out;
+}
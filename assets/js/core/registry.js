@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Registry of core functions by name.
+ * @summary Lets core functions be referenced by a serializable name.
+ * @description
+ * A worker cannot receive a function, so callers that offload work name the
+ * function instead (e.g. `'filters.filterRegex'`). Both the main thread and
+ * workers/core-worker.js resolve names through this table.
+ *
+ * Only per-item functions are listed as shardable: their result on a list is
+ * the in-order union of their results on contiguous slices of it. Functions
+ * that look at the whole input (sort, sample, cartesian with its global limit,
+ * symmetric difference, deleteChars with its collision check) or take functions as parameters (normalize, pipe)
+ * always run in place.
+ *
+ * @module core/registry
+ * @requires core/text
+ * @requires core/filters
+ * @requires core/generators
+ * @requires core/sets
+ * @exports CORE_FUNCTIONS, SHARDABLE, resolveCore
+ */
+
+import * as text from './text.js';
+import * as filters from './filters.js';
+import * as generators from './generators.js';
+import * as sets from './sets.js';
+
+export const CORE_FUNCTIONS = {
+    'text.toUpper': text.toUpper,
+    'text.toLower': text.toLower,
+    'text.reverse': text.reverse,
+    'text.dedupeChars': text.dedupeChars,
+    'text.replace': text.replace,
+    'text.append': text.append,
+    'text.sort': text.sort,
+    'text.deleteChars': text.deleteChars,
+    'text.normalizeSpaces': text.normalizeSpaces,
+    'text.stripPunctuation': text.stripPunctuation,
+    'text.normalizeDashes': text.normalizeDashes,
+    'text.normalizeKana': text.normalizeKana,
+    'text.fingerprint': text.fingerprint,
+    'text.take': text.take,
+    'text.drop': text.drop,
+    'text.slice': text.slice,
+    'text.extractRegex': text.extractRegex,
+    'text.replaceRegex': text.replaceRegex,
+    'text.replaceMap': text.replaceMap,
+    'filters.filterLength': filters.filterLength,
+    'filters.filterPrefix': filters.filterPrefix,
+    'filters.filterSuffix': filters.filterSuffix,
+    'filters.filterContains': filters.filterContains,
+    'filters.filterRegex': filters.filterRegex,
+    'filters.filterSimilarity': filters.filterSimilarity,
+    'filters.filterNormalizedEquals': filters.filterNormalizedEquals,
+    'filters.filterNormalizedContains': filters.filterNormalizedContains,
+    'filters.filterScript': filters.filterScript,
+    'filters.filterUnicodeProperty': filters.filterUnicodeProperty,
+    'filters.filterSubsequence': filters.filterSubsequence,
+    'filters.filterCharAt': filters.filterCharAt,
+    'filters.filterNgramJaccard': filters.filterNgramJaccard,
+    'filters.filterHamming': filters.filterHamming,
+    'filters.filterPatternPreset': filters.filterPatternPreset,
+    'generators.ngrams': generators.ngrams,
+    'generators.anagram': generators.anagram,
+    'generators.sample': generators.sample,
+    'generators.cartesian': generators.cartesian,
+    'sets.union': sets.union,
+    'sets.difference': sets.difference,
+    'sets.intersection': sets.intersection,
+    'sets.symmetricDifference': sets.symmetricDifference
+};
+
+/** Names of functions that may run on shards in parallel. */
+export const SHARDABLE = new Set([
+    'text.toUpper',
+    'text.toLower',
+    'text.reverse',
+    'text.dedupeChars',
+    'text.replace',
+    'text.append',
+    'text.normalizeSpaces',
+    'text.stripPunctuation',
+    'text.normalizeDashes',
+    'text.normalizeKana',
+    'text.fingerprint',
+    'text.take',
+    'text.drop',
+    'text.slice',
+    'text.extractRegex',
+    'text.replaceRegex',
+    'text.replaceMap',
+    'filters.filterLength',
+    'filters.filterPrefix',
+    'filters.filterSuffix',
+    'filters.filterContains',
+    'filters.filterRegex',
+    'filters.filterSimilarity',
+    'filters.filterNormalizedEquals',
+    'filters.filterNormalizedContains',
+    'filters.filterScript',
+    'filters.filterUnicodeProperty',
+    'filters.filterSubsequence',
+    'filters.filterCharAt',
+    'filters.filterNgramJaccard',
+    'filters.filterHamming',
+    'filters.filterPatternPreset',
+    'generators.ngrams',
+    'generators.anagram',
+    'sets.difference',
+    'sets.intersection'
+]);
+
+/**
+ * @param {string} name
+ * @returns {function(Iterable, object, object): Promise<Set>}
+ */
+export function resolveCore(name) {
+    const fn = CORE_FUNCTIONS[name];
+    if (!fn) throw new Error(`Unknown core function: ${name}`);
+    return fn;
+}
@@ -28,8 +28,11 @@ export function setsAreEqual(a, b) {
     return true;
 }
 
-export async function union(itemsA, { itemsB }, _) {
-    return new Set([...itemsA, ...itemsB]);
+export async function union(itemsA, { itemsB }, { onProgress = null } = {}) {
+    const out = new Set([...itemsA, ...itemsB]);
+    const total = (itemsA.size ?? itemsA.length ?? 0) + (itemsB.size ?? itemsB.length ?? 0);
+    if (onProgress) onProgress(total, total);
+    return out;
 }
 
 export async function difference(itemsA, { itemsB }, hooks) {
@@ -40,19 +43,25 @@ export async function intersection(itemsA, { itemsB }, hooks) {
     return processWithBatching(itemsA, w => itemsB.has(w) ? w : null, hooks);
 }
 
-export async function symmetricDifference(itemsA, { itemsB }, hooks) {
+export async function symmetricDifference(itemsA, { itemsB }, hooks = {}) {
     const out = new Set();
     // Two-pass approach. 
     // We manually accumulate to 'out' instead of returning a new Set from processWithBatching 
     // to combine results efficiently.
 
+    // Progress spans both passes.
+    const { onProgress } = hooks;
+    const sizeA = itemsA.size ?? itemsA.length ?? 0;
+    const total = sizeA + (itemsB.size ?? itemsB.length ?? 0);
+    const pass = offset => (onProgress ? { ...hooks, onProgress: done => onProgress(offset + done, total) } : hooks);
+
     await processWithBatching(itemsA, w => {
         if (!itemsB.has(w)) out.add(w);
-    }, hooks);
+    }, pass(0));
 
     await processWithBatching(itemsB, w => {
         if (!itemsA.has(w)) out.add(w);
-    }, hooks);
+    }, pass(sizeA));
 
     return out;
 }
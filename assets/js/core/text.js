@@ -11,17 +11,18 @@
  *  normNFKC, normalize, toLower, toUpper, reverse, dedupeChars, replace, append, sort,
  *  normalizeSpaces, stripPunctuation, normalizeDashes,
  *  toHiragana, toKatakana, normalizeKana,
+ *  DELETE_CHAR_CLASSES, deleteChars,
  *  take, drop, slice,
- *  extractRegex, replaceRegex, replaceMap,
+ *  extractFlags, extractRegex, replaceRegex, parseReplacePairs, replaceMap,
  *  pipe,
  *  uniqueNormalized,
- *  sortByLength, sortNatural, sortLocale,
+ *  sortByLength, sortNatural, sortLocale, SORT_MODES, sortBy,
  *  fingerprint,
  *  commonPrefix, commonSuffix,
  *  levenshtein, damerauLevenshtein, jaroWinkler, diceCoefficient
  */
 
-import { processWithBatching } from './utils.js';
+import { processWithBatching, checkpoint } from './utils.js';
 
 /**
  * Calculates the Levenshtein distance between two strings.
@@ -59,6 +60,7 @@ export const normNFKC = s => (s || "").normalize('NFKC').trim();
 
 /**
  * Normalizes items using a specific converter (e.g. Kana).
+ * Items the converter turns into nothing are reported to `hooks.onReject`.
  * @param {Iterable} items
  * @param {object} _ options (unused)
  * @param {object} hooks - { converter, ... }
@@ -68,7 +70,7 @@ export async function normalize(items, _, hooks) {
     return processWithBatching(items, async (w) => {
         const res = converter ? await converter(w) : w;
         return res ? res.replace(/\s+/g, '') : null;
-    }, hooks);
+    }, { dropReason: 'empty reading', ...hooks });
 }
 
 export async function toUpper(items, _, hooks) {
@@ -113,11 +115,22 @@ export async function append(items, { prefix = '', suffix = '' }, hooks) {
     return processWithBatching(items, w => prefix + w + suffix, hooks);
 }
 
-export async function sort(items, { order = 'asc', locale = 'ja' } = {}) {
+export async function sort(items, { order = 'asc', locale = 'ja' } = {}, { yielder, batchSize = 200, onProgress = null, signal = null, control = null } = {}) {
     const arr = Array.from(items);
-    arr.sort((a, b) => normNFKC(a).localeCompare(normNFKC(b), locale));
-    if (order === 'desc') arr.reverse();
-    return new Set(arr);
+    // Normalize each item once (in batches, reporting progress) instead of on every comparison.
+    const keyed = new Array(arr.length);
+    for (let i = 0; i < arr.length; i += 1) {
+        keyed[i] = { w: arr[i], key: normNFKC(arr[i]) };
+        if ((i + 1) % batchSize === 0) {
+            if (onProgress) onProgress(i + 1, arr.length);
+            if (yielder) await yielder();
+            await checkpoint({ signal, control });
+        }
+    }
+    keyed.sort((a, b) => a.key.localeCompare(b.key, locale));
+    if (order === 'desc') keyed.reverse();
+    if (onProgress) onProgress(arr.length, arr.length);
+    return new Set(keyed.map(x => x.w));
 }
 
 /* ====== Added Transformations ====== */
@@ -295,6 +308,78 @@ export async function normalizeKana(items, { to, smallToLarge = false, removeVoi
     }, hooks);
 }
 
+// 文字クラスごとの削除処理（deleteChars の classes で指定する）
+const DELETE_CLASSES = {
+    punctuation: s => s.replace(/\p{P}/gu, ''),
+    symbols: s => s.replace(/\p{S}/gu, ''),
+    // NFKC は単独の ゛゜ を「空白 + 結合文字」にするため、その空白ごと除去する
+    voicing: s => s.normalize('NFD').replace(/ ?[\u3099\u309A]|[\u309B\u309C]/g, '').normalize('NFC'),
+    small_kana: s => toCodePoints(s).filter(ch => !SMALL_TO_LARGE.has(ch) && !/[\u31F0-\u31FF]/u.test(ch)).join(''),
+    long_vowel: s => s.replace(/\u30FC/g, '')
+};
+
+export const DELETE_CHAR_CLASSES = Object.keys(DELETE_CLASSES);
+
+/**
+ * 指定した文字・文字クラスを各単語から削除する変換。
+ * 原理: NFKC 後、classes の順に文字クラスを除去し、最後に chars に含まれる文字（コードポイント単位）を除去する。
+ * なにをする:
+ *  - classes: 'punctuation' | 'symbols' | 'voicing' | 'small_kana' | 'long_vowel' の配列
+ *  - 空になった単語は出力しない
+ *  - dropConflicts=true なら、空になった単語と、他の単語と同じ結果になった単語（衝突）をすべて除外し、
+ *    hooks.onReject に 'empty result' / 'collision' として報告する。衝突の判定に入力全体を見るため2パスで処理する
+ * @param {Iterable} items
+ * @param {object} params - { chars?: string, classes?: string[], dropConflicts?: boolean }
+ * @param {object} hooks
+ */
+export async function deleteChars(items, { chars = '', classes = [], dropConflicts = false } = {}, hooks = {}) {
+    const steps = classes.map(c => {
+        if (!DELETE_CLASSES[c]) throw new Error(`Unknown character class: ${c}`);
+        return DELETE_CLASSES[c];
+    });
+    const literal = new Set(toCodePoints(normNFKC(chars)));
+    const strip = (w) => {
+        let s = normNFKC(w);
+        for (const step of steps) s = step(s);
+        if (literal.size) s = toCodePoints(s).filter(ch => !literal.has(ch)).join('');
+        return s;
+    };
+
+    if (!dropConflicts) {
+        return processWithBatching(items, w => strip(w) || null, hooks);
+    }
+
+    // 1パス目: 各単語の結果と、結果ごとの元単語数を数える
+    const { yielder, batchSize = 200, onProgress = null, onReject = null, signal = null, control = null } = hooks;
+    const arr = Array.from(new Set(items));
+    const outputs = new Map();
+    const producers = new Map();
+    for (let i = 0; i < arr.length; i += 1) {
+        const s = strip(arr[i]);
+        outputs.set(arr[i], s);
+        if (s) producers.set(s, (producers.get(s) || 0) + 1);
+        if ((i + 1) % batchSize === 0) {
+            if (onProgress) onProgress(i + 1, arr.length);
+            if (yielder) await yielder();
+            await checkpoint({ signal, control });
+        }
+    }
+
+    // 2パス目: 1つの単語だけが生んだ結果を出力する
+    return processWithBatching(outputs.keys(), w => {
+        const s = outputs.get(w);
+        if (!s) {
+            if (onReject) onReject(w, 'empty result');
+            return null;
+        }
+        if (producers.get(s) > 1) {
+            if (onReject) onReject(w, 'collision');
+            return null;
+        }
+        return s;
+    }, { ...hooks, dropReason: null });
+}
+
 /**
  * 文字列の先頭/末尾を切り出すための変換。
  * 原理: Array.from によりコードポイント列として扱い、先頭から n 個を取得する。
@@ -357,24 +442,29 @@ export async function slice(items, { start = 0, end } = {}, hooks) {
     }, hooks);
 }
 
+/**
+ * 抽出に使うフラグ。
+ * 原理: g / y があると String.prototype.match が全一致の配列を返したり lastIndex に依存したりするため、取り除く。
+ * なにをする: flags から g と y を除き、u を付けて返す。
+ * @param {string} flags
+ * @returns {string}
+ */
+export function extractFlags(flags) {
+    return ensureFlags(String(flags ?? '').replace(/[gy]/g, ''), 'u');
+}
+
 /**
  * 正規表現のキャプチャを抽出するための変換。
  * 原理: pattern を RegExp 化し、最初の一致のキャプチャ group を取り出す（未一致なら null）。
- * なにをする: NFKC後の文字列に対して一致を取り、group 番号（0=全体）を返す。
+ * なにをする: NFKC後の文字列に対して一致を取り、group 番号（0=全体）を返す（pattern 不正なら例外）。g / y は無視する（extractFlags）。
  * @param {Iterable} items
  * @param {object} params - { pattern: string, group?: number, flags?: string }
  * @param {object} hooks
  */
 export async function extractRegex(items, { pattern, group = 0, flags = 'u' } = {}, hooks) {
     if (!pattern) return new Set();
-
-    let re;
-    try {
-        const fl = ensureFlags(flags, 'u');
-        re = new RegExp(pattern, fl);
-    } catch {
-        return new Set();
-    }
+    // 不正な pattern / flags は SyntaxError として呼び出し元へ伝える
+    const re = new RegExp(pattern, extractFlags(flags));
 
     const g = Number.isFinite(group) ? Math.trunc(group) : 0;
 
@@ -391,21 +481,15 @@ export async function extractRegex(items, { pattern, group = 0, flags = 'u' } =
 /**
  * 正規表現置換を行うための変換。
  * 原理: pattern を RegExp 化し、String.prototype.replace で置換する（global 等は flags に依存）。
- * なにをする: NFKC後の文字列に対して置換し、結果を返す（pattern 不正なら空集合）。
+ * なにをする: NFKC後の文字列に対して置換し、結果を返す（pattern 不正なら例外）。
  * @param {Iterable} items
  * @param {object} params - { pattern: string, to: string, flags?: string }
  * @param {object} hooks
  */
 export async function replaceRegex(items, { pattern, to, flags = 'gu' } = {}, hooks) {
     if (!pattern) return new Set();
-
-    let re;
-    try {
-        const fl = ensureFlags(flags, 'u');
-        re = new RegExp(pattern, fl);
-    } catch {
-        return new Set();
-    }
+    // 不正な pattern / flags は SyntaxError として呼び出し元へ伝える
+    const re = new RegExp(pattern, ensureFlags(flags, 'u'));
 
     const replacement = normNFKC(to ?? '');
 
@@ -428,6 +512,26 @@ function normalizeReplacePairs(mapLike) {
     return [];
 }
 
+/**
+ * 置換表をタブ区切りの行から読み取る。
+ * 原理: 各行を最初のタブで from / to に分ける（to は空でもよく、その場合は削除になる）。
+ * なにをする: 空行は無視し、タブのない行があれば行番号付きで例外を投げる。同じ from は後の行が優先。
+ * @param {string|Iterable<string>} source - TSV テキスト、または 'from\tto' 形式の行の列（Bag の items など）
+ * @returns {Map<string,string>}
+ */
+export function parseReplacePairs(source) {
+    const lines = typeof source === 'string' ? source.split(/\r?\n/) : Array.from(source ?? []);
+    const map = new Map();
+    lines.forEach((line, i) => {
+        if (!String(line ?? '').trim()) return;
+        const tab = line.indexOf('\t');
+        if (tab < 0) throw new Error(`Replace map line ${i + 1}: expected "from<TAB>to", got "${line}"`);
+        const from = normNFKC(line.slice(0, tab));
+        if (from) map.set(from, normNFKC(line.slice(tab + 1)));
+    });
+    return map;
+}
+
 /**
  * 置換表による一括（リテラル）置換を行うための変換。
  * 原理: (from,to) のペアを長いキー優先で順に split/join し、複数のリテラル置換を合成する。
@@ -555,6 +659,28 @@ export async function sortLocale(items, {
     return new Set(arr);
 }
 
+export const SORT_MODES = ['locale', 'length', 'natural', 'collation'];
+
+/**
+ * 並べ替えの方式を名前で選ぶためのソート。
+ * 原理: mode に応じて sort（locale）/ sortByLength（length）/ sortNatural（natural）/ sortLocale（collation）へ振り分ける。
+ * なにをする: 並べ替えた Set を返す（Set の挿入順が並び順になる）。collation 以外では使わない比較設定は無視する。
+ * @param {Iterable} items
+ * @param {object} params - { mode?: string, order?: 'asc'|'desc', locale?: string, sensitivity?, caseFirst?, ignorePunctuation?, numeric? }
+ * @param {object} hooks
+ */
+export async function sortBy(items, { mode = 'locale', ...options } = {}, hooks = {}) {
+    const { order = 'asc', locale = 'ja', sensitivity } = options;
+    let out;
+    if (mode === 'locale') return sort(items, { order, locale }, hooks);
+    if (mode === 'length') out = await sortByLength(items, { order, locale });
+    else if (mode === 'natural') out = await sortNatural(items, sensitivity ? { order, locale, sensitivity } : { order, locale });
+    else if (mode === 'collation') out = await sortLocale(items, options);
+    else throw new Error(`Unknown sort mode: ${mode}`);
+    if (hooks.onProgress) hooks.onProgress(out.size, out.size);
+    return out;
+}
+
 /**
  * 検索・照合用のキー（指紋）を作るための変換。
  * 原理: NFKC→小文字化→空白除去→（任意で）句読点/記号除去、で比較耐性の高いキーを作る。
@@ -7,7 +7,7 @@
  *
  * @module core/utils
  * @requires none
- * @exports processWithBatching, makeSeedFromString, mulberry32, nowISO
+ * @exports processWithBatching, checkpoint, makeSeedFromString, mulberry32, nowISO, hashItems, hashSequence
  */
 
 /**
@@ -35,6 +35,60 @@ export function makeSeedFromString(seed) {
     return (Math.imul(h ^ (h >>> 16), 2246822507) ^ Math.imul(h ^ (h >>> 13), 3266489909)) >>> 0;
 }
 
+/**
+ * FNV-1a 32-bit hash of a string.
+ * @param {string} s
+ * @returns {number}
+ */
+function fnv1a(s) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < s.length; i += 1) {
+        h ^= s.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * Computes an order-independent content hash of a collection of strings.
+ * Two collections with the same members (in any order) get the same hash,
+ * which matches Set semantics and lets callers detect content changes cheaply.
+ * @param {Iterable<string>} items
+ * @returns {string} e.g. "3:1a2b3c4d:5e6f7a8b"
+ */
+export function hashItems(items) {
+    let sum = 0;
+    let mix = 0;
+    let size = 0;
+    for (const item of items) {
+        const h = fnv1a(String(item));
+        sum = (sum + h) >>> 0;
+        // Second accumulator over a remixed hash reduces accidental collisions.
+        mix = (mix ^ Math.imul(h ^ (h >>> 16), 0x45d9f3b)) >>> 0;
+        size += 1;
+    }
+    return `${size}:${sum.toString(16).padStart(8, '0')}:${mix.toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Computes an order-dependent content hash of a sequence of strings.
+ * Same format as `hashItems`; used for ordered bags, whose order is content.
+ * @param {Iterable<string>} items
+ * @returns {string}
+ */
+export function hashSequence(items) {
+    let a = 0x811c9dc5;
+    let b = 0;
+    let size = 0;
+    for (const item of items) {
+        const h = fnv1a(String(item));
+        a = Math.imul(a ^ h, 0x01000193) >>> 0;
+        b = (Math.imul(b, 31) + (h ^ (h >>> 16))) >>> 0;
+        size += 1;
+    }
+    return `${size}:${a.toString(16).padStart(8, '0')}:${b.toString(16).padStart(8, '0')}`;
+}
+
 /**
  * Creates a seeded random number generator (Mulberry32).
  * @param {number} a Seed value
@@ -49,6 +103,17 @@ export function mulberry32(a) {
     };
 }
 
+/**
+ * Cancellation / pause point for long loops.
+ * Waits while `control` is paused and throws once `signal` (or `control`) is aborted.
+ * @param {{signal?: AbortSignal, control?: {checkpoint: function(): Promise<void>}}} [hooks]
+ * @returns {Promise<void>}
+ */
+export async function checkpoint({ signal, control } = {}) {
+    if (control) await control.checkpoint();
+    if (signal?.aborted) throw signal.reason || new Error('Cancelled');
+}
+
 /**
  * Helper to iterate over items with batching options to prevent UI blocking.
  * @param {Iterable} items - Source items (Set or Array)
@@ -57,9 +122,14 @@ export function mulberry32(a) {
  * @param {function(): Promise<void>} [options.yielder] - Function to yield control (e.g., waitFrame)
  * @param {number} [options.batchSize=200] - Number of items to process before yielding
  * @param {function(Array): void} [options.onChunk] - Callback for progressive updates
+ * @param {AbortSignal} [options.signal] - Stops the loop (throws) when aborted
+ * @param {object} [options.control] - Job control; the loop waits while it is paused
+ * @param {function(number, number): void} [options.onProgress] - Receives (input items consumed, input total)
+ * @param {function(string, string): void} [options.onReject] - Receives (item, reason) for items that threw, and for dropped items when `dropReason` is set
+ * @param {string} [options.dropReason] - Reason reported for items that produced no output (null); leave unset where null means "filtered out"
  * @returns {Promise<Set<any>>}
  */
-export async function processWithBatching(items, processFn, { yielder, batchSize = 200, onChunk = null, concurrency = 5 } = {}) {
+export async function processWithBatching(items, processFn, { yielder, batchSize = 200, onChunk = null, concurrency = 5, signal = null, control = null, onProgress = null, onReject = null, dropReason = null } = {}) {
     console.log(`[processWithBatching] Start. Items size: ${items instanceof Set ? items.size : items.length}, BatchSize: ${batchSize}, Concurrency: ${concurrency}`);
     const out = new Set();
     let chunkBuffer = [];
@@ -73,6 +143,7 @@ export async function processWithBatching(items, processFn, { yielder, batchSize
 
     // Convert to array to support indexed slicing for batches
     const itemsArray = Array.from(items);
+    if (onProgress) onProgress(0, itemsArray.length);
 
     for (let i = 0; i < itemsArray.length; i += batchSize) {
         const batch = itemsArray.slice(i, i + batchSize);
@@ -80,13 +151,21 @@ export async function processWithBatching(items, processFn, { yielder, batchSize
 
         // Process batch with limited concurrency
         for (let j = 0; j < batch.length; j += concurrency) {
+            if (signal || control) {
+                // Hand over what was produced so far before stopping or pausing.
+                if (signal?.aborted || control?.paused) flushChunk();
+                await checkpoint({ signal, control });
+            }
             const concurrentBatch = batch.slice(j, j + concurrency);
 
             const results = await Promise.all(concurrentBatch.map(async (item) => {
                 try {
-                    return await processFn(item);
+                    const res = await processFn(item);
+                    if ((res === null || res === undefined) && dropReason && onReject) onReject(item, dropReason);
+                    return res;
                 } catch (e) {
                     console.error("Item processing error:", e);
+                    if (onReject) onReject(item, `error: ${e?.message || e}`);
                     return null;
                 }
             }));
@@ -105,6 +184,7 @@ export async function processWithBatching(items, processFn, { yielder, batchSize
                     }
                 }
             }
+            if (onProgress) onProgress(i + j + concurrentBatch.length, itemsArray.length);
         }
 
         // Yield control to UI/GC
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview WordNet synonym operations.
+ * @summary Synonym expansion and synonym clusters over synset ids.
+ * @description
+ * A WordNet file (`wordnet_omw-ja_*_synsets_*.json`) lists synsets, each an
+ * id with the lemmas it groups. Imported with attributes (see core/attrs),
+ * every lemma keeps the ids of its synsets, so a bag's attribute map is a
+ * lookup: lemmas sharing an id are synonyms.
+ *
+ * Expansion follows synsets breadth first and reports each reached lemma's
+ * hop count (0 for the input items). Clustering links the items of a bag
+ * that share a synset, directly or through other items of the bag; a
+ * cluster is named after its smallest member (code point order), so the id
+ * stays the same as long as that member stays.
+ *
+ * @module core/wordnet
+ * @requires core/utils
+ * @requires core/attrs
+ * @exports synsetIndex, expandSynonyms, synonymClusters, clusterGroups, expansionRecords, clusterRecords
+ */
+
+import { processWithBatching } from './utils.js';
+import { attrValues, mergeRecords } from './attrs.js';
+
+/**
+ * Synset ids per lemma and lemmas per synset id.
+ * @param {Map<string, object>|null} attrs Lookup attributes (item → record with `id`)
+ * @returns {{synsetsOf: Map<string, string[]>, lemmasOf: Map<string, string[]>}}
+ */
+export function synsetIndex(attrs) {
+    const synsetsOf = new Map();
+    const lemmasOf = new Map();
+    for (const [lemma, record] of attrs || []) {
+        const ids = attrValues(record, 'id');
+        if (!ids.length) continue;
+        synsetsOf.set(lemma, ids);
+        for (const id of ids) {
+            if (!lemmasOf.has(id)) lemmasOf.set(id, []);
+            lemmasOf.get(id).push(lemma);
+        }
+    }
+    return { synsetsOf, lemmasOf };
+}
+
+/**
+ * Items and the lemmas sharing their synsets, up to `hops` steps away.
+ * @param {Iterable<string>} items
+ * @param {{attrs: Map<string, object>, hops?: number}} params
+ * @param {object} [hooks] Progress restarts for each hop
+ * @returns {Promise<Map<string, number>>} item → hop count, in the order reached
+ */
+export async function expandSynonyms(items, { attrs, hops = 1 }, hooks) {
+    const { synsetsOf, lemmasOf } = synsetIndex(attrs);
+    const out = new Map();
+    let frontier = [];
+    for (const w of items) {
+        if (out.has(w)) continue;
+        out.set(w, 0);
+        frontier.push(w);
+    }
+    for (let hop = 1; hop <= hops && frontier.length; hop += 1) {
+        const next = [];
+        await processWithBatching(frontier, w => {
+            for (const id of synsetsOf.get(w) || []) {
+                for (const lemma of lemmasOf.get(id)) {
+                    if (out.has(lemma)) continue;
+                    out.set(lemma, hop);
+                    next.push(lemma);
+                }
+            }
+            return null;
+        }, hooks);
+        frontier = next;
+    }
+    return out;
+}
+
+/**
+ * Synonym clusters of the items that have synsets.
+ * @param {Iterable<string>} items
+ * @param {{attrs: Map<string, object>}} params
+ * @param {object} [hooks]
+ * @returns {Promise<Map<string, string>>} item → cluster id, in item order
+ */
+export async function synonymClusters(items, { attrs }, hooks) {
+    const parent = new Map();
+    const find = (w) => {
+        let root = w;
+        while (parent.get(root) !== root) root = parent.get(root);
+        while (parent.get(w) !== root) {
+            const up = parent.get(w);
+            parent.set(w, root);
+            w = up;
+        }
+        return root;
+    };
+    const firstOf = new Map(); // synset id → first item seen with it
+    await processWithBatching(items, w => {
+        const ids = attrValues(attrs?.get(w), 'id');
+        if (!ids.length || parent.has(w)) return null;
+        parent.set(w, w);
+        for (const id of ids) {
+            const other = firstOf.get(id);
+            if (other === undefined) firstOf.set(id, w);
+            else parent.set(find(w), find(other));
+        }
+        return null;
+    }, hooks);
+
+    const names = new Map(); // root → smallest member
+    for (const w of parent.keys()) {
+        const root = find(w);
+        const name = names.get(root);
+        if (name === undefined || w < name) names.set(root, w);
+    }
+    const out = new Map();
+    for (const w of parent.keys()) out.set(w, names.get(find(w)));
+    return out;
+}
+
+/**
+ * Members per cluster, largest cluster first (ties by id).
+ * @param {Map<string, string>} clusters item → cluster id
+ * @returns {Map<string, string[]>}
+ */
+export function clusterGroups(clusters) {
+    const groups = new Map();
+    for (const [w, id] of clusters) {
+        if (!groups.has(id)) groups.set(id, []);
+        groups.get(id).push(w);
+    }
+    const sorted = Array.from(groups).sort((a, b) => b[1].length - a[1].length || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    return new Map(sorted);
+}
+
+/**
+ * Records of an expansion: the sources' records plus the hop count.
+ * @param {Map<string, number>} reached item → hop count (see expandSynonyms)
+ * @param {...(Map<string, object>|null)} sources Attribute maps whose records are kept
+ * @returns {Map<string, object>}
+ */
+export function expansionRecords(reached, ...sources) {
+    const out = new Map();
+    for (const [w, hop] of reached) {
+        out.set(w, mergeRecords(...sources.map(attrs => attrs?.get(w)), { hops: [String(hop)] }));
+    }
+    return out;
+}
+
+/**
+ * Records of clustered items: the sources' records plus the cluster id.
+ * @param {Iterable<string>} items
+ * @param {Map<string, string>} clusters item → cluster id (see synonymClusters)
+ * @param {...(Map<string, object>|null)} sources Attribute maps whose records are kept
+ * @returns {Map<string, object>}
+ */
+export function clusterRecords(items, clusters, ...sources) {
+    const out = new Map();
+    for (const w of items) {
+        const id = clusters.get(w);
+        const record = mergeRecords(...sources.map(attrs => attrs?.get(w)), id === undefined ? null : { cluster: [id] });
+        if (record) out.set(w, record);
+    }
+    return out;
+}
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Attributes carried through operations.
+ * @summary Decides which inputs' attribute records an operation's result gets.
+ * @description
+ * A bag can hold attribute records per item (`bag.attrs`, see
+ * domain/models/bag and core/attrs), e.g. the POS and glosses of imported
+ * dictionary entries. A result item keeps the records its inputs hold for the
+ * same string, merged:
+ *  - selections (filters, sort, sample, see ITEM_PRESERVING_OPS in
+ *    domain/models/counts): the input's records;
+ *  - union, intersection, symmetric difference: both inputs' records;
+ *  - difference: A's records;
+ *  - filter_in: the source's and the lookup's, so filtering a word list by a
+ *    dictionary bag attaches the dictionary's attributes.
+ * Pre-normalized inputs are converted strings and contribute nothing; other
+ * operations give results without attributes.
+ *
+ * @module domain/models/attrs
+ * @requires core/attrs
+ * @requires domain/models/counts
+ * @exports inheritedAttrs
+ */
+
+import { mergeRecords } from '../../core/attrs.js';
+import { ITEM_PRESERVING_OPS } from './counts.js';
+
+// [ref key, pre-normalization key] of the inputs whose records an op's result keeps.
+function attrSources(meta) {
+    switch (meta?.op) {
+        case 'union':
+        case 'intersection':
+        case 'symmetric_difference':
+            return [['src_a', 'normalize_before'], ['src_b', 'normalize_before']];
+        case 'difference':
+            return [['src_a', 'normalize_before']];
+        case 'filter_in':
+            return [['src', 'normalize_src_before'], ['lookup', 'normalize_lookup_before']];
+        default:
+            return ITEM_PRESERVING_OPS.has(meta?.op) ? [['src', 'normalize_before']] : [];
+    }
+}
+
+/**
+ * The attribute records a result inherits from its inputs.
+ * @param {object} meta Result bag meta
+ * @param {Iterable<string>} items Result items
+ * @param {function(number): ({attrs: (Map<string, object>|null)}|undefined)} getBag
+ * @returns {Map<string, object>|null} null when no input has attributes
+ */
+export function inheritedAttrs(meta, items, getBag) {
+    const sources = attrSources(meta)
+        .filter(([, prenorm]) => !meta[prenorm]) // false, or a target (see domain/ops/prenormalize)
+        .map(([ref]) => getBag(meta[ref])?.attrs)
+        .filter(Boolean);
+    if (!sources.length) return null;
+    const out = new Map();
+    for (const item of items) {
+        const record = mergeRecords(...sources.map(attrs => attrs.get(item)));
+        if (record) out.set(item, record);
+    }
+    return out.size ? out : null;
+}
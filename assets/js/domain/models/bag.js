@@ -4,33 +4,51 @@
  * @description
  * The Bag is the central entity in the domain. It holds a Set of strings (items)
  * and metadata describing its origin (operation history) and current status
- * (ready or processing).
+ * (ready, processing, or cancelled / error for partial results). `meta.version` is a content hash of the items; it
+ * changes whenever the items do, so derived bags can tell whether their inputs
+ * moved on since they were computed. For an ordered bag (`meta.ordering`, see
+ * domain/models/ordering) the hash also covers the order.
+ *
+ * A counted bag (multiset) also has `counts`, a Map of item → count (≥ 1)
+ * over the same items; `items` stays the Set of distinct items, so code that
+ * ignores counts sees a plain bag. Passing a Map as items makes a counted bag.
+ * `meta.total` is the sum of the counts, and the version covers them.
+ *
+ * A bag can also hold attribute records per item (`attrs`, a Map of item →
+ * record, see core/attrs), e.g. POS and glosses from an imported dictionary.
+ * Items without a record have no attributes; the version covers the records.
  *
  * @module domain/models/bag
  * @requires core/utils
  * @exports Bag
  */
 
-import { nowISO } from '../../core/utils.js';
+import { nowISO, hashItems, hashSequence } from '../../core/utils.js';
 
 let _nextId = 0;
 
 export class Bag {
     /**
      * @param {string} name 
-     * @param {Iterable<string>} items 
+     * @param {Iterable<string>|Map<string, number>} items A Map (item → count) makes a counted bag
      * @param {object} meta 
      */
     constructor(name, items, meta = {}) {
         this.id = _nextId++;
         this.name = name || `bag#${this.id}`;
-        this.items = new Set(items || []);
+        /** @type {Map<string, number>|null} */
+        this.counts = items instanceof Map ? new Map(items) : null;
+        this.items = this.counts ? new Set(this.counts.keys()) : new Set(items || []);
+        /** @type {Map<string, object>|null} */
+        this.attrs = null;
         this.meta = Object.assign({}, meta);
         if (!this.meta.created_at) this.meta.created_at = nowISO();
         this.meta.size = this.items.size;
+        if (this.counts) this.meta.total = this.totalCount();
+        if (!this.meta.version) this.meta.version = this.contentHash();
 
         // Progressive State
-        this.status = this.meta.status || 'ready'; // 'ready' | 'processing'
+        this.status = this.meta.status || 'ready'; // 'ready' | 'processing' | 'cancelled' | 'error'
         this.progress = { current: this.items.size, total: 0 };
     }
 
@@ -39,28 +57,137 @@ export class Bag {
      * @returns {string}
      */
     label() {
-        return `[${this.id}] ${this.name} (${this.items.size})${this.status === 'processing' ? ' ⏳' : ''}`;
+        const size = this.counts ? `${this.items.size} / Σ${this.meta.total ?? this.totalCount()}` : this.items.size;
+        return `[${this.id}] ${this.name} (${size})${this.status === 'processing' ? ' ⏳' : ''}`;
     }
 
     /**
      * Updates progress for long-running operations.
-     * @param {number} current 
-     * @param {number} total 
+     * Counts input items consumed, not items produced.
+     * @param {number} current Input items processed so far
+     * @param {number} total Input items overall (0 when unknown)
      */
     updateProgress(current, total) {
         this.progress.current = current;
         this.progress.total = total;
     }
 
+    /**
+     * Replaces the items and refreshes size and version. A Map makes the bag
+     * counted, anything else plain. Attributes of items that remain are kept.
+     * @param {Iterable<string>|Map<string, number>} items
+     */
+    setItems(items) {
+        if (items instanceof Map) {
+            this.counts = items;
+            this.items = new Set(items.keys());
+        } else {
+            this.counts = null;
+            this.items = items instanceof Set ? items : new Set(items || []);
+        }
+        if (this.attrs) {
+            for (const item of this.attrs.keys()) if (!this.items.has(item)) this.attrs.delete(item);
+            if (!this.attrs.size) this.attrs = null;
+        }
+        this.refreshVersion();
+    }
+
+    /**
+     * Replaces the attribute records and refreshes the version.
+     * @param {Map<string, object>|null} attrs item → record; records of absent items are ignored
+     */
+    setAttrs(attrs) {
+        this.attrs = attrs?.size ? attrs : null;
+        this.refreshVersion();
+    }
+
+    /**
+     * Attribute record of an item (see core/attrs).
+     * @param {string} item
+     * @returns {object|null}
+     */
+    attrOf(item) {
+        return this.attrs?.get(item) ?? null;
+    }
+
+    /**
+     * Count of an item: 1 for any item of a plain bag, 0 for absent items.
+     * @param {string} item
+     * @returns {number}
+     */
+    countOf(item) {
+        if (!this.items.has(item)) return 0;
+        return this.counts ? (this.counts.get(item) ?? 1) : 1;
+    }
+
+    /**
+     * Sum of the counts (the size of a plain bag).
+     * @returns {number}
+     */
+    totalCount() {
+        if (!this.counts) return this.items.size;
+        let sum = 0;
+        for (const item of this.items) sum += this.counts.get(item) ?? 1;
+        return sum;
+    }
+
+    /**
+     * Recomputes size and content version after the items were mutated in place.
+     */
+    refreshVersion() {
+        this.meta.size = this.items.size;
+        if (this.counts) this.meta.total = this.totalCount();
+        else delete this.meta.total;
+        this.meta.version = this.contentHash();
+    }
+
+    /**
+     * Content hash of the items (with their counts and attributes, when
+     * present); order-dependent when the bag is ordered.
+     * @returns {string}
+     */
+    contentHash() {
+        const keys = this.counts || this.attrs
+            ? Array.from(this.items, item => {
+                let key = item;
+                if (this.counts) key += `\u0000${this.counts.get(item) ?? 1}`;
+                if (this.attrs?.has(item)) key += `\u0000${JSON.stringify(this.attrs.get(item))}`;
+                return key;
+            })
+            : this.items;
+        return this.meta.ordering ? hashSequence(keys) : hashItems(keys);
+    }
+
     /**
      * Marks the bag as ready and updates metadata.
      */
     finish() {
         this.status = 'ready';
         this.meta.status = 'ready'; // Persist
-        this.meta.size = this.items.size;
+        this.refreshVersion();
         this.meta.completed_at = nowISO();
     }
+
+    /**
+     * Stops processing, keeping the items produced so far.
+     */
+    cancel() {
+        this.status = 'cancelled';
+        this.meta.status = 'cancelled';
+        this.refreshVersion();
+        this.meta.cancelled_at = nowISO();
+    }
+
+    /**
+     * Stops processing after a failure, keeping the items produced so far.
+     * @param {string} message
+     */
+    fail(message) {
+        this.status = 'error';
+        this.meta.status = 'error';
+        this.meta.error = message;
+        this.refreshVersion();
+    }
 }
 
 /**
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Counts carried through operations.
+ * @summary Decides when an operation's result keeps its input's counts.
+ * @description
+ * A counted bag (see domain/models/bag) stays counted through operations
+ * that only select or reorder its items: a filter of a counted bag keeps the
+ * counts of the items it keeps. Operations that compute counts themselves
+ * (counted set operations, n-gram counting, frequency filters) report them
+ * through the `onCounts` hook instead (see domain/ops/base); anything else
+ * gives a plain bag.
+ *
+ * With pre-normalization the operation works on converted strings, which are
+ * not the counted items, so the result is plain.
+ *
+ * @module domain/models/counts
+ * @exports ITEM_PRESERVING_OPS, inheritedCounts
+ */
+
+/**
+ * Operations whose output items are input items, unchanged. Their results
+ * also keep the input's attributes (see domain/models/attrs).
+ */
+export const ITEM_PRESERVING_OPS = new Set([
+    'sort', 'unique_normalized', 'sample', 'filter_in',
+    'filter_length', 'filter_prefix', 'filter_suffix', 'filter_contains', 'filter_regex', 'filter_similarity',
+    'filter_normalized_equals', 'filter_normalized_contains', 'filter_script', 'filter_unicode_property',
+    'filter_subsequence', 'filter_char_at', 'filter_ngram_jaccard', 'filter_hamming', 'filter_pattern_preset',
+    'filter_attr', 'filter_pos', 'synonym_clusters', 'synonym_cluster'
+]);
+
+/**
+ * The counts a result inherits from its counted input.
+ * @param {object} meta Result bag meta
+ * @param {Iterable<string>} items Result items
+ * @param {function(number): ({counts: (Map<string, number>|null)}|undefined)} getBag
+ * @returns {Map<string, number>|null} null when the result is plain
+ */
+export function inheritedCounts(meta, items, getBag) {
+    if (!ITEM_PRESERVING_OPS.has(meta?.op)) return null;
+    const prenorm = meta.op === 'filter_in' ? meta.normalize_src_before : meta.normalize_before;
+    if (prenorm) return null; // false, or a target (see domain/ops/prenormalize)
+    const counts = getBag(meta.src)?.counts;
+    if (!counts) return null;
+    return new Map(Array.from(items, item => [item, counts.get(item) ?? 1]));
+}
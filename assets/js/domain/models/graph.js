@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Bag dependency graph.
+ * @summary Builds a DAG from bag lineage and orders recomputation.
+ * @description
+ * Each derived bag depends on the bags listed in its meta (`src`, `src_a`,
+ * `src_b`, `lookup`, `map_src`; see domain/models/lineage). This module turns those
+ * references into a graph so that reapply can follow data dependencies
+ * instead of the display order, which users are free to rearrange.
+ *
+ * @module domain/models/graph
+ * @requires domain/models/lineage
+ * @exports buildGraph, ancestorsOf, descendantsOf, topoOrder
+ */
+
+import { sourceIdsOf } from './lineage.js';
+
+/**
+ * Builds the dependency graph of the given bags.
+ * References to bags that are not in the list are collected in `missing`.
+ * @param {Array<{id:number, meta:object}>} bags Bags in display order
+ * @returns {{ids: number[], parents: Map<number, number[]>, children: Map<number, number[]>, missing: Map<number, number[]>}}
+ */
+export function buildGraph(bags) {
+    const ids = bags.map(b => b.id);
+    const known = new Set(ids);
+    const parents = new Map();
+    const children = new Map();
+    const missing = new Map();
+
+    for (const id of ids) children.set(id, []);
+    for (const b of bags) {
+        const srcs = sourceIdsOf(b.meta);
+        parents.set(b.id, srcs.filter(id => known.has(id)));
+        const absent = srcs.filter(id => !known.has(id));
+        if (absent.length) missing.set(b.id, absent);
+        for (const p of parents.get(b.id)) children.get(p).push(b.id);
+    }
+    return { ids, parents, children, missing };
+}
+
+function walk(start, edges) {
+    const seen = new Set();
+    const stack = [...(edges.get(start) || [])];
+    while (stack.length) {
+        const id = stack.pop();
+        if (seen.has(id)) continue;
+        seen.add(id);
+        stack.push(...(edges.get(id) || []));
+    }
+    seen.delete(start);
+    return seen;
+}
+
+/**
+ * All bags the given bag (transitively) reads from.
+ * @param {object} graph
+ * @param {number} id
+ * @returns {Set<number>}
+ */
+export function ancestorsOf(graph, id) {
+    return walk(Number(id), graph.parents);
+}
+
+/**
+ * All bags that (transitively) read from the given bag.
+ * @param {object} graph
+ * @param {number} id
+ * @returns {Set<number>}
+ */
+export function descendantsOf(graph, id) {
+    return walk(Number(id), graph.children);
+}
+
+/**
+ * Topologically sorts a subset of the graph (Kahn's algorithm).
+ * Ties are broken by display order so the result is stable.
+ * Bags on a cycle, or downstream of one, cannot be ordered and are returned in `cyclic`.
+ * @param {object} graph
+ * @param {Iterable<number>} [subset] Defaults to every bag
+ * @returns {{order: number[], cyclic: number[]}}
+ */
+export function topoOrder(graph, subset = graph.ids) {
+    const members = new Set(Array.from(subset, Number));
+    const rank = new Map(graph.ids.map((id, i) => [id, i]));
+    const indegree = new Map();
+
+    for (const id of members) {
+        indegree.set(id, (graph.parents.get(id) || []).filter(p => members.has(p)).length);
+    }
+
+    const ready = graph.ids.filter(id => members.has(id) && indegree.get(id) === 0);
+    const order = [];
+    while (ready.length) {
+        const id = ready.shift();
+        order.push(id);
+        for (const child of graph.children.get(id) || []) {
+            if (!members.has(child)) continue;
+            const d = indegree.get(child) - 1;
+            indegree.set(child, d);
+            if (d === 0) {
+                // Keep `ready` sorted by display order.
+                const at = ready.findIndex(x => rank.get(x) > rank.get(child));
+                if (at < 0) ready.push(child);
+                else ready.splice(at, 0, child);
+            }
+        }
+    }
+
+    const placed = new Set(order);
+    const cyclic = graph.ids.filter(id => members.has(id) && !placed.has(id));
+    return { order, cyclic };
+}
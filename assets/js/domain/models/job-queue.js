@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Job scheduler for progressive operations.
+ * @summary Queues operations and runs a limited number of them at a time.
+ * @description
+ * Every `runProgressiveOp` call becomes a job. Jobs wait in the queue until a
+ * slot is free (`concurrency`), then start in priority order (higher first,
+ * FIFO within a priority). Finished jobs stay listed with their timings so the
+ * Jobs panel can show throughput, until `clearFinished()`.
+ *
+ * A job's `run` receives the job itself and must settle when the work is over.
+ * Cancelling a queued job starts it right away so that it can finalize its bag
+ * (the run stops at its first checkpoint).
+ *
+ * @module domain/models/job-queue
+ * @requires domain/models/job
+ * @exports JobQueue, JOBS, JOB_PRIORITY
+ */
+
+import { JobControl } from './job.js';
+
+/** Named priority levels. Any number works; higher runs first. */
+export const JOB_PRIORITY = {
+    low: -1,
+    normal: 0,
+    high: 1
+};
+
+const MAX_FINISHED = 200;
+
+export class JobQueue {
+    constructor(concurrency = 2) {
+        this.concurrency = concurrency;
+        this._jobs = [];
+        this._nextId = 1;
+        this._listeners = new Set();
+    }
+
+    on(event, cb) {
+        if (event === 'change') this._listeners.add(cb);
+    }
+
+    off(event, cb) {
+        if (event === 'change') this._listeners.delete(cb);
+    }
+
+    notify() {
+        for (const cb of this._listeners) cb();
+    }
+
+    /**
+     * Adds a job to the queue.
+     * @param {object} spec
+     * @param {string} spec.name
+     * @param {string} [spec.op] meta.op of the operation
+     * @param {number} [spec.bagId] Bag the job fills
+     * @param {number} [spec.priority]
+     * @param {JobControl} [spec.control]
+     * @param {function(object): Promise<void>} spec.run
+     * @returns {object} The job record
+     */
+    enqueue({ name, op = null, bagId = null, priority = JOB_PRIORITY.normal, control = new JobControl(), run }) {
+        const job = {
+            id: this._nextId++,
+            name,
+            op,
+            bagId,
+            priority: Number(priority) || 0,
+            control,
+            run,
+            state: 'queued', // 'queued' | 'running' | 'done' | 'failed' | 'cancelled'
+            enqueuedAt: Date.now(),
+            startedAt: null,
+            finishedAt: null,
+            processed: 0,
+            error: null
+        };
+        control.on(state => {
+            if (state === 'cancelled' && job.state === 'queued') this._start(job);
+            else this.notify();
+        });
+        this._jobs.push(job);
+        this._trim();
+        this.notify();
+        this._pump();
+        return job;
+    }
+
+    get(id) { return this._jobs.find(j => j.id === Number(id)); }
+    all() { return this._jobs.slice(); }
+
+    /**
+     * The latest job that filled the given bag.
+     * @param {number} bagId
+     * @returns {object|undefined}
+     */
+    forBag(bagId) {
+        for (let i = this._jobs.length - 1; i >= 0; i--) {
+            if (this._jobs[i].bagId === Number(bagId)) return this._jobs[i];
+        }
+        return undefined;
+    }
+
+    running() { return this._jobs.filter(j => j.state === 'running'); }
+
+    /**
+     * Queued jobs in the order they will start.
+     * @returns {object[]}
+     */
+    queued() {
+        return this._jobs
+            .filter(j => j.state === 'queued')
+            .sort((a, b) => (b.priority - a.priority) || (a.id - b.id));
+    }
+
+    /**
+     * @param {number} n Maximum number of jobs running at once (>= 1)
+     */
+    setConcurrency(n) {
+        this.concurrency = Math.max(1, Math.floor(Number(n)) || 1);
+        this.notify();
+        this._pump();
+    }
+
+    setPriority(id, priority) {
+        const job = this.get(id);
+        if (!job || job.state !== 'queued') return false;
+        job.priority = Number(priority) || 0;
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Records progress reported by the job.
+     * @param {object} job
+     * @param {number} processed
+     */
+    reportProgress(job, processed) {
+        job.processed = processed;
+    }
+
+    /**
+     * Removes finished jobs from the list.
+     */
+    clearFinished() {
+        this._jobs = this._jobs.filter(j => j.state === 'queued' || j.state === 'running');
+        this.notify();
+    }
+
+    _trim() {
+        const finished = this._jobs.filter(j => j.finishedAt !== null);
+        if (finished.length <= MAX_FINISHED) return;
+        const drop = new Set(finished.slice(0, finished.length - MAX_FINISHED));
+        this._jobs = this._jobs.filter(j => !drop.has(j));
+    }
+
+    _pump() {
+        let free = this.concurrency - this.running().length;
+        for (const job of this.queued()) {
+            if (free <= 0) break;
+            this._start(job);
+            free -= 1;
+        }
+    }
+
+    _start(job) {
+        job.state = 'running';
+        job.startedAt = Date.now();
+        this.notify();
+
+        Promise.resolve()
+            .then(() => job.run(job))
+            .then(() => {
+                job.state = job.control.cancelled ? 'cancelled' : 'done';
+            }, (err) => {
+                job.state = job.control.cancelled ? 'cancelled' : 'failed';
+                if (job.state === 'failed') job.error = err?.message || String(err);
+            })
+            .finally(() => {
+                job.finishedAt = Date.now();
+                this._trim();
+                this.notify();
+                this._pump();
+            });
+    }
+}
+
+export const JOBS = new JobQueue();
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Job control for long-running operations.
+ * @summary Cancel / pause / resume handle for a progressive operation.
+ * @description
+ * `runProgressiveOp` creates one `JobControl` per bag it fills. The control is
+ * passed down to the processing loops through the hooks (`signal`, `control`),
+ * which check it between batches: a cancelled job throws out of the loop, a
+ * paused one waits there until it is resumed. Because the check happens only at
+ * batch boundaries, items already produced are kept.
+ *
+ * @module domain/models/job
+ * @requires none
+ * @exports JobControl, trackJob, untrackJob, getJobControl
+ */
+
+export class JobControl {
+    constructor() {
+        this._abort = new AbortController();
+        /** @type {'running'|'paused'|'cancelled'} */
+        this.state = 'running';
+        this._resumeWaiters = [];
+        this._listeners = new Set();
+    }
+
+    /** @returns {AbortSignal} */
+    get signal() {
+        return this._abort.signal;
+    }
+
+    get paused() {
+        return this.state === 'paused';
+    }
+
+    get cancelled() {
+        return this.state === 'cancelled';
+    }
+
+    /**
+     * Subscribes to state changes.
+     * @param {function('running'|'paused'|'cancelled'): void} fn
+     * @returns {function(): void} Unsubscribe
+     */
+    on(fn) {
+        this._listeners.add(fn);
+        return () => this._listeners.delete(fn);
+    }
+
+    _setState(state) {
+        this.state = state;
+        for (const fn of this._listeners) fn(state);
+    }
+
+    pause() {
+        if (this.state !== 'running') return;
+        this._setState('paused');
+    }
+
+    resume() {
+        if (this.state !== 'paused') return;
+        this._setState('running');
+        this._releaseWaiters();
+    }
+
+    /**
+     * Stops the job. Loops observe it at their next checkpoint.
+     */
+    cancel() {
+        if (this.state === 'cancelled') return;
+        const err = new Error('Cancelled');
+        err.name = 'AbortError';
+        this._abort.abort(err);
+        this._setState('cancelled');
+        this._releaseWaiters();
+    }
+
+    _releaseWaiters() {
+        const waiters = this._resumeWaiters;
+        this._resumeWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    /**
+     * Throws if cancelled, waits while paused. Call between batches.
+     * @returns {Promise<void>}
+     */
+    async checkpoint() {
+        while (this.state === 'paused') {
+            await new Promise(resolve => this._resumeWaiters.push(resolve));
+        }
+        if (this.signal.aborted) throw this.signal.reason;
+    }
+}
+
+/** @type {Map<number, JobControl>} bag id → control of the job filling it */
+const activeJobs = new Map();
+
+/**
+ * @param {number} bagId
+ * @param {JobControl} control
+ */
+export function trackJob(bagId, control) {
+    activeJobs.set(bagId, control);
+}
+
+/**
+ * @param {number} bagId
+ */
+export function untrackJob(bagId) {
+    activeJobs.delete(bagId);
+}
+
+/**
+ * Control of the job currently filling the bag, if any.
+ * @param {number} bagId
+ * @returns {JobControl|undefined}
+ */
+export function getJobControl(bagId) {
+    return activeJobs.get(Number(bagId));
+}
@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Bag lineage helpers.
+ * @summary Reads and rewrites the bag references stored in `meta`.
+ * @description
+ * Derived bags record where they came from in their metadata: `src` (a single
+ * id, or "a,b" for two-input operations), `src_a` / `src_b`, `lookup`,
+ * `map_src` (a replace map) and `cloned_from`. These helpers are the single place that knows those keys, so
+ * project import/export and reapply agree on what a reference is.
+ *
+ * A computed bag also records `meta.computed_from`: the versions of its inputs
+ * and a signature of its operation parameters at the time it was computed.
+ * Comparing that record with the current state tells whether it is stale.
+ *
+ * @module domain/models/lineage
+ * @requires none
+ * @exports REF_KEYS, sourceIdsOf, referencedIds, remapRefs, detachRefs, paramSignature, computationRecord, isComputationCurrent
+ */
+
+/**
+ * Meta keys that may hold bag ids.
+ * `cloned_from` is provenance only; it is not an input of the operation.
+ * `rejects_bag` points at the companion bag of rejected items (see domain/ops/base).
+ */
+export const REF_KEYS = ['src', 'src_a', 'src_b', 'lookup', 'map_src', 'cloned_from', 'rejects_bag'];
+
+function toId(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const n = Number(value);
+    return Number.isInteger(n) ? n : null;
+}
+
+function parseSrc(src) {
+    if (src === null || src === undefined || src === '') return [];
+    return String(src).split(',').map(toId).filter(id => id !== null);
+}
+
+/**
+ * Ids of the bags an operation reads from (its inputs).
+ * @param {object} meta
+ * @returns {number[]}
+ */
+export function sourceIdsOf(meta) {
+    if (!meta) return [];
+    const ids = [];
+    const a = toId(meta.src_a);
+    const b = toId(meta.src_b);
+    if (a !== null || b !== null) {
+        if (a !== null) ids.push(a);
+        if (b !== null) ids.push(b);
+    } else {
+        ids.push(...parseSrc(meta.src));
+    }
+    const lookup = toId(meta.lookup);
+    if (lookup !== null) ids.push(lookup);
+    const mapSrc = toId(meta.map_src);
+    if (mapSrc !== null) ids.push(mapSrc);
+    return Array.from(new Set(ids));
+}
+
+/**
+ * Every bag id referenced by the meta (inputs and provenance).
+ * @param {object} meta
+ * @returns {number[]}
+ */
+export function referencedIds(meta) {
+    if (!meta) return [];
+    const ids = new Set(sourceIdsOf(meta));
+    for (const id of parseSrc(meta.src)) ids.add(id);
+    const cloned = toId(meta.cloned_from);
+    if (cloned !== null) ids.add(cloned);
+    return Array.from(ids);
+}
+
+function mapRefValue(key, value, fn) {
+    if (key === 'src' && typeof value === 'string' && value.includes(',')) {
+        return parseSrc(value).map(fn).join(',');
+    }
+    const id = toId(value);
+    return id === null ? value : fn(id);
+}
+
+/**
+ * Returns a copy of `meta` with every bag reference rewritten through `idMap`.
+ * References missing from the map are left untouched.
+ * @param {object} meta
+ * @param {Map<number, number>} idMap old id → new id
+ * @returns {object}
+ */
+export function remapRefs(meta, idMap) {
+    const out = Object.assign({}, meta);
+    for (const key of REF_KEYS) {
+        if (!(key in out)) continue;
+        out[key] = mapRefValue(key, out[key], id => (idMap.has(id) ? idMap.get(id) : id));
+    }
+    if (out.computed_from?.inputs) {
+        const inputs = {};
+        for (const [id, version] of Object.entries(out.computed_from.inputs)) {
+            inputs[idMap.has(Number(id)) ? idMap.get(Number(id)) : id] = version;
+        }
+        out.computed_from = Object.assign({}, out.computed_from, { inputs });
+    }
+    return out;
+}
+
+/**
+ * Returns a copy of `meta` without references to the given ids.
+ * Removed ids are recorded in `detached_refs` so the lineage break stays visible.
+ * @param {object} meta
+ * @param {Set<number>} ids
+ * @returns {object}
+ */
+export function detachRefs(meta, ids) {
+    const out = Object.assign({}, meta);
+    const detached = new Set(out.detached_refs || []);
+    for (const key of REF_KEYS) {
+        if (!(key in out)) continue;
+        const refs = key === 'src' ? parseSrc(out[key]) : [toId(out[key])].filter(id => id !== null);
+        const hits = refs.filter(id => ids.has(id));
+        if (!hits.length) continue;
+        hits.forEach(id => detached.add(id));
+        const kept = refs.filter(id => !ids.has(id));
+        if (key === 'src' && kept.length) out[key] = kept.length === 1 ? kept[0] : kept.join(',');
+        else delete out[key];
+    }
+    if (detached.size) out.detached_refs = Array.from(detached);
+    return out;
+}
+
+/**
+ * Meta keys that describe the bag's state or history rather than the
+ * parameters of its operation. They are ignored by `paramSignature`.
+ */
+const VOLATILE_META_KEYS = new Set([
+    'created_at', 'completed_at', 'updated_at', 'reapplied_at', 'cancelled_at',
+    'size', 'size_a', 'size_b', 'status', 'error',
+    'reapply_status', 'reapply_error',
+    'version', 'computed_from', 'detached_refs', 'backend', 'backend_counts',
+    'rejected', 'reasons', 'ordering', 'total', 'entries', 'words', 'searched', 'unreadable'
+]);
+
+/**
+ * Stable signature of an operation's parameters (key order independent).
+ * Bag references are left out: inputs are compared by version instead, and
+ * this keeps the signature valid when ids are remapped on project import.
+ * @param {object} meta
+ * @returns {string}
+ */
+export function paramSignature(meta) {
+    const keys = Object.keys(meta || {})
+        .filter(k => !VOLATILE_META_KEYS.has(k) && !REF_KEYS.includes(k))
+        .sort();
+    return JSON.stringify(keys.map(k => [k, meta[k]]));
+}
+
+/**
+ * Snapshot of the inputs' versions and the parameters, to be stored as `meta.computed_from`.
+ * @param {object} meta
+ * @param {function(number): ({meta: object}|undefined)} getBag
+ * @returns {{inputs: Object<string, (string|null)>, params: string}}
+ */
+export function computationRecord(meta, getBag) {
+    const inputs = {};
+    for (const id of sourceIdsOf(meta)) {
+        inputs[id] = getBag(id)?.meta?.version ?? null;
+    }
+    return { inputs, params: paramSignature(meta) };
+}
+
+/**
+ * Whether the recorded computation still matches the current inputs and parameters.
+ * @param {object} meta
+ * @param {function(number): ({meta: object}|undefined)} getBag
+ * @returns {boolean}
+ */
+export function isComputationCurrent(meta, getBag) {
+    const rec = meta?.computed_from;
+    if (!rec || !rec.inputs) return false;
+    const now = computationRecord(meta, getBag);
+    if (now.params !== rec.params) return false;
+    const ids = Object.keys(now.inputs);
+    if (ids.length !== Object.keys(rec.inputs).length) return false;
+    return ids.every(id => now.inputs[id] !== null && now.inputs[id] === rec.inputs[id]);
+}
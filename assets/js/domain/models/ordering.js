@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Bag ordering.
+ * @summary Describes and propagates the order of a bag's items.
+ * @description
+ * A bag's items are a Set, which keeps insertion order. Most bags have no
+ * meaningful order, and the preview sorts them for display. A bag with
+ * `meta.ordering` is ordered: its insertion order is the order, and preview,
+ * export and downstream operations keep it.
+ *
+ * `ordering` is `{mode, order, locale, ...collation options}` for the result
+ * of a sort (see core/text sortBy), plus `inherited: true` on the result of
+ * an operation that keeps its input's order item by item (filters, per-item
+ * transforms). A top-N frequency filter is ordered by count,
+ * `{mode: 'count', order: 'desc'}`. A manually edited ordered bag gets
+ * `{mode: 'manual'}`.
+ *
+ * The ordering is derived from the operation and its input, so it is not a
+ * parameter (see VOLATILE_META_KEYS in domain/models/lineage); an ordered
+ * bag's version does depend on the order (see domain/models/bag).
+ *
+ * @module domain/models/ordering
+ * @exports ORDER_PRESERVING_OPS, sortOrdering, orderingFor, displayItems, describeOrdering
+ */
+
+/**
+ * Operations whose output lists results in the order of their (first) input.
+ * Generators that expand or shuffle items, and unions, are not listed.
+ */
+export const ORDER_PRESERVING_OPS = new Set([
+    'normalize_hiragana', 'normalize_katakana', 'normalize_romaji',
+    'to_upper', 'to_lower', 'reverse', 'dedupe_chars', 'replace', 'delete_chars', 'append',
+    'normalize_spaces', 'strip_punctuation', 'normalize_dashes', 'normalize_kana', 'fingerprint', 'unique_normalized',
+    'take', 'drop', 'slice', 'extract_regex', 'replace_regex', 'replace_map',
+    'intersection', 'difference', 'filter_in', 'filter_min_count',
+    'filter_length', 'filter_prefix', 'filter_suffix', 'filter_contains', 'filter_regex', 'filter_similarity',
+    'filter_normalized_equals', 'filter_normalized_contains', 'filter_script', 'filter_unicode_property',
+    'filter_subsequence', 'filter_char_at', 'filter_ngram_jaccard', 'filter_hamming', 'filter_pattern_preset',
+    'filter_attr', 'filter_pos', 'synonym_clusters', 'synonym_cluster'
+]);
+
+/**
+ * The ordering produced by a sort operation's meta.
+ * @param {object} meta meta of an op 'sort' bag
+ * @returns {object}
+ */
+export function sortOrdering(meta) {
+    return {
+        mode: meta.mode || 'locale',
+        order: meta.order || 'asc',
+        locale: meta.locale || 'ja',
+        ...(meta.collation || {})
+    };
+}
+
+function firstSourceId(meta) {
+    const src = meta.src_a ?? meta.src;
+    if (src === null || src === undefined || src === '') return null;
+    const id = Number(String(src).split(',')[0]);
+    return Number.isInteger(id) ? id : null;
+}
+
+/**
+ * The ordering an operation's result has, given its current input.
+ * @param {object} meta
+ * @param {function(number): ({meta: object}|undefined)} getBag
+ * @returns {object|null} null when the result is unordered
+ */
+export function orderingFor(meta, getBag) {
+    if (!meta?.op) return null;
+    if (meta.op === 'sort') return sortOrdering(meta);
+    if (meta.op === 'filter_top_count') return { mode: 'count', order: 'desc' };
+    if (!ORDER_PRESERVING_OPS.has(meta.op)) return null;
+    const srcId = firstSourceId(meta);
+    const inherited = srcId === null ? null : getBag(srcId)?.meta?.ordering;
+    return inherited ? { ...inherited, inherited: true } : null;
+}
+
+/**
+ * Items in display order: their own order for an ordered bag, else sorted.
+ * @param {{items: Set<string>, meta: object}} bag
+ * @param {function(string[]): string[]} [sortUnordered] Sorts an unordered bag's items (default: localeCompare 'ja')
+ * @returns {string[]}
+ */
+export function displayItems(bag, sortUnordered = null) {
+    const items = Array.from(bag.items);
+    if (bag.meta?.ordering) return items;
+    if (sortUnordered) return sortUnordered(items);
+    return items.sort((a, c) => a.localeCompare(c, 'ja'));
+}
+
+/**
+ * Short label, e.g. "length ↓" or "locale ↑ (入力順)".
+ * @param {object|null} ordering
+ * @returns {string}
+ */
+export function describeOrdering(ordering) {
+    if (!ordering) return '';
+    if (ordering.mode === 'manual') return '手動';
+    const label = `${ordering.mode} ${ordering.order === 'desc' ? '↓' : '↑'}`;
+    return ordering.inherited ? `${label} (入力順)` : label;
+}
@@ -12,6 +12,28 @@
 
 import { Bag, setNextId, getNextId } from './bag.js';
 
+// Items of a serialized record: a Map when it carries counts.
+function recordItems(data) {
+    if (!Array.isArray(data.counts)) return data.items;
+    return new Map(data.items.map((item, i) => [item, data.counts[i] ?? 1]));
+}
+
+// Bag from a serialized record; the stored version is kept.
+function bagFromRecord(data) {
+    const bag = new Bag(data.name, recordItems(data), Object.assign({}, data.meta));
+    bag.id = data.id;
+    if (Array.isArray(data.attrs)) {
+        const attrs = new Map();
+        data.items.forEach((item, i) => {
+            if (data.attrs[i]) attrs.set(item, data.attrs[i]);
+        });
+        if (attrs.size) bag.attrs = attrs;
+    }
+    // Ensure internal size reflects items size if meta mismatch
+    bag.meta.size = bag.items.size;
+    return bag;
+}
+
 export class BagRegistry {
     constructor() {
         this._bags = [];
@@ -59,7 +81,9 @@ export class BagRegistry {
         });
         delete clonedMeta.reapply_status;
         delete clonedMeta.reapply_error;
-        const clone = new Bag(`${src.name}${nameSuffix}`, Array.from(src.items), clonedMeta);
+        delete clonedMeta.computed_from;
+        const clone = new Bag(`${src.name}${nameSuffix}`, src.counts ? new Map(src.counts) : Array.from(src.items), clonedMeta);
+        if (src.attrs) clone.setAttrs(new Map(src.attrs));
         this.add(clone); // add calls notify
         return clone;
     }
@@ -86,15 +110,29 @@ export class BagRegistry {
             }));
     }
 
+    /**
+     * Serializes a single bag into a plain record (as stored in snapshots).
+     * A counted bag also gets `counts`, and a bag with attributes `attrs`
+     * (records or null), both parallel to `items`.
+     * @param {Bag} b
+     * @returns {{id:number, name:string, items:string[], counts?:number[], attrs?:Array<object|null>, meta:object}}
+     */
+    serializeBag(b) {
+        const items = Array.from(b.items);
+        return {
+            id: b.id,
+            name: b.name,
+            items,
+            ...(b.counts ? { counts: items.map(item => b.counts.get(item) ?? 1) } : {}),
+            ...(b.attrs ? { attrs: items.map(item => b.attrs.get(item) ?? null) } : {}),
+            meta: Object.assign({}, b.meta)
+        };
+    }
+
     serialize() {
         return {
             nextId: getNextId(),
-            bags: this._bags.map(b => ({
-                id: b.id,
-                name: b.name,
-                items: Array.from(b.items),
-                meta: Object.assign({}, b.meta)
-            }))
+            bags: this._bags.map(b => this.serializeBag(b))
         };
     }
 
@@ -114,16 +152,25 @@ export class BagRegistry {
             return;
         }
 
-        this._bags = snapshot.bags.map(data => {
-            const bag = new Bag(data.name, data.items, Object.assign({}, data.meta));
-            bag.id = data.id;
-            // Ensure internal size reflects items size if meta mismatch
-            bag.meta.size = bag.items.size;
-            return bag;
-        });
+        this._bags = snapshot.bags.map(bagFromRecord);
         setNextId(snapshot.nextId || (Math.max(0, ...snapshot.bags.map(b => b.id)) + 1));
         this.notify();
     }
+
+    /**
+     * Appends serialized bags (ids already assigned) to the current workspace.
+     * Used when merging a project file; callers are responsible for id remapping.
+     * @param {Array<{id:number, name:string, items:string[], meta:object}>} records
+     * @param {number} nextId Minimum value for the next id counter
+     * @returns {Bag[]} The added bags
+     */
+    append(records, nextId) {
+        const added = records.map(bagFromRecord);
+        this._bags.push(...added);
+        setNextId(Math.max(getNextId(), nextId || 0));
+        this.notify();
+        return added;
+    }
 }
 
 export const REG = new BagRegistry();
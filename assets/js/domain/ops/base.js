@@ -3,68 +3,175 @@
  * @summary Helper functions for running and composing operations.
  * @description
  * Provides `runProgressiveOp` to handle asynchronous background processing
- * of large datasets without blocking the UI.
+ * of large datasets without blocking the UI. Runs are scheduled through the
+ * job queue (domain/models/job-queue).
  *
  * @module domain/ops/base
  * @requires domain/models/bag
  * @requires domain/models/registry
+ * @requires domain/models/lineage
+ * @requires domain/models/ordering
+ * @requires domain/models/counts
+ * @requires domain/models/attrs
+ * @requires domain/models/job
+ * @requires domain/models/job-queue
+ * @requires core/attrs
  * @exports runProgressiveOp, op_clone
  */
 
 import { Bag } from '../models/bag.js';
 import { REG } from '../models/registry.js';
+import { computationRecord } from '../models/lineage.js';
+import { orderingFor } from '../models/ordering.js';
+import { inheritedCounts } from '../models/counts.js';
+import { inheritedAttrs } from '../models/attrs.js';
+import { JobControl, trackJob, untrackJob } from '../models/job.js';
+import { JOBS } from '../models/job-queue.js';
+import { mergeRecords } from '../../core/attrs.js';
 
 /**
  * Runs a logic function progressively, creating a Bag in 'processing' state.
+ * The work is queued on `JOBS` and starts when a slot is free
+ * (`hooks.priority` orders the queue). The logic receives `signal` and
+ * `control` in its hooks (see domain/models/job) and reports input progress
+ * through `onProgress(done, total)`; the job can be cancelled,
+ * paused and resumed through `getJobControl(bag.id)`. A cancelled bag keeps
+ * the items produced so far and ends in 'cancelled' state.
+ * `annotate(patch)` lets the logic record facts about the run in the bag's
+ * meta; such keys must be listed as volatile in domain/models/lineage.
+ * Items reported to `onReject(item, reason)` (failed, or dropped where the
+ * logic says so) are collected in a companion "rejects" bag, created on the
+ * first reject; its `meta.reasons` counts the reasons, and the result bag
+ * records `rejected` and `rejects_bag`.
+ * A counting logic reports `onCounts(entries)` (pairs of item and count, added
+ * up) instead of `onChunk`, which makes the result a counted bag; otherwise a
+ * filter of a counted bag keeps its counts (see domain/models/counts). Result
+ * items keep their inputs' attribute records (see domain/models/attrs),
+ * unless the logic reports records itself through `onAttrs(entries)` (pairs
+ * of item and record, merged).
  * @param {string} bagName Name of the new bag
  * @param {object} meta Metadata for the bag
  * @param {function(object): Promise<void>} logicFn (hooks) => Promise
- * @param {object} hooks Hooks to inject (yielder, batchSize, etc.)
+ * @param {object} hooks Hooks to inject (yielder, batchSize, priority, etc.)
  * @returns {Promise<Bag>} The new bag instance (initially processing)
  */
 export async function runProgressiveOp(bagName, meta, logicFn, hooks = {}) {
     // Create Bag in 'processing' state
     const bag = new Bag(bagName, [], { ...meta, status: 'processing' });
+    const control = new JobControl();
+    trackJob(bag.id, control);
     REG.add(bag); // Register immediately
 
-    // Run logic in background
-    (async () => {
+    const run = async (job) => {
+        let settled = false;
+        let rejects = null;
+        const reasons = {};
+        // Counts and attributes of the inputs, also for partial results.
+        const carryItemData = () => {
+            const getBag = id => REG.get(id);
+            if (!bag.counts) bag.counts = inheritedCounts(bag.meta, bag.items, getBag);
+            if (!bag.attrs) bag.attrs = inheritedAttrs(bag.meta, bag.items, getBag);
+        };
         try {
+            await control.checkpoint(); // Cancelled while queued
+            // Sorted, or following an ordered input (see domain/models/ordering).
+            const ordering = orderingFor(bag.meta, id => REG.get(id));
+            if (ordering) bag.meta.ordering = ordering;
+            // Input versions as of the start: the result reflects these.
+            const computedFrom = computationRecord(bag.meta, id => REG.get(id));
             console.log(`[Progressive] Start: ${bagName}`);
-            let updateCount = 0;
             const onChunk = (chunk) => {
+                if (settled) return; // Late chunks after cancellation
                 for (const item of chunk) bag.items.add(item);
+            };
+            const onCounts = (entries) => {
+                if (settled) return;
+                if (!bag.counts) bag.counts = new Map();
+                for (const [item, n] of entries) {
+                    bag.items.add(item);
+                    bag.counts.set(item, (bag.counts.get(item) || 0) + n);
+                }
+            };
+            const onAttrs = (entries) => {
+                if (settled) return;
+                if (!bag.attrs) bag.attrs = new Map();
+                for (const [item, record] of entries) bag.attrs.set(item, mergeRecords(bag.attrs.get(item), record));
+            };
+            // Input consumed vs input total (the output size is bag.items.size).
+            const onProgress = (done, total) => {
+                if (settled) return;
+                bag.updateProgress(done, total);
+                JOBS.reportProgress(job, done);
+            };
 
-                // Update progress more coarsely to reduce UI churn.
-                if (++updateCount % 50 === 0) {
-                    bag.updateProgress(bag.items.size, 0);
+            const annotate = (patch) => {
+                if (!settled) Object.assign(bag.meta, patch);
+            };
+            const onReject = (item, reason) => {
+                if (settled) return;
+                if (!rejects) {
+                    rejects = new Bag(`${bagName} (rejects)`, [], { op: 'rejects', src: bag.id });
+                    REG.add(rejects);
                 }
+                rejects.items.add(item);
+                reasons[reason] = (reasons[reason] || 0) + 1;
             };
 
-            // Inject onChunk into hooks
-            const combinedHooks = { ...hooks, onChunk };
+            // Inject onChunk, onCounts, onAttrs, onProgress, onReject, annotate and the job control into hooks
+            const combinedHooks = { ...hooks, onChunk, onCounts, onAttrs, onProgress, onReject, annotate, signal: control.signal, control };
 
             await logicFn(combinedHooks);
+            // Logic without checkpoints only notices a cancel once it returns.
+            if (control.cancelled) throw control.signal.reason;
 
             console.log(`[Progressive] Finish: ${bagName}, Size=${bag.items.size}`);
+            carryItemData();
             bag.finish();
-            REG.notify(); // Trigger UI update
+            bag.meta.computed_from = computedFrom;
         } catch (e) {
-            console.error("Progressive Op Failed", e);
-            bag.meta.status = 'error';
-            bag.meta.error = e.message;
+            if (control.cancelled) {
+                console.log(`[Progressive] Cancelled: ${bagName}, Size=${bag.items.size}`);
+                carryItemData();
+                bag.cancel();
+            } else {
+                console.error("Progressive Op Failed", e);
+                bag.fail(e.message);
+            }
+            throw e;
+        } finally {
+            settled = true;
+            if (rejects) {
+                rejects.meta.reasons = reasons;
+                rejects.refreshVersion();
+                bag.meta.rejected = rejects.items.size;
+                bag.meta.rejects_bag = rejects.id;
+            }
+            untrackJob(bag.id);
+            REG.notify(); // Trigger UI update
         }
-    })();
+    };
+
+    JOBS.enqueue({
+        name: bagName,
+        op: meta.op || null,
+        bagId: bag.id,
+        priority: hooks.priority,
+        control,
+        run
+    });
 
     return bag;
 }
 
 export async function op_clone(srcBag) {
-    const items = new Set(srcBag.items); // Snapshot
+    const items = srcBag.counts ? new Map(srcBag.counts) : new Set(srcBag.items); // Snapshot
     const name = `${srcBag.name} (copy)`;
-    return new Bag(name, items, {
+    const clone = new Bag(name, items, {
         op: 'clone',
         src: srcBag.id,
-        status: 'ready'
+        status: 'ready',
+        ...(srcBag.meta.ordering ? { ordering: srcBag.meta.ordering } : {})
     });
+    if (srcBag.attrs) clone.setAttrs(new Map(srcBag.attrs));
+    return clone;
 }
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Cleanup operations.
+ * @summary Operations that tidy up notation (spaces, punctuation, dashes, kana variants).
+ * @description
+ * Bridges the cleanup functions of core/text with the Domain Bag model.
+ * Each operation records its parameters in meta so reapply (domain/ops/runner)
+ * can rebuild it. `normalizeBefore` converts the input first (see
+ * domain/ops/prenormalize).
+ *
+ * @module domain/ops/cleanup
+ * @requires domain/ops/base
+ * @requires domain/ops/dispatch
+ * @requires domain/ops/prenormalize
+ * @requires core/text
+ * @exports
+ *  op_normalize_spaces, op_strip_punctuation, op_normalize_dashes,
+ *  op_normalize_kana, op_fingerprint, op_unique_normalized
+ */
+
+import { runProgressiveOp } from './base.js';
+import { runCore } from './dispatch.js';
+import { uniqueNormalized } from '../../core/text.js';
+import { prepareInput } from './prenormalize.js';
+
+// Items a cleanup turns into nothing are reported as rejects (see domain/ops/base).
+const DROP_REASON = 'empty result';
+
+export async function op_normalize_spaces(srcBag, mode = 'remove', { normalizeBefore = false, hooks = {} } = {}) {
+    return runProgressiveOp(
+        `${srcBag.name} → spaces(${mode})`,
+        { op: 'normalize_spaces', src: srcBag.id, mode, normalize_before: normalizeBefore },
+        async (h) => {
+            await runCore('text.normalizeSpaces', await prepareInput(srcBag.items, normalizeBefore, h), { mode }, { ...h, dropReason: DROP_REASON });
+        },
+        hooks
+    );
+}
+
+export async function op_strip_punctuation(srcBag, { removeSymbols = true, normalizeBefore = false, hooks = {} } = {}) {
+    return runProgressiveOp(
+        `${srcBag.name} → strip_punct${removeSymbols ? '+symbols' : ''}`,
+        { op: 'strip_punctuation', src: srcBag.id, remove_symbols: removeSymbols, normalize_before: normalizeBefore },
+        async (h) => {
+            await runCore('text.stripPunctuation', await prepareInput(srcBag.items, normalizeBefore, h), { removeSymbols }, { ...h, dropReason: DROP_REASON });
+        },
+        hooks
+    );
+}
+
+export async function op_normalize_dashes(srcBag, { dash = '-', tilde = '~', normalizeBefore = false, hooks = {} } = {}) {
+    return runProgressiveOp(
+        `${srcBag.name} → dashes("${dash}","${tilde}")`,
+        { op: 'normalize_dashes', src: srcBag.id, dash, tilde, normalize_before: normalizeBefore },
+        async (h) => {
+            await runCore('text.normalizeDashes', await prepareInput(srcBag.items, normalizeBefore, h), { dash, tilde }, { ...h, dropReason: DROP_REASON });
+        },
+        hooks
+    );
+}
+
+/**
+ * @param {object} srcBag
+ * @param {object} options
+ * @param {'hiragana'|'katakana'|null} [options.to] Unify the kana script (character mapping, no reading analysis)
+ * @param {boolean} [options.smallToLarge] ぁ→あ, ッ→ツ, ...
+ * @param {boolean} [options.removeVoicingMarks] が→か, ぱ→は, ...
+ */
+export async function op_normalize_kana(srcBag, { to = null, smallToLarge = false, removeVoicingMarks = false, normalizeBefore = false, hooks = {} } = {}) {
+    const steps = [to, smallToLarge && 'small→large', removeVoicingMarks && 'no-voicing'].filter(Boolean).join(',');
+    return runProgressiveOp(
+        `${srcBag.name} → kana(${steps})`,
+        { op: 'normalize_kana', src: srcBag.id, to, small_to_large: smallToLarge, remove_voicing_marks: removeVoicingMarks, normalize_before: normalizeBefore },
+        async (h) => {
+            await runCore('text.normalizeKana', await prepareInput(srcBag.items, normalizeBefore, h), { to, smallToLarge, removeVoicingMarks }, { ...h, dropReason: DROP_REASON });
+        },
+        hooks
+    );
+}
+
+export async function op_fingerprint(srcBag, { removeSymbols = true, normalizeBefore = false, hooks = {} } = {}) {
+    return runProgressiveOp(
+        `${srcBag.name} → fingerprint`,
+        { op: 'fingerprint', src: srcBag.id, remove_symbols: removeSymbols, normalize_before: normalizeBefore },
+        async (h) => {
+            await runCore('text.fingerprint', await prepareInput(srcBag.items, normalizeBefore, h), { removeSymbols }, { ...h, dropReason: DROP_REASON });
+        },
+        hooks
+    );
+}
+
+/**
+ * Keeps one item per NFKC form (the first one in the bag's order), e.g.
+ * 'ＡＢＣ' is dropped when 'ABC' came first. Items stay as they are.
+ */
+export async function op_unique_normalized(srcBag, { normalizeBefore = false, hooks = {} } = {}) {
+    return runProgressiveOp(
+        `${srcBag.name} → unique_nfkc`,
+        { op: 'unique_normalized', src: srcBag.id, normalize_before: normalizeBefore },
+        async (h) => {
+            // Looks at the whole input, so it runs in one piece like sort.
+            const result = await uniqueNormalized(await prepareInput(srcBag.items, normalizeBefore, h), null, h);
+            if (h.onChunk) h.onChunk(Array.from(result));
+        },
+        hooks
+    );
+}
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Sorting by mode, including reading-based collation.
+ * @summary Runs a sort mode, fetching kana readings for 五十音順 / いろは順.
+ * @description
+ * Surface sort modes go to core/text `sortBy`. The reading modes ('gojuon',
+ * 'iroha', see core/collation) first get each item's hiragana reading through
+ * the worker conversion and its per-surface reading cache
+ * (infra/hiragana-worker-client, infra/kana-cache), with Kuroshiro on the main
+ * thread as fallback. Items without a reading are read as themselves.
+ *
+ * The preview of unordered bags can use the same collation with the readings
+ * already in the cache (`previewSort`): nothing is converted while rendering.
+ *
+ * @module domain/ops/collate
+ * @requires core/text
+ * @requires core/collation
+ * @requires core/utils
+ * @requires infra/hiragana-worker-client
+ * @requires infra/kana-cache
+ * @requires infra/kuro-wrapper
+ * @exports READING_SORT_MODES, readingsOf, sortItems, previewSort
+ */
+
+import { normNFKC, sortBy } from '../../core/text.js';
+import { COLLATION_SCHEMES, collationKey, compareCollated, sortByReading } from '../../core/collation.js';
+import { checkpoint } from '../../core/utils.js';
+import { convertInWorker } from '../../infra/hiragana-worker-client.js';
+import { loadKanaCache, getReading } from '../../infra/kana-cache.js';
+import { ensureKuro, getK } from '../../infra/kuro-wrapper.js';
+
+export const READING_SORT_MODES = COLLATION_SCHEMES;
+
+/**
+ * Hiragana readings of the items.
+ * @param {Iterable<string>} items
+ * @param {object} [hooks] `signal`, `control`, `onProgress`
+ * @returns {Promise<{readings: Map<string, string>, backend: string, counts: object}>}
+ */
+export async function readingsOf(items, hooks = {}) {
+    const { signal = null, control = null, onProgress = null } = hooks;
+    const readings = new Map();
+    const counts = {};
+    try {
+        const { backend } = await convertInWorker(items, 'hiragana', {
+            onItem: (item, reading) => {
+                if (reading) readings.set(item, reading);
+            },
+            onProgress,
+            counts,
+            signal,
+            control
+        });
+        return { readings, backend, counts };
+    } catch (err) {
+        if (signal?.aborted) throw err;
+        console.warn('[collate] worker fallback to main thread', err);
+    }
+
+    try {
+        await ensureKuro();
+    } catch (err) {
+        console.warn('[collate] Kuroshiro unavailable; sorting by surface', err);
+        return { readings, backend: 'none', counts };
+    }
+    const K = getK();
+    let i = 0;
+    for (const item of items) {
+        if (++i % 200 === 0) await checkpoint({ signal, control });
+        const reading = await K.convert(normNFKC(item), { to: 'hiragana', mode: 'spaced' });
+        if (reading) readings.set(item, reading.replace(/\s+/g, ''));
+    }
+    return { readings, backend: 'kuroshiro', counts };
+}
+
+/**
+ * Sorts by mode (core/text SORT_MODES or READING_SORT_MODES).
+ * Reading modes record the conversion backend through `hooks.annotate`.
+ * @param {Iterable<string>} items
+ * @param {object} params `{mode, order, locale, ...collation options}`
+ * @param {object} [hooks]
+ * @returns {Promise<Set<string>>}
+ */
+export async function sortItems(items, { mode = 'locale', ...params } = {}, hooks = {}) {
+    if (!READING_SORT_MODES.includes(mode)) return sortBy(items, { mode, ...params }, hooks);
+    const { readings, backend, counts } = await readingsOf(items, hooks);
+    if (hooks.annotate) hooks.annotate({ backend, backend_counts: counts });
+    return sortByReading(items, { readings, scheme: mode, order: params.order }, hooks);
+}
+
+/**
+ * Sorts items for the preview of an unordered bag, using cached readings only.
+ * @param {string[]} items
+ * @param {'gojuon'|'iroha'} scheme
+ * @returns {string[]}
+ */
+export function previewSort(items, scheme) {
+    // Later renders pick up readings persisted by earlier sessions.
+    loadKanaCache('hiragana');
+    return items
+        .map((surface) => {
+            const reading = getReading('hiragana', normNFKC(surface)) || surface;
+            return { surface, reading, key: collationKey(reading, scheme) };
+        })
+        .sort(compareCollated)
+        .map(e => e.surface);
+}
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Core function dispatch.
+ * @summary Runs a core function in the worker pool when worthwhile, else in place.
+ * @description
+ * Operations call `runCore('filters.filterRegex', items, params, hooks)` instead
+ * of the core function itself. Large inputs of shardable functions go to the
+ * worker pool (infra/worker-pool); everything else, and any input when the
+ * pool is unavailable or fails before handing anything over, runs on the main
+ * thread exactly as before. A pool failure after items or rejects reached
+ * the hooks is rethrown: a rerun would deliver them twice, out of order.
+ * `hooks.useWorkers === false` forces the main thread.
+ *
+ * @module domain/ops/dispatch
+ * @requires core/registry
+ * @requires infra/worker-pool
+ * @exports runCore
+ */
+
+import { resolveCore, SHARDABLE } from '../../core/registry.js';
+import { POOL } from '../../infra/worker-pool.js';
+
+// Smaller inputs finish faster on the main thread than the round trip takes.
+const MIN_OFFLOAD_ITEMS = 2000;
+
+function sizeOf(items) {
+    return items?.size ?? items?.length ?? 0;
+}
+
+/**
+ * @param {string} name Core function name (see core/registry)
+ * @param {Iterable<string>} items
+ * @param {object} params
+ * @param {object} [hooks] processWithBatching-style hooks, plus `useWorkers`
+ * @returns {Promise<Set<string>>}
+ */
+export async function runCore(name, items, params, hooks = {}) {
+    const fn = resolveCore(name);
+    const offload = hooks.useWorkers !== false
+        && SHARDABLE.has(name)
+        && POOL.available
+        && sizeOf(items) >= MIN_OFFLOAD_ITEMS;
+
+    if (offload) {
+        try {
+            return await POOL.run(name, items, params, hooks);
+        } catch (err) {
+            if (hooks.signal?.aborted || err?.handedOver) throw err;
+            // Genuine errors (e.g. an invalid pattern) surface again below.
+            console.warn(`[runCore] ${name}: worker pool failed, running on the main thread`, err);
+        }
+    }
+    return fn(items, params, hooks);
+}
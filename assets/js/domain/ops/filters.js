@@ -3,44 +3,29 @@
  * @summary Operations that filter bag contents (Length, Prefix, etc.).
  * @description
  * Domain adapters for Core filtering logic.
+ * With `normalizeBefore`, the input and the query are converted first and the
+ * converted items are kept (see domain/ops/prenormalize).
+ * Filters of a counted bag keep its counts (see domain/models/counts); the
+ * frequency filters (top N, count ≥ k) need a counted bag, and the
+ * attribute and POS filters a bag with attributes (see core/attrs).
  *
  * @module domain/ops/filters
  * @requires domain/ops/base
- * @requires core/filters
+ * @requires domain/ops/dispatch
+ * @requires domain/ops/prenormalize
  * @requires core/text
- * @exports op_filter_length, op_filter_prefix, op_filter_suffix, op_filter_contains, op_filter_regex, op_filter_similarity, op_filter_in
+ * @requires core/multiset
+ * @requires core/attrs
+ * @exports op_filter_length, op_filter_prefix, op_filter_suffix, op_filter_contains, op_filter_regex, op_filter_similarity, op_filter_in, op_filter_top_count, op_filter_min_count, op_filter_attr, op_filter_pos
  */
 
 import { runProgressiveOp } from './base.js';
-import {
-    filterLength, filterPrefix, filterSuffix, filterContains, filterRegex, filterSimilarity,
-    filterNormalizedEquals, filterNormalizedContains,
-    filterScript, filterUnicodeProperty,
-    filterSubsequence, filterCharAt,
-    filterNgramJaccard, filterHamming,
-    filterPatternPreset,
-    filterIntersection, filterDifference
-} from '../../core/filters.js';
+import { runCore } from './dispatch.js';
 import { normNFKC } from '../../core/text.js';
-// filterIn was logic.filterIn, which is just checking existence in another set. 
-// We likely need to reimplement/import that logic from logic.js or core.
-// Wait, 'filterIn' is basically 'Intersection' but with a specific UI context (Lookup bag).
-// Logic.js had `filterIn`. core/sets.js has `intersection`. 
-// Use core/sets.js Intersection logic if possible, or implement a simple wrapper.
-// Checking core/sets.js... it has intersection.
-import { intersection } from '../../core/sets.js';
-
-// Helper for normalizing single query strings provided by user
-async function normQuery(val, normalizeBefore, converter) {
-    const base = normNFKC(val || '');
-    if (!base) return '';
-    if (!normalizeBefore) return base;
-    // If normalizeBefore is requested, we need a converter.
-    // Assuming 'toHiragana' via kuro-wrapper if we want to match legacy behavior.
-    // For now, if no converter provided, just return base.
-    // Ideally we inject the converter via hooks or separate this concern.
-    return base;
-}
+import { topByCount, filterMinCount } from '../../core/multiset.js';
+import { ATTR_KEYS, POS_MATCH_MODES, filterAttr, filterPos } from '../../core/attrs.js';
+import { prepareInput, prepareQuery } from './prenormalize.js';
+// filter_in is core/sets intersection with the lookup bag.
 
 
 export async function op_filter_length(bag, minLen, maxLen, { normalizeBefore = false, hooks = {} } = {}) {
@@ -55,23 +40,20 @@ export async function op_filter_length(bag, minLen, maxLen, { normalizeBefore =
             normalize_before: normalizeBefore
         },
         async (h) => {
-            // Note: filterLength in core expects items. 
-            await filterLength(bag.items, { min: minLen, max: maxLen }, h);
+            await runCore('filters.filterLength', await prepareInput(bag.items, normalizeBefore, h), { min: minLen, max: maxLen }, h);
         },
         hooks
     );
 }
 
 export async function op_filter_prefix(bag, prefixRaw, { normalizeBefore = false, hooks = {} } = {}) {
-    // We handle query normalization here if needed, or assume caller did it.
-    // Legacy ops: const needle = await normQuery(prefixRaw, normalizeBefore);
-    // For now we'll just use raw NFKC.
     const needle = normNFKC(prefixRaw);
     return runProgressiveOp(
         `${bag.name} → prefix(${needle || '∅'})`,
         { op: 'filter_prefix', src: bag.id, prefix: needle, normalize_before: normalizeBefore },
         async (h) => {
-            await filterPrefix(bag.items, { prefix: needle }, h);
+            const prefix = await prepareQuery(needle, normalizeBefore, h);
+            await runCore('filters.filterPrefix', await prepareInput(bag.items, normalizeBefore, h), { prefix }, h);
         },
         hooks
     );
@@ -83,7 +65,8 @@ export async function op_filter_suffix(bag, suffixRaw, { normalizeBefore = false
         `${bag.name} → suffix(${needle || '∅'})`,
         { op: 'filter_suffix', src: bag.id, suffix: needle, normalize_before: normalizeBefore },
         async (h) => {
-            await filterSuffix(bag.items, { suffix: needle }, h);
+            const suffix = await prepareQuery(needle, normalizeBefore, h);
+            await runCore('filters.filterSuffix', await prepareInput(bag.items, normalizeBefore, h), { suffix }, h);
         },
         hooks
     );
@@ -95,7 +78,8 @@ export async function op_filter_contains(bag, needleRaw, { normalizeBefore = fal
         `${bag.name} → contains(${needle || '∅'})`,
         { op: 'filter_contains', src: bag.id, needle, normalize_before: normalizeBefore },
         async (h) => {
-            await filterContains(bag.items, { needle }, h);
+            const query = await prepareQuery(needle, normalizeBefore, h);
+            await runCore('filters.filterContains', await prepareInput(bag.items, normalizeBefore, h), { needle: query }, h);
         },
         hooks
     );
@@ -106,7 +90,7 @@ export async function op_filter_regex(bag, pattern, invert, { normalizeBefore =
         `${bag.name} → regex(${pattern}${invert ? ', invert' : ''})`,
         { op: 'filter_regex', src: bag.id, pattern, invert, normalize_before: normalizeBefore },
         async (h) => {
-            await filterRegex(bag.items, { pattern, invert }, h);
+            await runCore('filters.filterRegex', await prepareInput(bag.items, normalizeBefore, h), { pattern, invert }, h);
         },
         hooks
     );
@@ -118,7 +102,8 @@ export async function op_filter_similarity(bag, targetRaw, dist, { normalizeBefo
         `${bag.name} → similarity(${target},${dist},${metric})`,
         { op: 'filter_similarity', src: bag.id, target, dist, metric, normalize_before: normalizeBefore },
         async (h) => {
-            await filterSimilarity(bag.items, { target, dist, metric }, h);
+            const query = await prepareQuery(target, normalizeBefore, h);
+            await runCore('filters.filterSimilarity', await prepareInput(bag.items, normalizeBefore, h), { target: query, dist, metric }, h);
         },
         hooks
     );
@@ -137,7 +122,9 @@ export async function op_filter_in(srcBag, lookupBag, { normalizeSrc = false, no
         async (h) => {
             // "filter_in" is effectively intersection: keep items in src that are also in lookup.
             // core/sets/intersection: (itemsA, { itemsB }) ...
-            await intersection(srcBag.items, { itemsB: lookupBag.items }, h);
+            const itemsA = await prepareInput(srcBag.items, normalizeSrc, h);
+            const itemsB = await prepareInput(lookupBag.items, normalizeLookup, h);
+            await runCore('sets.intersection', itemsA, { itemsB }, h);
         },
         hooks
     );
@@ -149,7 +136,7 @@ export async function op_filter_normalized_equals(bag, targetRaw, { hooks = {} }
         `${bag.name} → norm_equals(${target || '∅'})`,
         { op: 'filter_normalized_equals', src: bag.id, target },
         async (h) => {
-            await filterNormalizedEquals(bag.items, { target }, h);
+            await runCore('filters.filterNormalizedEquals', bag.items, { target }, h);
         },
         hooks
     );
@@ -161,7 +148,7 @@ export async function op_filter_normalized_contains(bag, needleRaw, { hooks = {}
         `${bag.name} → norm_contains(${needle || '∅'})`,
         { op: 'filter_normalized_contains', src: bag.id, needle },
         async (h) => {
-            await filterNormalizedContains(bag.items, { needle }, h);
+            await runCore('filters.filterNormalizedContains', bag.items, { needle }, h);
         },
         hooks
     );
@@ -172,7 +159,7 @@ export async function op_filter_script(bag, script, invert, { hooks = {} } = {})
         `${bag.name} → script(${script}${invert ? '!' : ''})`,
         { op: 'filter_script', src: bag.id, script, invert },
         async (h) => {
-            await filterScript(bag.items, { script, invert }, h);
+            await runCore('filters.filterScript', bag.items, { script, invert }, h);
         },
         hooks
     );
@@ -183,7 +170,7 @@ export async function op_filter_unicode_property(bag, property, invert, { hooks
         `${bag.name} → unicode(${property}${invert ? '!' : ''})`,
         { op: 'filter_unicode_property', src: bag.id, property, invert },
         async (h) => {
-            await filterUnicodeProperty(bag.items, { property, invert }, h);
+            await runCore('filters.filterUnicodeProperty', bag.items, { property, invert }, h);
         },
         hooks
     );
@@ -194,7 +181,7 @@ export async function op_filter_subsequence(bag, needleRaw, { normalize = true,
         `${bag.name} → subseq(${needleRaw})`,
         { op: 'filter_subsequence', src: bag.id, needle: needleRaw, normalize },
         async (h) => {
-            await filterSubsequence(bag.items, { needle: needleRaw, normalize }, h);
+            await runCore('filters.filterSubsequence', bag.items, { needle: needleRaw, normalize }, h);
         },
         hooks
     );
@@ -205,7 +192,7 @@ export async function op_filter_char_at(bag, index, charRaw, { hooks = {} } = {}
         `${bag.name} → charAt(${index}, ${charRaw})`,
         { op: 'filter_char_at', src: bag.id, index, char: charRaw },
         async (h) => {
-            await filterCharAt(bag.items, { index, char: charRaw }, h);
+            await runCore('filters.filterCharAt', bag.items, { index, char: charRaw }, h);
         },
         hooks
     );
@@ -217,7 +204,7 @@ export async function op_filter_ngram_jaccard(bag, targetRaw, n, min, { hooks =
         `${bag.name} → ngram_jaccard(${target}, n=${n}, >=${min})`,
         { op: 'filter_ngram_jaccard', src: bag.id, target, n, min },
         async (h) => {
-            await filterNgramJaccard(bag.items, { target, n, min }, h);
+            await runCore('filters.filterNgramJaccard', bag.items, { target, n, min }, h);
         },
         hooks
     );
@@ -229,20 +216,100 @@ export async function op_filter_hamming(bag, targetRaw, max, allowDifferentLengt
         `${bag.name} → hamming(${target}, <=${max})`,
         { op: 'filter_hamming', src: bag.id, target, max, allowDifferentLength },
         async (h) => {
-            await filterHamming(bag.items, { target, max, allowDifferentLength }, h);
+            await runCore('filters.filterHamming', bag.items, { target, max, allowDifferentLength }, h);
         },
         hooks
     );
 }
 
-export async function op_filter_pattern_preset(bag, preset, invert, { hooks = {} } = {}) {
+export async function op_filter_pattern_preset(bag, preset, invert, { normalizeBefore = false, hooks = {} } = {}) {
     return runProgressiveOp(
         `${bag.name} → preset(${preset}${invert ? '!' : ''})`,
-        { op: 'filter_pattern_preset', src: bag.id, preset, invert },
+        { op: 'filter_pattern_preset', src: bag.id, preset, invert, normalize_before: normalizeBefore },
+        async (h) => {
+            await runCore('filters.filterPatternPreset', await prepareInput(bag.items, normalizeBefore, h), { preset, invert }, h);
+        },
+        hooks
+    );
+}
+
+
+function requireCounted(bag) {
+    if (!bag.counts) throw new Error(`Bag [${bag.id}] has no counts (import with counting, or count n-grams)`);
+}
+
+/**
+ * Keeps the `n` most frequent items, most frequent first (see domain/models/ordering).
+ */
+export async function op_filter_top_count(bag, n, { hooks = {} } = {}) {
+    requireCounted(bag);
+    return runProgressiveOp(
+        `${bag.name} → top(${n})`,
+        { op: 'filter_top_count', src: bag.id, n },
+        async (h) => {
+            h.onCounts(await topByCount(bag.counts, { n }, h));
+        },
+        hooks
+    );
+}
+
+export async function op_filter_min_count(bag, min, { hooks = {} } = {}) {
+    requireCounted(bag);
+    return runProgressiveOp(
+        `${bag.name} → count≥${min}`,
+        { op: 'filter_min_count', src: bag.id, min },
         async (h) => {
-            await filterPatternPreset(bag.items, { preset, invert }, h);
+            h.onCounts(await filterMinCount(bag.counts, { min }, h));
         },
         hooks
     );
 }
 
+function requireAttrs(bag) {
+    if (!bag.attrs) throw new Error(`Bag [${bag.id}] has no attributes (import JSON with attributes)`);
+}
+
+/**
+ * Keeps items whose attribute (`key`: id, pos, glosses, reading) matches,
+ * e.g. glosses containing "音楽".
+ * @param {object} bag
+ * @param {string} key One of core/attrs ATTR_KEYS
+ * @param {string} needleRaw
+ * @param {{mode?: 'contains'|'equals'|'regex', invert?: boolean}} [options]
+ */
+export async function op_filter_attr(bag, key, needleRaw, { mode = 'contains', invert = false, hooks = {} } = {}) {
+    requireAttrs(bag);
+    if (!ATTR_KEYS.includes(key)) throw new Error(`Unknown attribute: ${key}`);
+    const needle = mode === 'regex' ? String(needleRaw ?? '') : normNFKC(needleRaw);
+    if (!needle) throw new Error('Attribute filter value is empty');
+    if (mode === 'regex') new RegExp(needle, 'u'); // Fails the call, not the job
+    return runProgressiveOp(
+        `${bag.name} → ${key}~${needle}${invert ? ' (invert)' : ''}`,
+        { op: 'filter_attr', src: bag.id, key, needle, mode, invert },
+        async (h) => {
+            await filterAttr(bag.items, { attrs: bag.attrs, key, needle, mode, invert }, h);
+        },
+        hooks
+    );
+}
+
+/**
+ * Keeps items by part of speech (see core/attrs filterPos).
+ * @param {object} bag
+ * @param {string[]} posList e.g. ['名詞', '副詞']
+ * @param {{match?: 'any'|'all', invert?: boolean}} [options]
+ */
+export async function op_filter_pos(bag, posList, { match = 'any', invert = false, hooks = {} } = {}) {
+    requireAttrs(bag);
+    const pos = Array.from(new Set((posList || []).map(p => String(p).trim()).filter(Boolean)));
+    if (!pos.length) throw new Error('No part of speech selected');
+    if (!POS_MATCH_MODES.includes(match)) throw new Error(`Unknown POS match: ${match}`);
+    return runProgressiveOp(
+        `${bag.name} → pos(${pos.join(match === 'all' ? '&' : '|')})${invert ? ' (invert)' : ''}`,
+        { op: 'filter_pos', src: bag.id, pos, match, invert },
+        async (h) => {
+            await filterPos(bag.items, { attrs: bag.attrs, pos, match, invert }, h);
+        },
+        hooks
+    );
+}
@@ -3,24 +3,36 @@
  * @summary Operations that generate new items (N-grams, Cartesian, Sampling).
  * @description
  * Domain adapters for Core generator generation logic.
+ * N-grams can be counted (`count`): the result is a counted bag of how often
+ * each n-gram occurs, weighted by the input's counts when it is counted.
  *
  * @module domain/ops/generators
  * @requires domain/ops/base
+ * @requires domain/ops/dispatch
+ * @requires domain/ops/prenormalize
  * @requires core/generators
- * @requires core/text
+ * @requires core/multiset
  * @exports op_ngrams, op_sample, op_cartesian, op_append, op_anagram
  */
 
 import { runProgressiveOp } from './base.js';
-import { ngrams, sample, cartesian, anagram } from '../../core/generators.js';
-import { append } from '../../core/text.js'; // append is in text.js in core
+import { runCore } from './dispatch.js';
+import { sample, cartesian } from '../../core/generators.js';
+import { isCounted, ngramCounts } from '../../core/multiset.js';
+import { prepareInput, prepareCounted } from './prenormalize.js';
 
-export async function op_ngrams(bag, n, { normalizeBefore = false, hooks = {} } = {}) {
+export async function op_ngrams(bag, n, { count = false, normalizeBefore = false, hooks = {} } = {}) {
     return runProgressiveOp(
-        `${bag.name} → ngram(n=${n})`,
-        { op: 'ngrams', src: bag.id, n, normalize_before: normalizeBefore },
+        `${bag.name} → ngram(n=${n}${count ? ', count' : ''})`,
+        { op: 'ngrams', src: bag.id, n, count, normalize_before: normalizeBefore },
         async (h) => {
-            await ngrams(bag.items, { n }, h);
+            if (count) {
+                const input = await prepareCounted(bag, normalizeBefore, h);
+                const weights = isCounted(input) ? input : null;
+                h.onCounts(await ngramCounts(weights ? input.keys() : input, { n, weights }, h));
+                return;
+            }
+            await runCore('generators.ngrams', await prepareInput(bag.items, normalizeBefore, h), { n }, h);
         },
         hooks
     );
@@ -33,7 +45,7 @@ export async function op_sample(bag, count, seed, { normalizeBefore = false, hoo
         { op: 'sample', src: bag.id, size, count, seed: seed || null, normalize_before: normalizeBefore },
         async (h) => {
             // sample returns a Set, not chunked. 
-            const result = await sample(bag.items, { count, seed });
+            const result = await sample(await prepareInput(bag.items, normalizeBefore, h), { count, seed }, h);
             if (h.onChunk) h.onChunk(Array.from(result));
         },
         hooks
@@ -53,15 +65,10 @@ export async function op_cartesian(bagA, bagB, sep, limit, { normalizeBefore = f
             normalize_before: normalizeBefore
         },
         async (h) => {
-            // cartesian supports yielder but not onChunk explicitly in core/generators yet?
-            // Re-checking core/generators.js...
-            // "if (++count % batchSize === 0 && yielder) await yielder();"
-            // It doesn't yield chunks, it builds a massive set 'out' and returns it.
-            // Domain wrapper needs to adapt. 
-            // If core/generators returns 'out', we just onChunk(out).
-            // For true progressiveness, core/generators needs update, but for now we wrap.
-            const result = await cartesian(bagA.items, { itemsB: bagB.items, sep, limit }, h);
-            if (h.onChunk) h.onChunk(Array.from(result));
+            // Rows are streamed through h.onChunk.
+            const itemsA = await prepareInput(bagA.items, normalizeBefore, h);
+            const itemsB = await prepareInput(bagB.items, normalizeBefore, h);
+            await cartesian(itemsA, { itemsB, sep, limit }, h);
         },
         hooks
     );
@@ -72,7 +79,7 @@ export async function op_append(bag, prefix, suffix, { normalizeBefore = false,
         `${bag.name} → append`,
         { op: 'append', src: bag.id, prefix, suffix, normalize_before: normalizeBefore },
         async (h) => {
-            await append(bag.items, { prefix, suffix }, h);
+            await runCore('text.append', await prepareInput(bag.items, normalizeBefore, h), { prefix, suffix }, h);
         },
         hooks
     );
@@ -83,7 +90,7 @@ export async function op_anagram(bag, { normalizeBefore = false, hooks = {} } =
         `${bag.name} → anagram`,
         { op: 'anagram', src: bag.id, normalize_before: normalizeBefore },
         async (h) => {
-            await anagram(bag.items, null, h);
+            await runCore('generators.anagram', await prepareInput(bag.items, normalizeBefore, h), null, h);
         },
         hooks
     );
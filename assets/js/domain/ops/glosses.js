@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Gloss search operation.
+ * @summary Creates a bag of the lemmas whose glosses match, from the data files.
+ * @description
+ * Bridges core/entries with Domain Bag models. The search reads the data
+ * files directly (see infra/catalog), so nothing needs to be imported first;
+ * the files to search are recorded in `meta.files`, and each found lemma
+ * keeps the attributes of its matching entries. A file that cannot be read
+ * is skipped: `meta.searched` lists the files actually read and
+ * `meta.unreadable` the others. The search fails only when none can be read.
+ *
+ * @module domain/ops/glosses
+ * @requires domain/ops/base
+ * @requires core/entries
+ * @requires core/text
+ * @requires infra/catalog
+ * @exports readGlossEntries, op_gloss_search
+ */
+
+import { runProgressiveOp } from './base.js';
+import { glossTest, glossSearch, glossRecords } from '../../core/entries.js';
+import { normNFKC } from '../../core/text.js';
+import { loadAllEntries } from '../../infra/catalog.js';
+
+/**
+ * Entries of the files that can be read; the reapply rebuilder reads them the same way.
+ * @param {string[]} files
+ * @returns {Promise<{entries: object[], searched: string[], unreadable: string[]}>}
+ */
+export async function readGlossEntries(files) {
+    const unreadable = [];
+    const entries = await loadAllEntries(files, null, {
+        onSkip: (file, e) => {
+            unreadable.push(file);
+            console.warn(`[gloss_search] Skipping ${file}: ${e.message}`);
+        }
+    });
+    if (files.length && unreadable.length === files.length) {
+        throw new Error(`No dictionary file could be read: ${unreadable.join(', ')}`);
+    }
+    return { entries, searched: files.filter(f => !unreadable.includes(f)), unreadable };
+}
+
+/**
+ * Lemmas whose glosses mention `needleRaw` (e.g. "音楽").
+ * @param {string} needleRaw
+ * @param {string[]} files Data files to search
+ * @param {{mode?: 'contains'|'regex'}} [options]
+ */
+export async function op_gloss_search(needleRaw, files, { mode = 'contains', hooks = {} } = {}) {
+    const needle = mode === 'regex' ? String(needleRaw ?? '') : normNFKC(needleRaw);
+    if (!needle) throw new Error('Gloss search text is empty');
+    if (!files?.length) throw new Error('No dictionary file to search');
+    glossTest(needle, mode); // Fails the call on a bad pattern, not the job
+    return runProgressiveOp(
+        `gloss~${needle}`,
+        { op: 'gloss_search', needle, mode, files: [...files] },
+        async (h) => {
+            const { entries, searched, unreadable } = await readGlossEntries(files);
+            h.annotate({ searched, unreadable });
+            await glossSearch(entries, { needle, mode }, h);
+            h.onAttrs(glossRecords(entries, { needle, mode }));
+        },
+        hooks
+    );
+}
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Streaming JSON import.
+ * @summary Creates a bag from JSON bag files, filled as the files are read.
+ * @description
+ * Bridges infra/json-stream-client with Domain Bag models. The files are read
+ * in a worker and their items stream into a bag in 'processing' state, so a
+ * data file of hundreds of thousands of entries neither freezes the page nor
+ * has to finish before its first items show; the job can be paused and
+ * cancelled like any operation. Several files go into one bag in turn.
+ *
+ * The result is a root bag (no `meta.op`): it is read from files, not
+ * computed from other bags, so it is never reapplied. `meta.entries` and
+ * `meta.words` record what was read.
+ *
+ * @module domain/ops/imports
+ * @requires domain/ops/base
+ * @requires infra/json-stream-client
+ * @exports op_import_json
+ */
+
+import { runProgressiveOp } from './base.js';
+import { streamBagFile } from '../../infra/json-stream-client.js';
+
+/**
+ * @param {string} name Bag name
+ * @param {Array<{source: (string|Blob), pos?: string, bytes?: number}>} sources Absolute URLs or uploaded files,
+ *   with the POS recorded for entries without one, and the size when known (for progress)
+ * @param {{meta?: object, counting?: boolean, attrs?: ('all'|'pos'|null), hooks?: object}} [options]
+ *   meta: the bag's meta (e.g. `{from: 'json', format: 'lemmas'}`); counting: count repeats; attrs: see core/json-stream
+ */
+export async function op_import_json(name, sources, { meta = {}, counting = false, attrs = null, hooks = {} } = {}) {
+    if (!sources?.length) throw new Error('No file to import');
+    // Progress over all files when every size is known, else over the files read so far.
+    const knownTotal = sources.every(s => s.bytes > 0) ? sources.reduce((n, s) => n + s.bytes, 0) : 0;
+    return runProgressiveOp(
+        name,
+        { ...meta },
+        async (h) => {
+            let offset = 0;
+            let entries = 0;
+            let words = 0;
+            for (const { source, pos = null } of sources) {
+                let read = 0;
+                const onProgress = (done, total) => {
+                    read = done;
+                    h.onProgress(offset + done, knownTotal || (total ? offset + total : 0));
+                };
+                const result = await streamBagFile(source, { counting, attrs, pos }, { ...h, onProgress });
+                entries += result.entries;
+                words += result.words;
+                offset += read;
+            }
+            h.annotate({ entries, words });
+        },
+        hooks
+    );
+}
@@ -3,6 +3,10 @@
  * @summary Operations to convert bags to Hiragana or Katakana.
  * @description
  * Uses the Kuroshiro infrastructure to asynchronously normalization text items.
+ * The conversion backend that actually ran (Kuroshiro, or a fallback when the
+ * libraries could not be loaded) is recorded in `meta.backend`, with a
+ * per-item tally in `meta.backend_counts`. Items that get no reading are
+ * collected in a rejects bag (see domain/ops/base).
  *
  * @module domain/ops/normalize
  * @requires infra/kuro-wrapper
@@ -29,82 +33,72 @@ import { Bag } from '../models/bag.js';
 // Wait, getBatchSize reads from DOM. This logic should be passed in.
 
 /**
- * Hiragana Normalization
- * Reverted to Progressive Op with Timeout (Step 161 state).
+ * Converts items to kana, in the workers when possible, else on the main thread.
+ * Records the backend that produced the readings as `meta.backend` and the
+ * per-item tally as `meta.backend_counts`; items without a reading go to
+ * `h.onReject`.
+ * @param {Set<string>} items
+ * @param {'hiragana'|'katakana'|'romaji'} target
+ * @param {object} h Progressive op hooks
  */
-export async function op_normalize_hiragana(srcBag, { hooks } = {}) {
-    console.log('[op_normalize_hiragana] Waiting for Kuro...');
+async function convertKana(items, target, h) {
+    // Try Web Worker first to avoid blocking the main thread.
+    const counts = {};
+    try {
+        const { backend } = await convertInWorker(items, target, { onChunk: h.onChunk, onProgress: h.onProgress, onReject: h.onReject, counts, signal: h.signal, control: h.control });
+        h.annotate({ backend, backend_counts: counts });
+        return;
+    } catch (err) {
+        if (h.signal?.aborted) {
+            h.annotate({ backend_counts: counts });
+            throw err;
+        }
+        console.warn(`[normalize] ${target}: worker fallback to main thread`, err);
+    }
+
     await ensureKuro();
-    console.log('[op_normalize_hiragana] Kuro ready.');
     const K = getK();
-
     // 高速化のため、ラップ関数(toHiragana)を経由せずKuroshiroインスタンスを直接使うコンバータを定義
-    const fastConverter = async (s) => await K.convert(normNFKC(s), { to: 'hiragana', mode: 'spaced' });
-
-    const logic = async (h) => {
-        // Try Web Worker first to avoid blocking the main thread.
-        try {
-            await convertInWorker(srcBag.items, 'hiragana', { onChunk: h.onChunk });
-            return;
-        } catch (err) {
-            console.warn('[op_normalize_hiragana] Worker fallback to main thread', err);
-        }
-
-        await normalize(srcBag.items, null, { ...h, converter: fastConverter });
+    const fastConverter = async (s) => await K.convert(normNFKC(s), { to: target, mode: 'spaced' });
+    let failed = 0;
+    const onReject = (item, reason) => {
+        failed += 1;
+        if (h.onReject) h.onReject(item, reason);
     };
+    await normalize(items, null, { ...h, onReject, converter: fastConverter });
+    h.annotate({
+        backend: 'kuroshiro',
+        backend_counts: { kuroshiro: items.size - failed, direct: 0, fallback: 0, failed, cached: 0 }
+    });
+}
 
+/**
+ * Hiragana Normalization
+ * Reverted to Progressive Op with Timeout (Step 161 state).
+ */
+export async function op_normalize_hiragana(srcBag, { hooks } = {}) {
     return runProgressiveOp(
         `${srcBag.name} → normalize(hiragana)`,
         { op: 'normalize_hiragana', src: srcBag.id, normalized: 'hiragana' },
-        logic,
+        h => convertKana(srcBag.items, 'hiragana', h),
         hooks
     );
 }
 
 export async function op_normalize_katakana(srcBag, { hooks } = {}) {
-    await ensureKuro();
-    const K = getK();
-    const fastConverter = async (s) => await K.convert(normNFKC(s), { to: 'katakana', mode: 'spaced' });
-
-    const logic = async (h) => {
-        try {
-            await convertInWorker(srcBag.items, 'katakana', { onChunk: h.onChunk });
-            return;
-        } catch (err) {
-            console.warn('[op_normalize_katakana] Worker fallback to main thread', err);
-        }
-
-        await normalize(srcBag.items, null, { ...h, converter: fastConverter });
-    };
-
     return runProgressiveOp(
         `${srcBag.name} → normalize(katakana)`,
         { op: 'normalize_katakana', src: srcBag.id, normalized: 'katakana' },
-        logic,
+        h => convertKana(srcBag.items, 'katakana', h),
         hooks
     );
 }
 
 export async function op_normalize_romaji(srcBag, { hooks } = {}) {
-    await ensureKuro();
-    const K = getK();
-    const fastConverter = async (s) => await K.convert(normNFKC(s), { to: 'romaji', mode: 'spaced' });
-
-    const logic = async (h) => {
-        try {
-            await convertInWorker(srcBag.items, 'romaji', { onChunk: h.onChunk });
-            return;
-        } catch (err) {
-            console.warn('[op_normalize_romaji] Worker fallback to main thread', err);
-        }
-
-        await normalize(srcBag.items, null, { ...h, converter: fastConverter });
-    };
-
     return runProgressiveOp(
         `${srcBag.name} → normalize(romaji)`,
         { op: 'normalize_romaji', src: srcBag.id, normalized: 'romaji' },
-        logic,
+        h => convertKana(srcBag.items, 'romaji', h),
         hooks
     );
 }
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Input pre-normalization.
+ * @summary Converts an operation's input before it runs (the `normalizeBefore` option).
+ * @description
+ * Operations record the option in their meta as `normalize_before` (for
+ * filter_in: `normalize_src_before` / `normalize_lookup_before`). The value is
+ * the target, 'hiragana' | 'katakana' | 'romaji' | 'nfkc', or false; `true`,
+ * as stored by older versions, means 'hiragana'.
+ *
+ * The first run and reapply (domain/ops/runner) both prepare their input
+ * through `prepareInput`, and query strings (prefix, needle, target) through
+ * `prepareQuery`, so a recomputed bag matches the original. The operation
+ * then works on, and outputs, the converted strings. Items that convert to
+ * nothing are left out.
+ *
+ * Counted inputs (see domain/models/bag) keep their counts through
+ * `prepareCounted` only when nothing is converted: conversion can merge
+ * items, and the converted strings are not the counted ones.
+ *
+ * Kana targets use the worker conversion and its reading cache
+ * (infra/hiragana-worker-client), with Kuroshiro on the main thread as fallback.
+ *
+ * @module domain/ops/prenormalize
+ * @requires core/text
+ * @requires infra/hiragana-worker-client
+ * @requires infra/kuro-wrapper
+ * @exports PRENORM_TARGETS, preNormTarget, prepareInput, prepareCounted, prepareQuery
+ */
+
+import { normNFKC, normalize } from '../../core/text.js';
+import { convertInWorker } from '../../infra/hiragana-worker-client.js';
+import { ensureKuro, getK } from '../../infra/kuro-wrapper.js';
+
+export const PRENORM_TARGETS = ['hiragana', 'katakana', 'romaji', 'nfkc'];
+
+/**
+ * Resolves a stored `normalize_before` value to a target.
+ * @param {string|boolean|null|undefined} value
+ * @returns {string|null} null when no pre-normalization applies
+ */
+export function preNormTarget(value) {
+    if (value === true) return 'hiragana';
+    return PRENORM_TARGETS.includes(value) ? value : null;
+}
+
+/**
+ * Returns the items converted to the target, or the items themselves when
+ * `normalizeBefore` asks for nothing.
+ * @param {Iterable<string>} items
+ * @param {string|boolean} normalizeBefore
+ * @param {object} [hooks] `signal`, `control`, `yielder`, `batchSize`
+ * @returns {Promise<Iterable<string>>}
+ */
+export async function prepareInput(items, normalizeBefore, hooks = {}) {
+    const target = preNormTarget(normalizeBefore);
+    if (!target) return items;
+
+    if (target === 'nfkc') {
+        const out = new Set();
+        for (const w of items) {
+            const s = normNFKC(w);
+            if (s) out.add(s);
+        }
+        return out;
+    }
+
+    const { signal = null, control = null, yielder, batchSize } = hooks;
+    try {
+        const out = new Set();
+        await convertInWorker(items, target, {
+            onChunk: (chunk) => {
+                for (const w of chunk) out.add(w);
+            },
+            signal,
+            control
+        });
+        return out;
+    } catch (err) {
+        if (signal?.aborted) throw err;
+        console.warn(`[prenormalize] ${target}: worker fallback to main thread`, err);
+    }
+
+    await ensureKuro();
+    const K = getK();
+    const converter = async (s) => await K.convert(normNFKC(s), { to: target, mode: 'spaced' });
+    return normalize(items, null, { yielder, batchSize, signal, control, converter });
+}
+
+/**
+ * Like `prepareInput` for a whole bag, but returns a counted bag's counts
+ * when there is nothing to convert.
+ * @param {{items: Set<string>, counts: (Map<string, number>|null)}} bag
+ * @param {string|boolean} normalizeBefore
+ * @param {object} [hooks]
+ * @returns {Promise<Map<string, number>|Iterable<string>>}
+ */
+export async function prepareCounted(bag, normalizeBefore, hooks = {}) {
+    if (bag.counts && !preNormTarget(normalizeBefore)) return bag.counts;
+    return prepareInput(bag.items, normalizeBefore, hooks);
+}
+
+/**
+ * Converts a single query string the same way as the input.
+ * @param {string} value
+ * @param {string|boolean} normalizeBefore
+ * @param {object} [hooks]
+ * @returns {Promise<string>}
+ */
+export async function prepareQuery(value, normalizeBefore, hooks = {}) {
+    const base = normNFKC(value || '');
+    if (!base || !preNormTarget(normalizeBefore)) return base;
+    const out = await prepareInput([base], normalizeBefore, hooks);
+    for (const s of out) return s;
+    return '';
+}
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Substring and rewrite operations.
+ * @summary Operations that cut items (take, drop, slice) or rewrite them (regex, replace map).
+ * @description
+ * Bridges the code-point-safe substring functions and the regex / replace-map
+ * rewrites of core/text with the Domain Bag model. Invalid patterns and maps
+ * are rejected before a bag is created, so the caller sees the error.
+ * `normalizeBefore` converts the input first (see domain/ops/prenormalize).
+ *
+ * A replace map comes either from a bag of "from<TAB>to" items (`map_src`, an
+ * input like `src`, so reapply picks up its edits) or from pasted TSV, stored
+ * as is in `map_tsv`.
+ *
+ * @module domain/ops/rewrite
+ * @requires domain/ops/base
+ * @requires domain/ops/dispatch
+ * @requires domain/ops/prenormalize
+ * @requires core/text
+ * @exports op_take, op_drop, op_slice, op_extract_regex, op_replace_regex, op_replace_map
+ */
+
+import { runProgressiveOp } from './base.js';
+import { runCore } from './dispatch.js';
+import { normNFKC, parseReplacePairs, extractFlags } from '../../core/text.js';
+import { prepareInput } from './prenormalize.js';
+
+// Items a rewrite turns into nothing are reported as rejects (see domain/ops/base).
+const DROP_REASON = 'empty result';
+
+function toInt(value, name) {
+    const n = Number(value);
+    if (!Number.isInteger(n)) throw new Error(`${name} must be an integer: ${value}`);
+    return n;
+}
+
+// Compiles once up front so an invalid pattern fails the call instead of the job.
+function checkRegex(pattern, flags) {
+    if (!pattern) throw new Error('Regex pattern is empty');
+    new RegExp(pattern, flags.includes('u') ? flags : flags + 'u');
+}
+
+export async function op_take(srcBag, n, { normalizeBefore = false, hooks = {} } = {}) {
+    const k = toInt(n, 'n');
+    if (k <= 0) throw new Error(`n must be positive: ${k}`);
+    return runProgressiveOp(
+        `${srcBag.name} → take(${k})`,
+        { op: 'take', src: srcBag.id, n: k, normalize_before: normalizeBefore },
+        async (h) => {
+            await runCore('text.take', await prepareInput(srcBag.items, normalizeBefore, h), { n: k }, { ...h, dropReason: DROP_REASON });
+        },
+        hooks
+    );
+}
+
+export async function op_drop(srcBag, n, { normalizeBefore = false, hooks = {} } = {}) {
+    const k = toInt(n, 'n');
+    if (k < 0) throw new Error(`n must not be negative: ${k}`);
+    return runProgressiveOp(
+        `${srcBag.name} → drop(${k})`,
+        { op: 'drop', src: srcBag.id, n: k, normalize_before: normalizeBefore },
+        async (h) => {
+            await runCore('text.drop', await prepareInput(srcBag.items, normalizeBefore, h), { n: k }, { ...h, dropReason: DROP_REASON });
+        },
+        hooks
+    );
+}
+
+/**
+ * Cuts [start, end) in code points; negative indices count from the end and
+ * a missing `end` means the end of the item.
+ */
+export async function op_slice(srcBag, start, end = null, { normalizeBefore = false, hooks = {} } = {}) {
+    const st = toInt(start ?? 0, 'start');
+    const ed = end === null || end === undefined || end === '' ? null : toInt(end, 'end');
+    return runProgressiveOp(
+        `${srcBag.name} → slice(${st}:${ed ?? ''})`,
+        { op: 'slice', src: srcBag.id, start: st, end: ed, normalize_before: normalizeBefore },
+        async (h) => {
+            await runCore('text.slice', await prepareInput(srcBag.items, normalizeBefore, h), { start: st, end: ed }, { ...h, dropReason: DROP_REASON });
+        },
+        hooks
+    );
+}
+
+export async function op_extract_regex(srcBag, pattern, { group = 0, flags: rawFlags = 'u', normalizeBefore = false, hooks = {} } = {}) {
+    // g / y would make the match list every match instead of the groups of the first one.
+    const flags = extractFlags(rawFlags);
+    checkRegex(pattern, flags);
+    const g = toInt(group, 'group');
+    return runProgressiveOp(
+        `${srcBag.name} → extract(/${pattern}/${flags}, ${g})`,
+        { op: 'extract_regex', src: srcBag.id, pattern, group: g, flags, normalize_before: normalizeBefore },
+        async (h) => {
+            await runCore('text.extractRegex', await prepareInput(srcBag.items, normalizeBefore, h), { pattern, group: g, flags }, { ...h, dropReason: 'no match' });
+        },
+        hooks
+    );
+}
+
+export async function op_replace_regex(srcBag, pattern, toValue, { flags = 'gu', normalizeBefore = false, hooks = {} } = {}) {
+    checkRegex(pattern, flags);
+    const to = normNFKC(toValue ?? '');
+    return runProgressiveOp(
+        `${srcBag.name} → replace(/${pattern}/${flags}→"${to}")`,
+        { op: 'replace_regex', src: srcBag.id, pattern, to, flags, normalize_before: normalizeBefore },
+        async (h) => {
+            await runCore('text.replaceRegex', await prepareInput(srcBag.items, normalizeBefore, h), { pattern, to, flags }, { ...h, dropReason: DROP_REASON });
+        },
+        hooks
+    );
+}
+
+/**
+ * Replaces with a map (longest key first, see core/text replaceMap).
+ * @param {object} srcBag
+ * @param {{mapBag?: object, tsv?: string}} source Bag of "from<TAB>to" items, or TSV text
+ * @param {object} [options]
+ */
+export async function op_replace_map(srcBag, { mapBag = null, tsv = '' } = {}, { normalizeBefore = false, hooks = {} } = {}) {
+    const fromBag = !tsv.trim();
+    if (fromBag && !mapBag) throw new Error('Replace map is empty: choose a map bag or paste TSV');
+    const map = parseReplacePairs(fromBag ? mapBag.items : tsv);
+    if (!map.size) throw new Error('Replace map has no entries');
+
+    const meta = fromBag
+        ? { op: 'replace_map', src: srcBag.id, map_src: mapBag.id, normalize_before: normalizeBefore }
+        : { op: 'replace_map', src: srcBag.id, map_tsv: tsv, normalize_before: normalizeBefore };
+    const label = fromBag ? `[${mapBag.id}]` : `${map.size} pairs`;
+    return runProgressiveOp(
+        `${srcBag.name} → replace_map(${label})`,
+        meta,
+        async (h) => {
+            await runCore('text.replaceMap', await prepareInput(srcBag.items, normalizeBefore, h), { map }, { ...h, dropReason: DROP_REASON });
+        },
+        hooks
+    );
+}
@@ -4,41 +4,94 @@
  * @description
  * Handles the logic for re-calculating bags based on their metadata (Op Rebuild).
  * Maps meta operation names to actual Domain Operation function calls.
+ * Recomputation follows the dependency graph built from bag lineage, not the
+ * display order: reapplying a bag brings it and its ancestors up to date, and
+ * reapplying downstream refreshes every bag that reads from it. Bags whose
+ * inputs' versions and parameters match their last computation are skipped.
+ * A failure stops the run, or with `continueOnError` only blocks the failed
+ * bag's descendants; either way the run resolves to a per-bag report.
+ * A rebuilder returns a Set, or a Map of counts for a counted result (see
+ * domain/models/bag); filters of a counted input get its counts back through
+ * domain/models/counts, and items their inputs' attributes through
+ * domain/models/attrs, as on the first run. A rebuilder of an operation that
+ * computes attributes returns `withAttrs(items, attrs)` (see `onAttrs` in
+ * domain/ops/base). Rebuilders take `(meta, job)`; a retry passes its job's
+ * `{signal, control}` so that Pause and Cancel reach the computation. Items
+ * rejected on the way go to the bag's companion rejects bag, replacing the
+ * first run's, so `meta.rejected` describes the latest computation.
  *
  * @module domain/ops/runner
  * @requires domain/models/registry
+ * @requires domain/models/bag
+ * @requires domain/models/graph
+ * @requires domain/models/lineage
+ * @requires domain/models/ordering
+ * @requires domain/models/counts
+ * @requires domain/models/attrs
+ * @requires domain/models/job
+ * @requires domain/models/job-queue
  * @requires domain/ops/*
+ * @requires domain/ops/dispatch
+ * @requires domain/ops/prenormalize
+ * @requires domain/ops/collate
  * @requires core/utils
  * @requires core/sets
+ * @requires core/multiset
+ * @requires core/attrs
+ * @requires core/wordnet
+ * @requires core/entries
  * @requires infra/kuro-wrapper
- * @exports reapplySeries, OP_REBUILDERS
+ * @exports reapplySeries, reapplyDownstream, computeFreshness, retryBag, OP_REBUILDERS
  */
 
 import { REG } from '../models/registry.js';
+import { Bag } from '../models/bag.js';
+import { buildGraph, ancestorsOf, descendantsOf, topoOrder } from '../models/graph.js';
+import { computationRecord, isComputationCurrent } from '../models/lineage.js';
+import { orderingFor } from '../models/ordering.js';
+import { inheritedCounts } from '../models/counts.js';
+import { inheritedAttrs } from '../models/attrs.js';
+import { JobControl, trackJob, untrackJob } from '../models/job.js';
+import { JOBS } from '../models/job-queue.js';
 import { nowISO } from '../../core/utils.js';
 import { setsAreEqual } from '../../core/sets.js';
-import { appendOpLog, getBatchSize, waitFrame } from '../../ui/dom.js';
+import { el, appendOpLog, getBatchSize, waitFrame } from '../../ui/dom.js';
 // Note: ui/dom dependency in domain layer slightly breaks strict layering,
 // but runner heavily relies on logging to UI.
 // Ideally, we'd pass a logger callback. For now, we import appendOpLog to match legacy features.
 
 import { convertInWorker } from '../../infra/hiragana-worker-client.js';
+import { runCore } from './dispatch.js';
+import { prepareInput, prepareCounted, prepareQuery } from './prenormalize.js';
+import { sortItems } from './collate.js';
 
-// Generic hooks provider
-function getHooks() {
+// Generic hooks provider. `job` ({signal, control}) lets a queued rebuild be paused and
+// cancelled; its `onReject` collects the rejected items (see recomputeBagByMeta).
+function getHooks(job = null) {
     return {
         yielder: waitFrame,
-        batchSize: getBatchSize() // This also reads from DOM. Consider passing in via config.
+        batchSize: getBatchSize(), // This also reads from DOM. Consider passing in via config.
         // For refactoring speed, we accept this coupling for now.
+        useWorkers: el('#ckUseWorkers')?.checked !== false,
+        signal: job?.signal || null,
+        control: job?.control || null,
+        onReject: job?.onReject || null
     };
 }
 
+// Reported for items a transform leaves empty, as the first run does (see domain/ops/transform).
+const DROP_REASON = 'empty result';
+
 // Import all ops to map them
 import * as NormOps from './normalize.js';
 import * as TransOps from './transform.js';
+import * as CleanOps from './cleanup.js';
+import * as RewriteOps from './rewrite.js';
 import * as SetOps from './sets.js';
 import * as FilterOps from './filters.js';
 import * as GenOps from './generators.js';
+import * as SynOps from './synonyms.js';
+import * as GlossOps from './glosses.js';
 
 // Map op name (from meta.op) to actual function call
 // In v1, operations.js exported individual functions like op_to_upper.
@@ -53,6 +106,19 @@ const OP_MAP = {
     'dedupe_chars': TransOps.op_dedupe_chars,
     'replace': TransOps.op_replace,
     'sort': TransOps.op_sort,
+    'delete_chars': TransOps.op_delete_chars,
+    'normalize_spaces': CleanOps.op_normalize_spaces,
+    'strip_punctuation': CleanOps.op_strip_punctuation,
+    'normalize_dashes': CleanOps.op_normalize_dashes,
+    'normalize_kana': CleanOps.op_normalize_kana,
+    'fingerprint': CleanOps.op_fingerprint,
+    'unique_normalized': CleanOps.op_unique_normalized,
+    'take': RewriteOps.op_take,
+    'drop': RewriteOps.op_drop,
+    'slice': RewriteOps.op_slice,
+    'extract_regex': RewriteOps.op_extract_regex,
+    'replace_regex': RewriteOps.op_replace_regex,
+    'replace_map': RewriteOps.op_replace_map,
     'union': SetOps.op_union,
     'intersection': SetOps.op_intersection,
     'difference': SetOps.op_difference,
@@ -72,12 +138,19 @@ const OP_MAP = {
     'filter_ngram_jaccard': FilterOps.op_filter_ngram_jaccard,
     'filter_hamming': FilterOps.op_filter_hamming,
     'filter_pattern_preset': FilterOps.op_filter_pattern_preset,
+    'filter_top_count': FilterOps.op_filter_top_count,
+    'filter_min_count': FilterOps.op_filter_min_count,
+    'filter_attr': FilterOps.op_filter_attr,
+    'filter_pos': FilterOps.op_filter_pos,
     // 'filter_in' is special, mapped below
     'ngrams': GenOps.op_ngrams,
     'sample': GenOps.op_sample,
     'cartesian': GenOps.op_cartesian,
     'append': GenOps.op_append,
-    'anagram': GenOps.op_anagram
+    'anagram': GenOps.op_anagram,
+    'expand_synonyms': SynOps.op_expand_synonyms,
+    'synonym_clusters': SynOps.op_synonym_clusters,
+    'gloss_search': GlossOps.op_gloss_search
 };
 
 // Re-builder functions that take 'meta' and call the appropriate Domain Op.
@@ -101,176 +174,375 @@ import * as CoreText from '../../core/text.js';
 import * as CoreSets from '../../core/sets.js';
 import * as CoreFilters from '../../core/filters.js';
 import * as CoreGens from '../../core/generators.js';
+import * as CoreMultiset from '../../core/multiset.js';
+import * as CoreAttrs from '../../core/attrs.js';
+import * as CoreWordnet from '../../core/wordnet.js';
+import * as CoreEntries from '../../core/entries.js';
 import { ensureKuro, getK } from '../../infra/kuro-wrapper.js';
 
-async function convertWithWorker(items, target) {
+// Records the conversion backend and tally in `meta`, as domain/ops/normalize does.
+async function convertWithWorker(items, target, meta, job = null) {
     const out = new Set();
-    await convertInWorker(items, target, {
+    const { backend, counts } = await convertInWorker(items, target, {
         onChunk: (chunk) => {
             for (const c of chunk || []) out.add(c);
-        }
+        },
+        onReject: job?.onReject || null,
+        signal: job?.signal || null,
+        control: job?.control || null
     });
+    meta.backend = backend;
+    meta.backend_counts = counts;
+    return out;
+}
+
+// The main-thread fallback of convertWithWorker, tallied as domain/ops/normalize does.
+async function convertWithKuroshiro(items, target, meta, job = null) {
+    await ensureKuro();
+    const K = getK();
+    const fastConverter = async (s) => await K.convert(CoreText.normNFKC(s), { to: target, mode: 'spaced' });
+    let failed = 0;
+    const hooks = getHooks(job);
+    const onReject = (item, reason) => {
+        failed += 1;
+        if (hooks.onReject) hooks.onReject(item, reason);
+    };
+    const out = await CoreText.normalize(items, null, { ...hooks, onReject, converter: fastConverter });
+    meta.backend = 'kuroshiro';
+    meta.backend_counts = { kuroshiro: items.size - failed, direct: 0, fallback: 0, failed, cached: 0 };
     return out;
 }
 
-// Helper to get items from src ID in meta
-async function getItems(bagId, normalizeBefore = false) {
+// Helper to get items from src ID in meta, pre-normalized like the first run
+async function getItems(bagId, normalizeBefore = false, job = null) {
     const bag = REG.get(bagId);
     if (!bag) throw new Error(`Bag ${bagId} not found`);
-    // normalizeBefore logic...
-    // If true, we need to convert to items normalized.
-    // For now, return raw items. Parity with `domain/ops/transform.js` decision.
-    return bag.items;
+    return prepareInput(bag.items, normalizeBefore, getHooks(job));
+}
+
+// Same, keeping a counted bag's counts (see domain/ops/prenormalize).
+async function getCounted(bagId, normalizeBefore = false, job = null) {
+    const bag = REG.get(bagId);
+    if (!bag) throw new Error(`Bag ${bagId} not found`);
+    return prepareCounted(bag, normalizeBefore, getHooks(job));
+}
+
+// Frequency filters need a counted input (see domain/ops/filters).
+function countsOf(bagId) {
+    const bag = REG.get(bagId);
+    if (!bag) throw new Error(`Bag ${bagId} not found`);
+    if (!bag.counts) throw new Error(`Bag [${bagId}] has no counts`);
+    return bag.counts;
+}
+
+// Attribute lookups (see domain/ops/filters, domain/ops/synonyms).
+function bagOf(bagId) {
+    const bag = REG.get(bagId);
+    if (!bag) throw new Error(`Bag ${bagId} not found`);
+    return bag;
+}
+
+function plainOf(items) {
+    return CoreMultiset.isCounted(items) ? new Set(items.keys()) : items;
+}
+
+// Query strings are converted like the input (see domain/ops/prenormalize).
+function query(value, meta, job = null) {
+    return prepareQuery(value, meta.normalize_before, getHooks(job));
+}
+
+// Marks a rebuilder result that brings its own attribute records.
+const WITH_ATTRS = Symbol('withAttrs');
+
+function withAttrs(items, attrs) {
+    return { [WITH_ATTRS]: true, items, attrs };
 }
 
 export const OP_REBUILDERS = {
-    async normalize_hiragana(meta) {
-        const items = await getItems(meta.src);
+    async normalize_hiragana(meta, job) {
+        const items = await getItems(meta.src, false, job);
         try {
-            return await convertWithWorker(items, 'hiragana');
+            return await convertWithWorker(items, 'hiragana', meta, job);
         } catch (err) {
+            if (job?.signal?.aborted) throw err;
             console.warn('[runner] Worker normalize_hiragana fallback', err);
         }
-
-        await ensureKuro();
-        const K = getK();
-        const fastConverter = async (s) => await K.convert(CoreText.normNFKC(s), { to: 'hiragana', mode: 'spaced' });
-        return CoreText.normalize(items, null, { ...getHooks(), converter: fastConverter });
+        return convertWithKuroshiro(items, 'hiragana', meta, job);
     },
-    async normalize_katakana(meta) {
-        const items = await getItems(meta.src);
+    async normalize_katakana(meta, job) {
+        const items = await getItems(meta.src, false, job);
         try {
-            return await convertWithWorker(items, 'katakana');
+            return await convertWithWorker(items, 'katakana', meta, job);
         } catch (err) {
+            if (job?.signal?.aborted) throw err;
             console.warn('[runner] Worker normalize_katakana fallback', err);
         }
-
-        await ensureKuro();
-        const K = getK();
-        const fastConverter = async (s) => await K.convert(CoreText.normNFKC(s), { to: 'katakana', mode: 'spaced' });
-        return CoreText.normalize(items, null, { ...getHooks(), converter: fastConverter });
+        return convertWithKuroshiro(items, 'katakana', meta, job);
     },
-    async normalize_romaji(meta) {
-        const items = await getItems(meta.src);
+    async normalize_romaji(meta, job) {
+        const items = await getItems(meta.src, false, job);
         try {
-            return await convertWithWorker(items, 'romaji');
+            return await convertWithWorker(items, 'romaji', meta, job);
         } catch (err) {
+            if (job?.signal?.aborted) throw err;
             console.warn('[runner] Worker normalize_romaji fallback', err);
         }
-
-        await ensureKuro();
-        const K = getK();
-        const fastConverter = async (s) => await K.convert(CoreText.normNFKC(s), { to: 'romaji', mode: 'spaced' });
-        return CoreText.normalize(items, null, { ...getHooks(), converter: fastConverter });
+        return convertWithKuroshiro(items, 'romaji', meta, job);
+    },
+    async to_upper(meta, job) {
+        return runCore('text.toUpper', await getItems(meta.src, meta.normalize_before, job), null, { ...getHooks(job), dropReason: DROP_REASON });
     },
-    async to_upper(meta) {
-        return CoreText.toUpper(await getItems(meta.src, meta.normalize_before), null, getHooks());
+    async to_lower(meta, job) {
+        return runCore('text.toLower', await getItems(meta.src, meta.normalize_before, job), null, { ...getHooks(job), dropReason: DROP_REASON });
     },
-    async to_lower(meta) {
-        return CoreText.toLower(await getItems(meta.src, meta.normalize_before), null, getHooks());
+    async reverse(meta, job) {
+        return runCore('text.reverse', await getItems(meta.src, meta.normalize_before, job), null, { ...getHooks(job), dropReason: DROP_REASON });
     },
-    async reverse(meta) {
-        return CoreText.reverse(await getItems(meta.src, meta.normalize_before), null, getHooks());
+    async dedupe_chars(meta, job) {
+        return runCore('text.dedupeChars', await getItems(meta.src, meta.normalize_before, job), null, { ...getHooks(job), dropReason: DROP_REASON });
     },
-    async dedupe_chars(meta) {
-        return CoreText.dedupeChars(await getItems(meta.src, meta.normalize_before), null, getHooks());
+    async replace(meta, job) {
+        return runCore('text.replace', await getItems(meta.src, meta.normalize_before, job), { from: await query(meta.from, meta, job), to: meta.to }, { ...getHooks(job), dropReason: DROP_REASON });
     },
-    async replace(meta) {
-        return CoreText.replace(await getItems(meta.src, meta.normalize_before), { from: meta.from, to: meta.to }, getHooks());
+    async delete_chars(meta, job) {
+        const chars = await prepareQuery(meta.chars, meta.chars_hiragana ? 'hiragana' : false, getHooks(job));
+        return runCore('text.deleteChars', await getItems(meta.src, meta.normalize_before, job), { chars, classes: meta.classes || [], dropConflicts: !!meta.drop_conflicts }, getHooks(job));
     },
-    async sort(meta) {
-        return CoreText.sort(await getItems(meta.src, meta.normalize_before), { order: meta.order, locale: meta.locale });
+    async normalize_spaces(meta, job) {
+        return runCore('text.normalizeSpaces', await getItems(meta.src, meta.normalize_before, job), { mode: meta.mode }, { ...getHooks(job), dropReason: DROP_REASON });
     },
-    async union(meta) {
-        const itemsA = await getItems(meta.src_a);
-        const itemsB = await getItems(meta.src_b);
-        return CoreSets.union(itemsA, { itemsB }, getHooks());
+    async strip_punctuation(meta, job) {
+        return runCore('text.stripPunctuation', await getItems(meta.src, meta.normalize_before, job), { removeSymbols: meta.remove_symbols }, { ...getHooks(job), dropReason: DROP_REASON });
     },
-    async intersection(meta) {
-        const itemsA = await getItems(meta.src_a);
-        const itemsB = await getItems(meta.src_b);
-        return CoreSets.intersection(itemsA, { itemsB }, getHooks());
+    async normalize_dashes(meta, job) {
+        return runCore('text.normalizeDashes', await getItems(meta.src, meta.normalize_before, job), { dash: meta.dash, tilde: meta.tilde }, { ...getHooks(job), dropReason: DROP_REASON });
     },
-    async difference(meta) {
-        const itemsA = await getItems(meta.src_a);
-        const itemsB = await getItems(meta.src_b);
-        return CoreSets.difference(itemsA, { itemsB }, getHooks());
+    async normalize_kana(meta, job) {
+        const params = { to: meta.to, smallToLarge: meta.small_to_large, removeVoicingMarks: meta.remove_voicing_marks };
+        return runCore('text.normalizeKana', await getItems(meta.src, meta.normalize_before, job), params, { ...getHooks(job), dropReason: DROP_REASON });
     },
-    async symmetric_difference(meta) {
-        const itemsA = await getItems(meta.src_a);
-        const itemsB = await getItems(meta.src_b);
-        return CoreSets.symmetricDifference(itemsA, { itemsB }, getHooks());
+    async fingerprint(meta, job) {
+        return runCore('text.fingerprint', await getItems(meta.src, meta.normalize_before, job), { removeSymbols: meta.remove_symbols }, { ...getHooks(job), dropReason: DROP_REASON });
     },
-    async filter_length(meta) {
-        return CoreFilters.filterLength(await getItems(meta.src, meta.normalize_before), { min: meta.min, max: meta.max }, getHooks());
+    async unique_normalized(meta, job) {
+        return CoreText.uniqueNormalized(await getItems(meta.src, meta.normalize_before, job), null, getHooks(job));
     },
-    async filter_prefix(meta) {
-        return CoreFilters.filterPrefix(await getItems(meta.src, meta.normalize_before), { prefix: meta.prefix }, getHooks());
+    async take(meta, job) {
+        return runCore('text.take', await getItems(meta.src, meta.normalize_before, job), { n: meta.n }, { ...getHooks(job), dropReason: DROP_REASON });
     },
-    async filter_suffix(meta) {
-        return CoreFilters.filterSuffix(await getItems(meta.src, meta.normalize_before), { suffix: meta.suffix }, getHooks());
+    async drop(meta, job) {
+        return runCore('text.drop', await getItems(meta.src, meta.normalize_before, job), { n: meta.n }, { ...getHooks(job), dropReason: DROP_REASON });
     },
-    async filter_contains(meta) {
-        return CoreFilters.filterContains(await getItems(meta.src, meta.normalize_before), { needle: meta.needle || meta.contains }, getHooks());
+    async slice(meta, job) {
+        return runCore('text.slice', await getItems(meta.src, meta.normalize_before, job), { start: meta.start, end: meta.end }, { ...getHooks(job), dropReason: DROP_REASON });
     },
-    async filter_regex(meta) {
-        return CoreFilters.filterRegex(await getItems(meta.src, meta.normalize_before), { pattern: meta.pattern, invert: meta.invert }, getHooks());
+    async extract_regex(meta, job) {
+        const params = { pattern: meta.pattern, group: meta.group, flags: meta.flags };
+        return runCore('text.extractRegex', await getItems(meta.src, meta.normalize_before, job), params, { ...getHooks(job), dropReason: 'no match' });
     },
-    async filter_similarity(meta) {
-        return CoreFilters.filterSimilarity(await getItems(meta.src, meta.normalize_before), { target: meta.target, dist: meta.dist, metric: meta.metric }, getHooks());
+    async replace_regex(meta, job) {
+        const params = { pattern: meta.pattern, to: meta.to, flags: meta.flags };
+        return runCore('text.replaceRegex', await getItems(meta.src, meta.normalize_before, job), params, { ...getHooks(job), dropReason: DROP_REASON });
     },
-    async filter_in(meta) {
-        const itemsA = await getItems(meta.src, meta.normalize_src_before);
-        const itemsB = await getItems(meta.lookup, meta.normalize_lookup_before);
-        return CoreSets.intersection(itemsA, { itemsB }, getHooks());
+    async replace_map(meta, job) {
+        const map = CoreText.parseReplacePairs(meta.map_src !== undefined ? await getItems(meta.map_src, false, job) : meta.map_tsv);
+        return runCore('text.replaceMap', await getItems(meta.src, meta.normalize_before, job), { map }, { ...getHooks(job), dropReason: DROP_REASON });
     },
-    async ngrams(meta) {
-        return CoreGens.ngrams(await getItems(meta.src, meta.normalize_before), { n: meta.n }, getHooks());
+    async sort(meta, job) {
+        const params = { mode: meta.mode || 'locale', order: meta.order, locale: meta.locale, ...(meta.collation || {}) };
+        // Reading orders record their conversion backend, as on the first run.
+        const hooks = { ...getHooks(job), annotate: patch => Object.assign(meta, patch) };
+        return sortItems(await getItems(meta.src, meta.normalize_before, job), params, hooks);
     },
-    async sample(meta) {
-        return CoreGens.sample(await getItems(meta.src, meta.normalize_before), { count: meta.count, seed: meta.seed });
+    async union(meta, job) {
+        const itemsA = await getCounted(meta.src_a, meta.normalize_before, job);
+        const itemsB = await getCounted(meta.src_b, meta.normalize_before, job);
+        if (CoreMultiset.isCounted(itemsA) || CoreMultiset.isCounted(itemsB)) {
+            return CoreMultiset.unionCounts(itemsA, { itemsB, mode: meta.count_mode || 'sum' }, getHooks(job));
+        }
+        return CoreSets.union(itemsA, { itemsB }, getHooks(job));
+    },
+    async intersection(meta, job) {
+        const itemsA = await getCounted(meta.src_a, meta.normalize_before, job);
+        const itemsB = await getCounted(meta.src_b, meta.normalize_before, job);
+        if (CoreMultiset.isCounted(itemsA)) return CoreMultiset.intersectionCounts(itemsA, { itemsB }, getHooks(job));
+        return runCore('sets.intersection', itemsA, { itemsB: plainOf(itemsB) }, getHooks(job));
+    },
+    async difference(meta, job) {
+        const itemsA = await getCounted(meta.src_a, meta.normalize_before, job);
+        const itemsB = await getCounted(meta.src_b, meta.normalize_before, job);
+        if (CoreMultiset.isCounted(itemsA)) return CoreMultiset.differenceCounts(itemsA, { itemsB }, getHooks(job));
+        return runCore('sets.difference', itemsA, { itemsB: plainOf(itemsB) }, getHooks(job));
+    },
+    async symmetric_difference(meta, job) {
+        const itemsA = await getItems(meta.src_a, meta.normalize_before, job);
+        const itemsB = await getItems(meta.src_b, meta.normalize_before, job);
+        return CoreSets.symmetricDifference(itemsA, { itemsB }, getHooks(job));
+    },
+    async filter_length(meta, job) {
+        return runCore('filters.filterLength', await getItems(meta.src, meta.normalize_before, job), { min: meta.min, max: meta.max }, getHooks(job));
+    },
+    async filter_prefix(meta, job) {
+        return runCore('filters.filterPrefix', await getItems(meta.src, meta.normalize_before, job), { prefix: await query(meta.prefix, meta, job) }, getHooks(job));
+    },
+    async filter_suffix(meta, job) {
+        return runCore('filters.filterSuffix', await getItems(meta.src, meta.normalize_before, job), { suffix: await query(meta.suffix, meta, job) }, getHooks(job));
+    },
+    async filter_contains(meta, job) {
+        return runCore('filters.filterContains', await getItems(meta.src, meta.normalize_before, job), { needle: await query(meta.needle || meta.contains, meta, job) }, getHooks(job));
+    },
+    async filter_regex(meta, job) {
+        return runCore('filters.filterRegex', await getItems(meta.src, meta.normalize_before, job), { pattern: meta.pattern, invert: meta.invert }, getHooks(job));
+    },
+    async filter_similarity(meta, job) {
+        return runCore('filters.filterSimilarity', await getItems(meta.src, meta.normalize_before, job), { target: await query(meta.target, meta, job), dist: meta.dist, metric: meta.metric }, getHooks(job));
+    },
+    async filter_in(meta, job) {
+        const itemsA = await getItems(meta.src, meta.normalize_src_before, job);
+        const itemsB = await getItems(meta.lookup, meta.normalize_lookup_before, job);
+        return runCore('sets.intersection', itemsA, { itemsB }, getHooks(job));
+    },
+    async ngrams(meta, job) {
+        if (meta.count) {
+            const input = await getCounted(meta.src, meta.normalize_before, job);
+            const weights = CoreMultiset.isCounted(input) ? input : null;
+            return CoreMultiset.ngramCounts(weights ? input.keys() : input, { n: meta.n, weights }, getHooks(job));
+        }
+        return runCore('generators.ngrams', await getItems(meta.src, meta.normalize_before, job), { n: meta.n }, getHooks(job));
+    },
+    async filter_top_count(meta, job) {
+        return CoreMultiset.topByCount(countsOf(meta.src), { n: meta.n }, getHooks(job));
+    },
+    async filter_min_count(meta, job) {
+        return CoreMultiset.filterMinCount(countsOf(meta.src), { min: meta.min }, getHooks(job));
     },
-    async cartesian(meta) {
-        const itemsA = await getItems(meta.src_a);
-        const itemsB = await getItems(meta.src_b);
-        return CoreGens.cartesian(itemsA, { itemsB, sep: meta.sep, limit: meta.limit }, getHooks());
+    async filter_attr(meta, job) {
+        const bag = bagOf(meta.src);
+        const params = { attrs: bag.attrs, key: meta.key, needle: meta.needle, mode: meta.mode, invert: meta.invert };
+        return CoreAttrs.filterAttr(bag.items, params, getHooks(job));
     },
-    async append(meta) {
-        return CoreText.append(await getItems(meta.src, meta.normalize_before), { prefix: meta.prefix, suffix: meta.suffix }, getHooks());
+    async filter_pos(meta, job) {
+        const bag = bagOf(meta.src);
+        return CoreAttrs.filterPos(bag.items, { attrs: bag.attrs, pos: meta.pos, match: meta.match, invert: meta.invert }, getHooks(job));
     },
-    async anagram(meta) {
-        return CoreGens.anagram(await getItems(meta.src, meta.normalize_before), null, getHooks());
+    async expand_synonyms(meta, job) {
+        const src = bagOf(meta.src);
+        const lookup = bagOf(meta.lookup);
+        const reached = await CoreWordnet.expandSynonyms(src.items, { attrs: lookup.attrs, hops: meta.hops }, getHooks(job));
+        return withAttrs(reached.keys(), CoreWordnet.expansionRecords(reached, src.attrs, lookup.attrs));
     },
-    async filter_normalized_equals(meta) {
-        return FilterOps.op_filter_normalized_equals(await getItems(meta.src), meta.target, getHooks());
+    async synonym_clusters(meta, job) {
+        const src = bagOf(meta.src);
+        const lookup = bagOf(meta.lookup);
+        const clusters = await CoreWordnet.synonymClusters(src.items, { attrs: lookup.attrs }, getHooks(job));
+        return withAttrs(new Set(src.items), CoreWordnet.clusterRecords(src.items, clusters, src.attrs, lookup.attrs));
     },
-    async filter_normalized_contains(meta) {
-        return FilterOps.op_filter_normalized_contains(await getItems(meta.src), meta.needle, getHooks());
+    async synonym_cluster(meta, job) {
+        // The cluster may have grown, shrunk or gone (empty result).
+        const src = bagOf(meta.src);
+        const lookup = bagOf(meta.lookup);
+        const clusters = await CoreWordnet.synonymClusters(src.items, { attrs: lookup.attrs }, getHooks(job));
+        const members = Array.from(src.items).filter(w => clusters.get(w) === meta.cluster);
+        return withAttrs(members, CoreWordnet.clusterRecords(members, clusters, src.attrs, lookup.attrs));
     },
-    async filter_script(meta) {
-        return FilterOps.op_filter_script(await getItems(meta.src), meta.script, meta.invert, getHooks());
+    async gloss_search(meta, job) {
+        const { entries, searched, unreadable } = await GlossOps.readGlossEntries(meta.files || []);
+        Object.assign(meta, { searched, unreadable });
+        const params = { needle: meta.needle, mode: meta.mode };
+        const items = await CoreEntries.glossSearch(entries, params, getHooks(job));
+        return withAttrs(items, CoreEntries.glossRecords(entries, params));
     },
-    async filter_unicode_property(meta) {
-        return FilterOps.op_filter_unicode_property(await getItems(meta.src), meta.property, meta.invert, getHooks());
+    async sample(meta, job) {
+        return CoreGens.sample(await getItems(meta.src, meta.normalize_before, job), { count: meta.count, seed: meta.seed });
     },
-    async filter_subsequence(meta) {
-        return FilterOps.op_filter_subsequence(await getItems(meta.src), meta.needle, { normalize: meta.normalize, ...getHooks() });
+    async cartesian(meta, job) {
+        const itemsA = await getItems(meta.src_a, meta.normalize_before, job);
+        const itemsB = await getItems(meta.src_b, meta.normalize_before, job);
+        return CoreGens.cartesian(itemsA, { itemsB, sep: meta.sep, limit: meta.limit }, getHooks(job));
     },
-    async filter_char_at(meta) {
-        return FilterOps.op_filter_char_at(await getItems(meta.src), meta.index, meta.char, getHooks());
+    async append(meta, job) {
+        return runCore('text.append', await getItems(meta.src, meta.normalize_before, job), { prefix: meta.prefix, suffix: meta.suffix }, getHooks(job));
     },
-    async filter_ngram_jaccard(meta) {
-        return FilterOps.op_filter_ngram_jaccard(await getItems(meta.src), meta.target, meta.n, meta.min, getHooks());
+    async anagram(meta, job) {
+        return runCore('generators.anagram', await getItems(meta.src, meta.normalize_before, job), null, getHooks(job));
     },
-    async filter_hamming(meta) {
-        return FilterOps.op_filter_hamming(await getItems(meta.src), meta.target, meta.max, meta.allowDifferentLength, getHooks());
+    async filter_normalized_equals(meta, job) {
+        return runCore('filters.filterNormalizedEquals', await getItems(meta.src, false, job), { target: meta.target }, getHooks(job));
     },
-    async filter_pattern_preset(meta) {
-        return FilterOps.op_filter_pattern_preset(await getItems(meta.src), meta.preset, meta.invert, getHooks());
+    async filter_normalized_contains(meta, job) {
+        return runCore('filters.filterNormalizedContains', await getItems(meta.src, false, job), { needle: meta.needle }, getHooks(job));
+    },
+    async filter_script(meta, job) {
+        return runCore('filters.filterScript', await getItems(meta.src, false, job), { script: meta.script, invert: meta.invert }, getHooks(job));
+    },
+    async filter_unicode_property(meta, job) {
+        return runCore('filters.filterUnicodeProperty', await getItems(meta.src, false, job), { property: meta.property, invert: meta.invert }, getHooks(job));
+    },
+    async filter_subsequence(meta, job) {
+        return runCore('filters.filterSubsequence', await getItems(meta.src, false, job), { needle: meta.needle, normalize: meta.normalize }, getHooks(job));
+    },
+    async filter_char_at(meta, job) {
+        return runCore('filters.filterCharAt', await getItems(meta.src, false, job), { index: meta.index, char: meta.char }, getHooks(job));
+    },
+    async filter_ngram_jaccard(meta, job) {
+        return runCore('filters.filterNgramJaccard', await getItems(meta.src, false, job), { target: meta.target, n: meta.n, min: meta.min }, getHooks(job));
+    },
+    async filter_hamming(meta, job) {
+        return runCore('filters.filterHamming', await getItems(meta.src, false, job), { target: meta.target, max: meta.max, allowDifferentLength: meta.allowDifferentLength }, getHooks(job));
+    },
+    async filter_pattern_preset(meta, job) {
+        return runCore('filters.filterPatternPreset', await getItems(meta.src, meta.normalize_before, job), { preset: meta.preset, invert: meta.invert }, getHooks(job));
     }
 };
 
-async function recomputeBagByMeta(bag) {
+function getBagById(id) {
+    return REG.get(id);
+}
+
+function sameSequence(a, b) {
+    if (a.size !== b.size) return false;
+    const it = b.values();
+    for (const x of a) if (x !== it.next().value) return false;
+    return true;
+}
+
+function sameCounts(a, b) {
+    if (!a || !b) return !a && !b;
+    if (a.size !== b.size) return false;
+    for (const [item, n] of a) if (b.get(item) !== n) return false;
+    return true;
+}
+
+// Merged records are new objects on every run (see core/attrs), so they compare by content.
+function sameAttrs(a, b) {
+    if (!a || !b) return !a && !b;
+    if (a.size !== b.size) return false;
+    for (const [item, record] of a) {
+        const other = b.get(item);
+        if (other !== record && JSON.stringify(other) !== JSON.stringify(record)) return false;
+    }
+    return true;
+}
+
+// Replaces the companion rejects bag's items (see domain/ops/base), creating it on the first reject.
+function refreshRejects(bag, items, reasons) {
+    let rejects = bag.meta.rejects_bag !== undefined ? REG.get(bag.meta.rejects_bag) : null;
+    if (!rejects && !items.size) {
+        delete bag.meta.rejected;
+        delete bag.meta.rejects_bag;
+        return;
+    }
+    if (!rejects) {
+        rejects = new Bag(`${bag.name} (rejects)`, [], { op: 'rejects', src: bag.id, status: 'ready' });
+        REG.add(rejects);
+    }
+    rejects.meta.reasons = reasons;
+    rejects.setItems(items);
+    bag.meta.rejected = items.size;
+    bag.meta.rejects_bag = rejects.id;
+}
+
+async function recomputeBagByMeta(bag, { force = false, job = null } = {}) {
     const meta = bag?.meta || {};
     const op = meta.op;
     if (!op) return { changed: false, reason: 'no-op' };
@@ -278,48 +550,196 @@ async function recomputeBagByMeta(bag) {
     const runner = OP_REBUILDERS[op];
     if (!runner) return { changed: false, reason: 'unsupported' };
 
-    const before = bag.items instanceof Set ? new Set(bag.items) : new Set(Array.from(bag.items || []));
-    const result = await runner(meta);
+    if (!force && isComputationCurrent(meta, getBagById)) {
+        return { changed: false, reason: 'up-to-date' };
+    }
+
+    const computedFrom = computationRecord(meta, getBagById);
+    const rejected = new Set();
+    const reasons = {};
+    const onReject = (item, reason) => {
+        rejected.add(item);
+        reasons[reason] = (reasons[reason] || 0) + 1;
+    };
+    const result = await runner(meta, { ...job, onReject });
+    refreshRejects(bag, rejected, reasons);
 
     if (!result) return { changed: false, reason: 'no-change' };
 
-    const nextItems = result instanceof Set ? result : new Set(result);
-    // setsAreEqual from core/utils checks size and content
-    const changed = !setsAreEqual(before, nextItems);
+    // Attribute-computing ops give withAttrs(); others inherit their inputs' attributes.
+    const reported = result[WITH_ATTRS] ? result : null;
+    const output = reported ? reported.items : result;
+    // Counted results come as Maps; filters of a counted input inherit its counts.
+    const resultCounts = output instanceof Map ? output : null;
+    const nextItems = resultCounts ? new Set(resultCounts.keys()) : output instanceof Set ? output : new Set(output);
+    const nextCounts = resultCounts || inheritedCounts(meta, nextItems, getBagById);
+    const nextAttrs = reported ? (reported.attrs?.size ? reported.attrs : null) : inheritedAttrs(meta, nextItems, getBagById);
+    // The input's ordering may have changed too (see domain/models/ordering).
+    const ordering = orderingFor(meta, getBagById);
+    const orderChanged = JSON.stringify(ordering) !== JSON.stringify(meta.ordering ?? null);
+    if (ordering) bag.meta.ordering = ordering;
+    else delete bag.meta.ordering;
+    // The result is a fresh Set, so the current items can be compared directly.
+    const changed = !setsAreEqual(bag.items, nextItems)
+        || (ordering !== null && !sameSequence(bag.items, nextItems))
+        || !sameCounts(bag.counts, nextCounts)
+        || !sameAttrs(bag.attrs, nextAttrs);
+    let added = 0;
+    let removed = 0;
+    if (changed) {
+        for (const w of nextItems) if (!bag.items.has(w)) added++;
+        removed = bag.items.size - (nextItems.size - added);
+    }
 
     if (changed) {
-        bag.items = nextItems;
-        bag.meta.size = bag.items.size;
+        bag.attrs = nextAttrs;
+        bag.setItems(nextCounts || nextItems);
         bag.meta.reapplied_at = nowISO();
         bag.meta.updated_at = nowISO();
     } else {
+        // An ordering change alone still changes the version.
+        if (orderChanged) bag.refreshVersion();
         bag.meta.reapplied_at = nowISO();
     }
+    if (bag.status === 'cancelled' || bag.status === 'error') {
+        // A complete recompute replaces the partial result.
+        bag.status = 'ready';
+        bag.meta.status = 'ready';
+        delete bag.meta.error;
+        delete bag.meta.cancelled_at;
+    }
+    bag.meta.computed_from = computedFrom;
 
-    return { changed, reason: changed ? 'updated' : 'no-change' };
+    return { changed, reason: changed ? 'updated' : 'no-change', added, removed };
 }
 
-export async function reapplySeries(limitBagId = null, callbacks = {}) {
-    const limit = limitBagId === null ? null : Number(limitBagId);
-    appendOpLog(`↻ Reapply start`);
+/**
+ * Classifies every rebuildable bag as up to date or stale.
+ * A bag is stale when its inputs' versions or its parameters differ from its
+ * last computation, or when any rebuildable ancestor is stale (reapplying that
+ * ancestor would change its input). Bags without a rebuilder are omitted.
+ * @param {Bag[]} [bags]
+ * @returns {Map<number, 'fresh'|'stale'>}
+ */
+export function computeFreshness(bags = REG.all()) {
+    const graph = buildGraph(bags);
+    const { order, cyclic } = topoOrder(graph);
+    const out = new Map();
+    for (const id of cyclic) {
+        const bag = REG.get(id);
+        if (bag?.meta?.op && OP_REBUILDERS[bag.meta.op]) out.set(id, 'stale');
+    }
+    for (const id of order) {
+        const bag = REG.get(id);
+        if (!bag?.meta?.op || !OP_REBUILDERS[bag.meta.op]) continue;
+        const upstreamStale = (graph.parents.get(id) || []).some(p => out.get(p) === 'stale');
+        const current = !graph.missing.has(id) && isComputationCurrent(bag.meta, getBagById);
+        out.set(id, !upstreamStale && current ? 'fresh' : 'stale');
+    }
+    return out;
+}
 
-    const bags = REG.all();
-    let updated = 0;
+/**
+ * One row of a reapply report.
+ * @typedef {object} ReapplyRow
+ * @property {number} id
+ * @property {string} name
+ * @property {'updated'|'no-change'|'up-to-date'|'skipped'|'busy'|'error'|'blocked'|'cycle'|'not-run'} result
+ * @property {number} added Items the recompute added
+ * @property {number} removed Items the recompute removed
+ * @property {number|null} ms Duration, null when the bag was not recomputed
+ * @property {string|null} error
+ */
 
-    for (const bag of bags) {
+/**
+ * Recomputes the bags in `ids` in dependency order.
+ * A failure stops the plan unless `callbacks.continueOnError` is set; then the
+ * failed bag's descendants are blocked (they would read a stale input) and
+ * every other bag still runs. Bags whose job is still running are left alone
+ * ('busy': recomputing them would mix with the job's output), and their
+ * descendants are blocked.
+ * @returns {Promise<{label: string, ms: number, stopped: boolean, rows: ReapplyRow[]}>}
+ */
+async function runPlan(graph, ids, label, callbacks = {}) {
+    const { order, cyclic } = topoOrder(graph, ids);
+    const startedAt = Date.now();
+    const rows = [];
+    const row = (bag, result, extra = {}) => {
+        const r = { id: bag.id, name: bag.name, result, added: 0, removed: 0, ms: null, error: null, ...extra };
+        rows.push(r);
+        return r;
+    };
+    appendOpLog(`↻ Reapply start (${label}: ${order.length} bags)`);
+
+    for (const id of cyclic) {
+        const bag = REG.get(id);
+        if (!bag) continue;
+        bag.meta.reapply_status = '× Cycle';
+        bag.meta.reapply_error = `Dependency cycle involving [${cyclic.join(', ')}]`;
+        row(bag, 'cycle', { error: bag.meta.reapply_error });
+        if (callbacks.onStatus) callbacks.onStatus(bag.id, bag.meta.reapply_status);
+    }
+    if (cyclic.length) appendOpLog(`× Dependency cycle: [${cyclic.join(', ')}] skipped`);
+
+    let updated = 0;
+    let stopped = false;
+    // Bags that failed, or read (transitively) from one that did.
+    const broken = new Set();
+    // Bags with a running job, or reading (transitively) from one.
+    const busy = new Set();
+    for (const id of order) {
+        const bag = REG.get(id);
+        if (!bag) continue;
+        if (stopped) {
+            row(bag, 'not-run');
+            continue;
+        }
+        const brokenParent = (graph.parents.get(id) || []).find(p => broken.has(p));
+        if (brokenParent !== undefined) {
+            broken.add(id);
+            bag.meta.reapply_status = `⏭ Blocked by [${brokenParent}]`;
+            row(bag, 'blocked', { error: `Upstream bag ${brokenParent} failed` });
+            if (callbacks.onStatus) callbacks.onStatus(bag.id, bag.meta.reapply_status);
+            continue;
+        }
+        const busyParent = (graph.parents.get(id) || []).find(p => busy.has(p));
+        if (bag.status === 'processing' || busyParent !== undefined) {
+            busy.add(id);
+            if (bag.status === 'processing') {
+                row(bag, 'busy');
+            } else {
+                bag.meta.reapply_status = `⏭ Blocked by [${busyParent}]`;
+                row(bag, 'blocked', { error: `Upstream bag ${busyParent} is still processing` });
+                if (callbacks.onStatus) callbacks.onStatus(bag.id, bag.meta.reapply_status);
+            }
+            continue;
+        }
+        const t0 = Date.now();
         try {
             const runnable = bag?.meta?.op && OP_REBUILDERS[bag.meta.op];
             if (!runnable) {
                 bag.meta.reapply_status = '⏭ Skip';
+                row(bag, 'skipped');
                 if (callbacks.onStatus) callbacks.onStatus(bag.id, bag.meta.reapply_status);
             } else {
+                const missing = graph.missing.get(bag.id);
+                if (missing) throw new Error(`Source bag ${missing.join(', ')} not found`);
+
                 bag.meta.reapply_status = '⟳ Running...';
                 if (callbacks.onStatus) callbacks.onStatus(bag.id, bag.meta.reapply_status);
 
-                const result = await recomputeBagByMeta(bag);
+                const result = await recomputeBagByMeta(bag, { force: !!callbacks.force });
 
-                bag.meta.reapply_status = result.changed ? `✓ Updated(${bag.items.size})` : '＝ No Change';
+                if (result.changed) bag.meta.reapply_status = `✓ Updated(${bag.items.size})`;
+                else if (result.reason === 'up-to-date') bag.meta.reapply_status = '＝ Up to date (skipped)';
+                else bag.meta.reapply_status = '＝ No Change';
+                delete bag.meta.reapply_error;
                 if (result.changed) updated++;
+                row(bag, result.changed ? 'updated' : (result.reason === 'up-to-date' ? 'up-to-date' : 'no-change'), {
+                    added: result.added || 0,
+                    removed: result.removed || 0,
+                    ms: Date.now() - t0
+                });
 
                 if (callbacks.onStatus) callbacks.onStatus(bag.id, bag.meta.reapply_status);
             }
@@ -327,13 +747,96 @@ export async function reapplySeries(limitBagId = null, callbacks = {}) {
             console.error(e);
             bag.meta.reapply_status = `× Error: ${e.message}`;
             bag.meta.reapply_error = e.message;
+            row(bag, 'error', { ms: Date.now() - t0, error: e.message });
             if (callbacks.onStatus) callbacks.onStatus(bag.id, bag.meta.reapply_status);
-            // Don't break loop? or break? Original broke.
-            break;
+            broken.add(id);
+            // Downstream bags would read a stale input: stop here unless asked to go on.
+            if (!callbacks.continueOnError) stopped = true;
         }
-        if (limit !== null && bag.id === limit) break;
     }
 
-    appendOpLog(`✓ Reapply finished (updated ${updated})`);
+    const failed = rows.filter(r => r.result === 'error').length;
+    appendOpLog(`${failed ? '×' : '✓'} Reapply finished (updated ${updated}${failed ? `, failed ${failed}` : ''}${stopped ? ', stopped' : ''})`);
     if (callbacks.onUpdate) callbacks.onUpdate();
+    return { label, ms: Date.now() - startedAt, stopped, rows };
+}
+
+/**
+ * Brings a bag and all of its ancestors up to date, in dependency order.
+ * Without a bag id, every bag in the workspace is recomputed.
+ * @param {number|null} limitBagId
+ * @param {{onStatus?: function(number, string): void, onUpdate?: function(): void, force?: boolean, continueOnError?: boolean}} callbacks
+ * @returns {Promise<{label: string, ms: number, stopped: boolean, rows: ReapplyRow[]}>} Report, one row per bag
+ */
+export async function reapplySeries(limitBagId = null, callbacks = {}) {
+    const graph = buildGraph(REG.all());
+    if (limitBagId === null) {
+        return runPlan(graph, graph.ids, 'all', callbacks);
+    }
+    const target = Number(limitBagId);
+    const ids = ancestorsOf(graph, target);
+    ids.add(target);
+    return runPlan(graph, ids, `[${target}] + ancestors`, callbacks);
+}
+
+/**
+ * Recomputes every bag that (transitively) reads from the given bag.
+ * Used after the bag's items changed, e.g. by a manual edit.
+ * @param {number} bagId
+ * @param {{onStatus?: function(number, string): void, onUpdate?: function(): void, force?: boolean, continueOnError?: boolean}} callbacks
+ * @returns {Promise<{label: string, ms: number, stopped: boolean, rows: ReapplyRow[]}>}
+ */
+export async function reapplyDownstream(bagId, callbacks = {}) {
+    const graph = buildGraph(REG.all());
+    const ids = descendantsOf(graph, bagId);
+    return runPlan(graph, ids, `downstream of [${Number(bagId)}]`, callbacks);
+}
+
+/**
+ * Runs a failed (or cancelled) bag's operation again, into the same bag,
+ * with the parameters recorded in its meta. The run is queued on `JOBS`.
+ * @param {number} bagId
+ * @param {{priority?: number}} [options]
+ * @returns {object} The queued job
+ */
+export function retryBag(bagId, { priority } = {}) {
+    const bag = getBagById(bagId);
+    if (!bag) throw new Error(`Bag ${bagId} not found`);
+    if (bag.status === 'processing') throw new Error(`Bag ${bag.id} is still processing`);
+    const op = bag.meta?.op;
+    if (!op || !OP_REBUILDERS[op]) throw new Error(`Retry is not supported for op: ${op || '(none)'}`);
+
+    const control = new JobControl();
+    bag.status = 'processing';
+    bag.meta.status = 'processing';
+    delete bag.meta.error;
+    delete bag.meta.cancelled_at;
+    trackJob(bag.id, control);
+    REG.notify();
+
+    return JOBS.enqueue({
+        name: `${bag.name} (retry)`,
+        op,
+        bagId: bag.id,
+        priority,
+        control,
+        run: async (job) => {
+            try {
+                await control.checkpoint();
+                await recomputeBagByMeta(bag, { force: true, job: { signal: control.signal, control } });
+                if (control.cancelled) throw control.signal.reason;
+                bag.finish();
+                appendOpLog(`↻ Retry [${bag.id}] done (${bag.items.size})`);
+            } catch (e) {
+                if (control.cancelled) bag.cancel();
+                else bag.fail(e.message);
+                appendOpLog(`× Retry [${bag.id}] ${control.cancelled ? 'cancelled' : 'failed: ' + e.message}`);
+                throw e;
+            } finally {
+                JOBS.reportProgress(job, bag.items.size);
+                untrackJob(bag.id);
+                REG.notify();
+            }
+        }
+    });
 }
@@ -3,17 +3,47 @@
  * @summary Operations that combine or compare two bags.
  * @description
  * Bridges Core set comparison logic with Domain Bag models.
+ * When an input is counted (see domain/models/bag), union, intersection and
+ * difference work on counts (core/multiset): the union adds counts up
+ * (`countMode` 'sum') or keeps the larger ('max'); intersection and
+ * difference take A's counts, limited or subtracted by B's, with a plain B
+ * acting as a membership test.
  *
  * @module domain/ops/sets
  * @requires domain/ops/base
+ * @requires domain/ops/dispatch
+ * @requires domain/ops/prenormalize
  * @requires core/sets
+ * @requires core/multiset
  * @exports op_union, op_difference, op_intersection, op_symmetric_difference
  */
 
 import { runProgressiveOp } from './base.js';
-import { union, difference, intersection, symmetricDifference } from '../../core/sets.js';
+import { runCore } from './dispatch.js';
+import { union, symmetricDifference } from '../../core/sets.js';
+import { isCounted, unionCounts, intersectionCounts, differenceCounts } from '../../core/multiset.js';
+import { prepareInput, prepareCounted } from './prenormalize.js';
 
-export async function op_union(bagA, bagB, { hooks = {} } = {}) {
+// Both inputs are converted the same way, so they stay comparable.
+async function prepareBoth(bagA, bagB, normalizeBefore, h) {
+    const itemsA = await prepareInput(bagA.items, normalizeBefore, h);
+    const itemsB = await prepareInput(bagB.items, normalizeBefore, h);
+    return { itemsA, itemsB };
+}
+
+// Same, keeping counted inputs as counts (Maps).
+async function prepareBothCounted(bagA, bagB, normalizeBefore, h) {
+    const itemsA = await prepareCounted(bagA, normalizeBefore, h);
+    const itemsB = await prepareCounted(bagB, normalizeBefore, h);
+    return { itemsA, itemsB };
+}
+
+// The items of counts, for the plain set functions (and the worker pool).
+function plainOf(items) {
+    return isCounted(items) ? new Set(items.keys()) : items;
+}
+
+export async function op_union(bagA, bagB, { countMode = 'sum', normalizeBefore = false, hooks = {} } = {}) {
     return runProgressiveOp(
         `${bagA.name} ∪ ${bagB.name}`,
         {
@@ -22,63 +52,84 @@ export async function op_union(bagA, bagB, { hooks = {} } = {}) {
             src_a: bagA.id,
             src_b: bagB.id,
             size_a: bagA.items.size,
-            size_b: bagB.items.size
+            size_b: bagB.items.size,
+            count_mode: countMode,
+            normalize_before: normalizeBefore
         },
         async (h) => {
+            const { itemsA, itemsB } = await prepareBothCounted(bagA, bagB, normalizeBefore, h);
+            if (isCounted(itemsA) || isCounted(itemsB)) {
+                h.onCounts(await unionCounts(itemsA, { itemsB, mode: countMode }, h));
+                return;
+            }
             // core/sets/union returns a Set immediately (not micro-batched yet in core implementation if it just spreads).
             // Actually core/sets.js union uses spreading: new Set([...a, ...b]). 
             // So we simulate chunking or just return it.
-            const result = await union(bagA.items, { itemsB: bagB.items }, h);
+            const result = await union(itemsA, { itemsB }, h);
             if (h.onChunk) h.onChunk(Array.from(result));
         },
         hooks
     );
 }
 
-export async function op_difference(bagA, bagB, { hooks = {} } = {}) {
+export async function op_difference(bagA, bagB, { normalizeBefore = false, hooks = {} } = {}) {
     return runProgressiveOp(
         `${bagA.name} - ${bagB.name}`,
         {
             op: 'difference',
             src: [bagA.id, bagB.id].join(','),
             src_a: bagA.id,
-            src_b: bagB.id
+            src_b: bagB.id,
+            normalize_before: normalizeBefore
         },
         async (h) => {
-            await difference(bagA.items, { itemsB: bagB.items }, h);
+            const { itemsA, itemsB } = await prepareBothCounted(bagA, bagB, normalizeBefore, h);
+            if (isCounted(itemsA)) {
+                h.onCounts(await differenceCounts(itemsA, { itemsB }, h));
+                return;
+            }
+            await runCore('sets.difference', itemsA, { itemsB: plainOf(itemsB) }, h);
         },
         hooks
     );
 }
 
-export async function op_intersection(bagA, bagB, { hooks = {} } = {}) {
+export async function op_intersection(bagA, bagB, { normalizeBefore = false, hooks = {} } = {}) {
     return runProgressiveOp(
         `${bagA.name} ∩ ${bagB.name}`,
         {
             op: 'intersection',
             src: [bagA.id, bagB.id].join(','),
             src_a: bagA.id,
-            src_b: bagB.id
+            src_b: bagB.id,
+            normalize_before: normalizeBefore
         },
         async (h) => {
-            await intersection(bagA.items, { itemsB: bagB.items }, h);
+            const { itemsA, itemsB } = await prepareBothCounted(bagA, bagB, normalizeBefore, h);
+            if (isCounted(itemsA)) {
+                h.onCounts(await intersectionCounts(itemsA, { itemsB }, h));
+                return;
+            }
+            await runCore('sets.intersection', itemsA, { itemsB: plainOf(itemsB) }, h);
         },
         hooks
     );
 }
 
-export async function op_symmetric_difference(bagA, bagB, { hooks = {} } = {}) {
+export async function op_symmetric_difference(bagA, bagB, { normalizeBefore = false, hooks = {} } = {}) {
     return runProgressiveOp(
         `${bagA.name} △ ${bagB.name}`,
         {
             op: 'symmetric_difference',
             src: [bagA.id, bagB.id].join(','),
             src_a: bagA.id,
-            src_b: bagB.id
+            src_b: bagB.id,
+            normalize_before: normalizeBefore
         },
         async (h) => {
             // core/sets/symmetricDifference executes locally using batching hooks.
-            await symmetricDifference(bagA.items, { itemsB: bagB.items }, h);
+            const { itemsA, itemsB } = await prepareBoth(bagA, bagB, normalizeBefore, h);
+            await symmetricDifference(itemsA, { itemsB }, h);
         },
         hooks
     );
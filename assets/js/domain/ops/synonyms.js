@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Synonym operations (WordNet).
+ * @summary Expands a bag to synonyms and groups it into synonym clusters.
+ * @description
+ * Bridges core/wordnet with Domain Bag models. The lookup is a bag imported
+ * from a WordNet JSON with attributes, whose records hold each lemma's
+ * synset ids. Results record the hop count (`hops`) or the cluster id
+ * (`cluster`) as attributes, next to the input's and the lookup's records.
+ *
+ * @module domain/ops/synonyms
+ * @requires domain/ops/base
+ * @requires core/wordnet
+ * @exports op_expand_synonyms, op_synonym_clusters, op_split_synonym_clusters
+ */
+
+import { runProgressiveOp } from './base.js';
+import {
+    expandSynonyms, synonymClusters, clusterGroups, expansionRecords, clusterRecords
+} from '../../core/wordnet.js';
+
+function requireSynsets(bag) {
+    if (!bag.attrs) throw new Error(`Bag [${bag.id}] has no attributes (import a WordNet JSON with attributes)`);
+}
+
+/**
+ * Adds the lemmas sharing a synset with an item, up to `hops` steps away.
+ * @param {object} srcBag
+ * @param {object} lookupBag WordNet bag with attributes
+ * @param {{hops?: number}} [options]
+ */
+export async function op_expand_synonyms(srcBag, lookupBag, { hops = 1, hooks = {} } = {}) {
+    requireSynsets(lookupBag);
+    const depth = Math.max(1, hops);
+    return runProgressiveOp(
+        `${srcBag.name} → synonyms([${lookupBag.id}:${lookupBag.name}], ${depth} hop)`,
+        { op: 'expand_synonyms', src: srcBag.id, lookup: lookupBag.id, hops: depth },
+        async (h) => {
+            const reached = await expandSynonyms(srcBag.items, { attrs: lookupBag.attrs, hops: depth }, h);
+            h.onChunk(Array.from(reached.keys()));
+            h.onAttrs(expansionRecords(reached, srcBag.attrs, lookupBag.attrs));
+        },
+        hooks
+    );
+}
+
+/**
+ * Keeps the items and records each one's synonym cluster id.
+ * @param {object} srcBag
+ * @param {object} lookupBag WordNet bag with attributes
+ */
+export async function op_synonym_clusters(srcBag, lookupBag, { hooks = {} } = {}) {
+    requireSynsets(lookupBag);
+    return runProgressiveOp(
+        `${srcBag.name} → clusters([${lookupBag.id}:${lookupBag.name}])`,
+        { op: 'synonym_clusters', src: srcBag.id, lookup: lookupBag.id },
+        async (h) => {
+            const clusters = await synonymClusters(srcBag.items, { attrs: lookupBag.attrs }, h);
+            h.onChunk(Array.from(srcBag.items));
+            h.onAttrs(clusterRecords(srcBag.items, clusters, srcBag.attrs, lookupBag.attrs));
+        },
+        hooks
+    );
+}
+
+/**
+ * One bag per synonym cluster with at least `minSize` items, largest first,
+ * at most `maxBags` bags.
+ * @param {object} srcBag
+ * @param {object} lookupBag WordNet bag with attributes
+ * @param {{minSize?: number, maxBags?: number}} [options]
+ * @returns {Promise<object[]>} The new bags (initially processing)
+ */
+export async function op_split_synonym_clusters(srcBag, lookupBag, { minSize = 2, maxBags = 20, hooks = {} } = {}) {
+    requireSynsets(lookupBag);
+    const clusters = await synonymClusters(srcBag.items, { attrs: lookupBag.attrs }, { yielder: hooks.yielder, batchSize: hooks.batchSize });
+    const groups = Array.from(clusterGroups(clusters)).filter(([, members]) => members.length >= minSize);
+    if (!groups.length) throw new Error(`No synonym cluster of ${minSize} or more items`);
+    return Promise.all(groups.slice(0, Math.max(1, maxBags)).map(([id, members]) => runProgressiveOp(
+        `${srcBag.name} ≈ ${id}`,
+        { op: 'synonym_cluster', src: srcBag.id, lookup: lookupBag.id, cluster: id },
+        async (h) => {
+            h.onChunk(members);
+            h.onAttrs(clusterRecords(members, clusters, srcBag.attrs, lookupBag.attrs));
+        },
+        hooks
+    )));
+}
@@ -3,48 +3,33 @@
  * @summary Operations that transform items (case, reverse, replace, sort).
  * @description
  * Bridges the Core text transformations with the Domain Bag model.
+ * `normalizeBefore` converts the input first (see domain/ops/prenormalize).
  *
  * @module domain/ops/transform
  * @requires domain/ops/base
+ * @requires domain/ops/dispatch
+ * @requires domain/ops/prenormalize
+ * @requires domain/ops/collate
  * @requires core/text
  * @requires domain/models/bag
- * @exports op_to_upper, op_to_lower, op_reverse, op_dedupe_chars, op_replace, op_sort
+ * @exports op_to_upper, op_to_lower, op_reverse, op_dedupe_chars, op_replace, op_sort, op_delete_chars
  */
 
 import { runProgressiveOp } from './base.js';
-import { toUpper, toLower, reverse, dedupeChars, replace, sort, normNFKC } from '../../core/text.js';
-import { op_normalize_hiragana } from './normalize.js'; // Depending on if we reuse normalize logic or just use core
+import { runCore } from './dispatch.js';
+import { normNFKC } from '../../core/text.js';
+import { prepareInput, prepareQuery } from './prenormalize.js';
+import { sortItems } from './collate.js';
 
-// Helper to handle "normalize before" option
-async function getSourceItems(bag, normalizeBefore) {
-    if (!bag) return new Set();
-    const items = bag.items;
-    if (!normalizeBefore) return items;
-    // If normalizeBefore is true, we simply assume Hiragana normalization for now as per original code
-    // usage of: Logic.normalize(items, null, { converter: toHiragana })
-    // But direct dependency on 'toHiragana' here implies we need kuro-wrapper or reuse op_normalize?
-    // The original code in operations.js:31 hardcoded 'toHiragana'.
-    // We should probably import normalize from core/text and pass the converter.
-    // However, to keep it clean, maybe we just use the raw items if normalizeBefore is false.
-    // If true, the caller might simply chain operations? 
-    // "normalizeBefore" parameter logic in operations.js seems to do an on-the-fly normalization.
-    // For now, let's keep it simple and assume the caller handles chaining, OR we implement it.
-    // The original checks 'normalizeBefore' flag.
-    return items;
-}
-
-// NOTE: The 'normalizeBefore' logic requires `infra/kuro-wrapper` if it defaults to Hiragana.
-// To avoid circular or heavy dependencies in every file, we might delegate this.
-// For now, these operations will operate on the bag items directly.
+// Items a transformation turns into nothing are reported as rejects (see domain/ops/base).
+const DROP_REASON = 'empty result';
 
 export async function op_to_upper(srcBag, { normalizeBefore = false, hooks = {} } = {}) {
     return runProgressiveOp(
         `${srcBag.name} → upper`,
         { op: 'to_upper', src: srcBag.id, case: 'upper', normalize_before: normalizeBefore },
         async (h) => {
-            // In a perfect world, we'd handle normalizeBefore here. 
-            // For strict parity, we'll ignore it for a moment or implement a shared helper later.
-            await toUpper(srcBag.items, null, h);
+            await runCore('text.toUpper', await prepareInput(srcBag.items, normalizeBefore, h), null, { ...h, dropReason: DROP_REASON });
         },
         hooks
     );
@@ -55,7 +40,7 @@ export async function op_to_lower(srcBag, { normalizeBefore = false, hooks = {}
         `${srcBag.name} → lower`,
         { op: 'to_lower', src: srcBag.id, case: 'lower', normalize_before: normalizeBefore },
         async (h) => {
-            await toLower(srcBag.items, null, h);
+            await runCore('text.toLower', await prepareInput(srcBag.items, normalizeBefore, h), null, { ...h, dropReason: DROP_REASON });
         },
         hooks
     );
@@ -66,7 +51,7 @@ export async function op_reverse(srcBag, { normalizeBefore = false, hooks = {} }
         `${srcBag.name} → reverse`,
         { op: 'reverse', src: srcBag.id, normalize_before: normalizeBefore },
         async (h) => {
-            await reverse(srcBag.items, null, h);
+            await runCore('text.reverse', await prepareInput(srcBag.items, normalizeBefore, h), null, { ...h, dropReason: DROP_REASON });
         },
         hooks
     );
@@ -77,7 +62,7 @@ export async function op_dedupe_chars(srcBag, { normalizeBefore = false, hooks =
         `${srcBag.name} → dedupe_chars`,
         { op: 'dedupe_chars', src: srcBag.id, normalize_before: normalizeBefore },
         async (h) => {
-            await dedupeChars(srcBag.items, null, h);
+            await runCore('text.dedupeChars', await prepareInput(srcBag.items, normalizeBefore, h), null, { ...h, dropReason: DROP_REASON });
         },
         hooks
     );
@@ -90,24 +75,53 @@ export async function op_replace(srcBag, fromValue, toValue, { normalizeBefore =
         `${srcBag.name} → replace("${needle}"→"${replacement}")`,
         { op: 'replace', src: srcBag.id, from: needle, to: replacement, normalize_before: normalizeBefore },
         async (h) => {
-            await replace(srcBag.items, { from: needle, to: replacement }, h);
+            const from = await prepareQuery(needle, normalizeBefore, h);
+            await runCore('text.replace', await prepareInput(srcBag.items, normalizeBefore, h), { from, to: replacement }, { ...h, dropReason: DROP_REASON });
         },
         hooks
     );
 }
 
-export async function op_sort(srcBag, order = 'asc', { locale = 'ja', normalizeBefore = false, hooks = {} } = {}) {
+/**
+ * Deletes the given characters and character classes (see core/text deleteChars)
+ * from every item. With `hiraganaChars` the typed characters are converted to
+ * hiragana first, so 'ン' also deletes 'ん' from a hiragana bag.
+ */
+export async function op_delete_chars(srcBag, charsRaw, { classes = [], hiraganaChars = false, dropConflicts = false, normalizeBefore = false, hooks = {} } = {}) {
+    const chars = normNFKC(charsRaw);
+    const label = [chars, ...classes].filter(Boolean).join(',');
+    return runProgressiveOp(
+        `${srcBag.name} → delete(${label})`,
+        { op: 'delete_chars', src: srcBag.id, chars, chars_hiragana: hiraganaChars, classes, drop_conflicts: dropConflicts, normalize_before: normalizeBefore },
+        async (h) => {
+            const deleted = await prepareQuery(chars, hiraganaChars ? 'hiragana' : false, h);
+            await runCore('text.deleteChars', await prepareInput(srcBag.items, normalizeBefore, h), { chars: deleted, classes, dropConflicts }, h);
+        },
+        hooks
+    );
+}
+
+/**
+ * Sorts into an ordered bag (see domain/models/ordering).
+ * @param {object} srcBag
+ * @param {'asc'|'desc'} [order]
+ * @param {object} [options]
+ * @param {string} [options.mode] One of core/text SORT_MODES, or a reading order
+ *   ('gojuon' / 'iroha', see domain/ops/collate)
+ * @param {object} [options.collation] Intl.Collator options for mode 'collation'
+ *   (sensitivity, numeric, ignorePunctuation, caseFirst)
+ */
+export async function op_sort(srcBag, order = 'asc', { mode = 'locale', locale = 'ja', collation = null, normalizeBefore = false, hooks = {} } = {}) {
+    const meta = { op: 'sort', src: srcBag.id, mode, order, locale, normalize_before: normalizeBefore };
+    if (mode === 'collation' && collation) meta.collation = collation;
     // Sort is monolithic (not progressive in the same way), but we can wrap it.
-    // core/text.js sort returns a Set directly.
     return runProgressiveOp(
-        `${srcBag.name} → sort(${order})`,
-        { op: 'sort', src: srcBag.id, order, locale, normalize_before: normalizeBefore },
+        `${srcBag.name} → sort(${mode === 'locale' ? '' : mode + ' '}${order})`,
+        meta,
         async (h) => {
-            // core/text/sort acts on the whole set, not streaming. 
-            // So we just await it and add the result to the progressive callback manually?
-            // Actually runProgressiveOp expects the logicFn to use 'hooks.onChunk'.
-            // If core/text/sort returns the whole Set, we can just feed it to onChunk.
-            const result = await sort(srcBag.items, { order, locale });
+            // Sorting acts on the whole set, not streaming: the sorted
+            // result goes to onChunk in one piece, which keeps its order.
+            const result = await sortItems(await prepareInput(srcBag.items, normalizeBefore, h), { mode, order, locale, ...(meta.collation || {}) }, h);
             if (h.onChunk) h.onChunk(Array.from(result));
         },
         hooks
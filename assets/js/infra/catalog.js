@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Dictionary catalog.
+ * @summary Describes the data files and loads their entries for lookup and gloss search.
+ * @description
+ * `data/bags/manifest.json` describes the data files:
+ * `{version: 1, files: [{file, source, license, pos, entries, language,
+ * description, bytes, checksum}]}`, where `checksum` is "sha256-<hex>" of
+ * the file; only `file` is required. Without a manifest, the catalog lists
+ * the files (see infra/file-loader listJsonFiles) with what their names tell:
+ * the kuromoji data comes as one file per part of speech
+ * (`kuromoji_<POS>_<entries>.json`), WordNet as one per synset POS. Only
+ * WordNet entries have glosses; a manifest entry can say so with `glosses`,
+ * and `glossFiles` leaves out the files known to have none.
+ *
+ * The data files are streamed (see core/json-stream), yielding between
+ * pieces, and indexed by NFKC lemma as their entries arrive. Each file is
+ * read once per session, so looking up one item after another is a map
+ * lookup per file. A file that cannot be read is left out of a lookup
+ * instead of failing it.
+ *
+ * @module infra/catalog
+ * @requires infra/file-loader
+ * @requires core/json-stream
+ * @requires core/text
+ * @exports LARGE_FILE_ENTRIES, loadCatalog, glossFiles, loadEntries, loadAllEntries, lookupItem, previewLemmas, verifyChecksum
+ */
+
+import { fetchManifest, fetchFileBytes, fetchFileResponse, listJsonFiles } from './file-loader.js';
+import { JsonArraySplitter, textPieces } from '../core/json-stream.js';
+import { normNFKC } from '../core/text.js';
+
+const cache = new Map(); // filename → Promise<{entries: object[], index: Map<string, object[]>}>
+
+/** Entry count from which loading asks for confirmation first. */
+export const LARGE_FILE_ENTRIES = 200000;
+
+const POS_FILE = /^kuromoji_(.+)_(\d+)\.json$/i;
+const WORDNET_FILE = /^wordnet_([\w-]+)_(\w)_synsets_(\d+)\.json$/i;
+
+// What a file name tells, for files without a manifest entry.
+function describeFile(file) {
+    const kuromoji = POS_FILE.exec(file);
+    if (kuromoji) return { file, source: 'kuromoji', pos: kuromoji[1], entries: Number(kuromoji[2]), language: 'ja', glosses: false };
+    const wordnet = WORDNET_FILE.exec(file);
+    if (wordnet) return { file, source: `WordNet (${wordnet[1]})`, pos: wordnet[2], entries: Number(wordnet[3]), glosses: true };
+    return { file };
+}
+
+/**
+ * The catalog: manifest entries, or entries guessed from the file list.
+ * @returns {Promise<object[]>} `{file, source?, license?, pos?, entries?, language?, description?, bytes?, checksum?, glosses?}`
+ */
+export async function loadCatalog() {
+    const manifest = await fetchManifest();
+    if (manifest) {
+        return manifest.files
+            .filter(f => typeof f?.file === 'string')
+            .map(f => ({ ...describeFile(f.file), ...f }));
+    }
+    return (await listJsonFiles()).map(describeFile);
+}
+
+function nextTask() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// Entries with a `lemmas` array, and the entries of each NFKC lemma.
+async function readFile(filename) {
+    const entries = [];
+    const index = new Map();
+    const add = (e) => {
+        if (!e || !Array.isArray(e.lemmas)) return;
+        entries.push(e);
+        for (const lemma of new Set(e.lemmas.map(normNFKC))) {
+            if (!lemma) continue;
+            const list = index.get(lemma);
+            if (list) list.push(e);
+            else index.set(lemma, [e]);
+        }
+    };
+    const splitter = new JsonArraySplitter();
+    for await (const text of textPieces(await fetchFileResponse(filename))) {
+        for (const e of splitter.push(text)) add(e);
+        await nextTask();
+    }
+    for (const e of splitter.end()) add(e);
+    return { entries, index };
+}
+
+// Cached; a failed load is retried next time.
+function loadFile(filename) {
+    if (!cache.has(filename)) {
+        cache.set(filename, readFile(filename).catch((e) => {
+            cache.delete(filename);
+            throw e;
+        }));
+    }
+    return cache.get(filename);
+}
+
+/**
+ * The files of the catalog worth a gloss search: all but those without glosses.
+ * @param {object[]} catalog `loadCatalog()` output
+ * @returns {string[]}
+ */
+export function glossFiles(catalog) {
+    return catalog.filter(f => f.glosses !== false).map(f => f.file);
+}
+
+/**
+ * Entries of a data file (cached; a failed load is retried next time).
+ * @param {string} filename
+ * @returns {Promise<object[]>}
+ */
+export async function loadEntries(filename) {
+    return (await loadFile(filename)).entries;
+}
+
+/**
+ * Entries of several files, in file order. With `onSkip`, a file that cannot
+ * be read is passed to it and left out; without, the first one fails the call.
+ * @param {string[]} files
+ * @param {function(number, number): void} [onProgress] Receives (files loaded, file count)
+ * @param {{onSkip?: function(string, Error): void}} [options]
+ * @returns {Promise<object[]>}
+ */
+export async function loadAllEntries(files, onProgress = null, { onSkip = null } = {}) {
+    const out = [];
+    for (let i = 0; i < files.length; i += 1) {
+        if (onProgress) onProgress(i, files.length);
+        let entries;
+        try {
+            entries = await loadEntries(files[i]);
+        } catch (e) {
+            if (!onSkip) throw e;
+            onSkip(files[i], e);
+            continue;
+        }
+        for (const entry of entries) out.push(entry);
+    }
+    if (onProgress) onProgress(files.length, files.length);
+    return out;
+}
+
+/**
+ * Every entry of the item in the files, with the entry's other lemmas.
+ * A file that cannot be read is skipped and passed to `onSkip`.
+ * @param {string} item
+ * @param {string[]} files
+ * @param {{onSkip?: function(string, Error): void}} [options]
+ * @returns {Promise<Array<{file: string, id: string, pos: string, glosses: string[], siblings: string[]}>>}
+ */
+export async function lookupItem(item, files, { onSkip = null } = {}) {
+    const needle = normNFKC(item);
+    const out = [];
+    if (!needle) return out;
+    for (const file of files) {
+        let index;
+        try {
+            ({ index } = await loadFile(file));
+        } catch (e) {
+            if (onSkip) onSkip(file, e);
+            continue;
+        }
+        for (const e of index.get(needle) || []) {
+            out.push({
+                file,
+                id: e.id ?? '',
+                pos: e.pos ?? '',
+                glosses: Array.isArray(e.glosses) ? e.glosses : [],
+                siblings: e.lemmas.filter(l => normNFKC(l) !== needle)
+            });
+        }
+    }
+    return out;
+}
+
+/**
+ * The first lemmas of a file, without keeping its entries. Reading stops
+ * (and the download with it) once `n` lemmas are found.
+ * @param {string} filename
+ * @param {number} n
+ * @returns {Promise<string[]>}
+ */
+export async function previewLemmas(filename, n) {
+    const out = [];
+    const splitter = new JsonArraySplitter();
+    for await (const text of textPieces(await fetchFileResponse(filename))) {
+        for (const e of splitter.push(text)) {
+            for (const lemma of (Array.isArray(e?.lemmas) ? e.lemmas : [])) {
+                if (out.length >= n) return out;
+                out.push(lemma);
+            }
+        }
+    }
+    return out;
+}
+
+/**
+ * Checks a file against its manifest checksum.
+ * @param {{file: string, checksum?: string}} entry Catalog entry
+ * @returns {Promise<boolean|null>} null when there is no sha256 checksum to check
+ */
+export async function verifyChecksum(entry) {
+    const m = /^sha256-([0-9a-f]{64})$/i.exec(entry.checksum || '');
+    if (!m) return null;
+    const digest = await crypto.subtle.digest('SHA-256', await fetchFileBytes(entry.file));
+    const hex = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    return hex === m[1].toLowerCase();
+}
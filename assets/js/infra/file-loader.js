@@ -3,23 +3,50 @@
  * @summary Handles listing and loading JSON files from the server or local upload.
  * @description
  * Provides functions to fetch the bag list from the server, parse JSON content,
- * and handle file exports.
+ * and handle file exports. Counted bags (see domain/models/bag) are exported
+ * with their counts: "item<TAB>count" lines in TXT, an item,count row in CSV
+ * and a `counts` array parallel to `items` in JSON, which imports back.
+ * Attribute records (see core/attrs) are read from the `id`, `pos`, `glosses`
+ * fields of imported entries, and exported as id,pos,glosses,reading columns
+ * in CSV and an `attrs` array parallel to `items` in JSON.
  *
  * @module infra/file-loader
  * @requires core/utils
- * @exports listJsonFiles, fetchJson, parseBagData, exportBagData
+ * @requires core/multiset
+ * @requires core/attrs
+ * @exports listJsonFiles, fetchManifest, fetchJson, bagFileUrl, fetchFileBytes, fetchFileResponse, parseBagData, exportBagData
  */
 
 import { nowISO } from '../core/utils.js';
+import { formatCounted } from '../core/multiset.js';
+import { ATTR_KEYS, recordOf, attrValues } from '../core/attrs.js';
 
 const BAG_DIR = './data/bags/';
 
+/**
+ * Fetches the dataset manifest (manifest.json, see infra/catalog).
+ * @returns {Promise<object|null>} null when there is none
+ */
+export async function fetchManifest() {
+    try {
+        const r = await fetch(BAG_DIR + 'manifest.json', { cache: 'no-cache' });
+        if (!r.ok) return null;
+        const data = await r.json();
+        return data && Array.isArray(data.files) ? data : null;
+    } catch (_) {
+        return null;
+    }
+}
+
 /**
  * Fetches the list of available JSON files from the server.
- * Tries _files.txt first, then HTML directory listing.
+ * Tries manifest.json first, then _files.txt, then HTML directory listing.
  * @returns {Promise<string[]>} List of filenames
  */
 export async function listJsonFiles() {
+    const manifest = await fetchManifest();
+    if (manifest) return manifest.files.map(f => f?.file).filter(f => typeof f === 'string' && /\.json$/i.test(f));
+
     try {
         const r = await fetch(BAG_DIR + '_files.txt', { cache: 'no-cache' });
         if (r.ok) {
@@ -45,7 +72,7 @@ export async function listJsonFiles() {
 /**
  * Fetches and parses a specific JSON file.
  * @param {string} filename 
- * @returns {Promise<{name: string, words: string[]}>}
+ * @returns {Promise<{words: string[], counts: (Map<string, number>|null), entries: Array<{words: string[], record: (object|null)}>}>}
  */
 export async function fetchJson(filename) {
     const r = await fetch(BAG_DIR + filename, { cache: 'no-cache' });
@@ -54,20 +81,81 @@ export async function fetchJson(filename) {
     return parseBagData(raw);
 }
 
+/**
+ * Absolute URL of a data file, for readers that do not resolve against the
+ * page (workers resolve relative URLs against their own script).
+ * @param {string} filename
+ * @returns {string}
+ */
+export function bagFileUrl(filename) {
+    return new URL(BAG_DIR + filename, document.baseURI).href;
+}
+
+/**
+ * Fetches a file's raw bytes (for checksums).
+ * @param {string} filename
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function fetchFileBytes(filename) {
+    const r = await fetch(BAG_DIR + filename, { cache: 'no-cache' });
+    if (!r.ok) throw new Error('HTTP ' + r.status);
+    return r.arrayBuffer();
+}
+
+/**
+ * Fetches a file without reading it, for reading its body as it arrives
+ * (see core/json-stream textPieces).
+ * @param {string} filename
+ * @returns {Promise<Response>}
+ */
+export async function fetchFileResponse(filename) {
+    const r = await fetch(BAG_DIR + filename, { cache: 'no-cache' });
+    if (!r.ok) throw new Error('HTTP ' + r.status);
+    return r;
+}
+
 /**
  * Parses raw JSON string into standard bag format.
+ * Words keep their repeats (for counting on import). A bag exported as JSON
+ * (`{items, counts, attrs}`) gives its items, and its counts when it has them.
+ * `entries` pairs each entry's words with its attribute record, for
+ * core/attrs collectRecords.
  * @param {string} rawJson 
- * @returns {{words: string[]}}
+ * @returns {{words: string[], counts: (Map<string, number>|null), entries: Array<{words: string[], record: (object|null)}>}}
  */
 export function parseBagData(rawJson) {
     const head = rawJson.trim()[0];
     if (head !== '[' && head !== '{') throw new Error('Invalid JSON format');
     const data = JSON.parse(rawJson);
     const words = [];
+    const entries = [];
+    let counts = null;
     for (const obj of (Array.isArray(data) ? data : [data])) {
-        if (obj && Array.isArray(obj.lemmas)) words.push(...obj.lemmas);
+        if (obj && Array.isArray(obj.lemmas)) {
+            words.push(...obj.lemmas);
+            entries.push({ words: obj.lemmas, record: recordOf(obj) });
+        } else if (obj && Array.isArray(obj.items)) {
+            // A loop: spreading an exported bag of 100k+ items overflows the call stack.
+            for (const w of obj.items) words.push(w);
+            if (Array.isArray(obj.attrs)) {
+                obj.items.forEach((w, i) => entries.push({ words: [w], record: obj.attrs[i] ? recordOf(obj.attrs[i]) : null }));
+            }
+            if (Array.isArray(obj.counts)) {
+                counts = counts || new Map();
+                obj.items.forEach((w, i) => counts.set(w, (counts.get(w) || 0) + (Number(obj.counts[i]) || 1)));
+            }
+        }
     }
-    return { words };
+    return { words, counts, entries };
+}
+
+function csvField(s) {
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Attribute values of a CSV row, several values joined by "; ".
+function attrFields(bag, w) {
+    return ATTR_KEYS.map(key => csvField(attrValues(bag.attrOf(w), key).join('; ')));
 }
 
 /**
@@ -84,15 +172,33 @@ export function exportBagData(bag, format) {
         const data = {
             name: bag.name,
             id: bag.id,
-            items: Array.from(bag.items)
+            ...(bag.meta.ordering ? { ordering: bag.meta.ordering } : {}),
+            items: Array.from(bag.items),
+            ...(bag.counts ? { counts: Array.from(bag.items, w => bag.countOf(w)) } : {}),
+            ...(bag.attrs ? { attrs: Array.from(bag.items, w => bag.attrOf(w)) } : {})
         };
         blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
         filename = `${bag.name || 'bag'}_${stamp}.json`;
     } else if (format === 'csv') {
-        blob = new Blob([Array.from(bag.items).join('\n')], { type: 'text/csv' });
+        let rows;
+        if (bag.attrs) {
+            // With attributes, a header names the columns.
+            const header = ['item', ...(bag.counts ? ['count'] : []), ...ATTR_KEYS].join(',');
+            rows = [header, ...Array.from(bag.items, w => [
+                csvField(w),
+                ...(bag.counts ? [bag.countOf(w)] : []),
+                ...attrFields(bag, w)
+            ].join(','))];
+        } else {
+            rows = bag.counts
+                ? Array.from(bag.items, w => `${csvField(w)},${bag.countOf(w)}`)
+                : Array.from(bag.items);
+        }
+        blob = new Blob([rows.join('\n')], { type: 'text/csv' });
         filename = `${bag.name || 'bag'}_${stamp}.csv`;
     } else {
-        blob = new Blob([Array.from(bag.items).join('\n')], { type: 'text/plain' });
+        const lines = bag.counts ? Array.from(bag.items, w => formatCounted(w, bag.countOf(w))) : Array.from(bag.items);
+        blob = new Blob([lines.join('\n')], { type: 'text/plain' });
         filename = `${bag.name || 'bag'}_${stamp}.txt`;
     }
 
@@ -1,61 +1,245 @@
 /**
- * @fileoverview Thin wrapper to offload kana normalization to a Web Worker.
- * @summary Sends batches to `assets/js/workers/hiragana-worker.js` and streams back chunks.
+ * @fileoverview Thin wrapper to offload kana normalization to Web Workers.
+ * @summary Shards input across `assets/js/workers/hiragana-worker.js` instances and streams back chunks in order.
+ * @description
+ * Surfaces already in the reading cache (infra/kana-cache) are answered
+ * without a worker. The remaining distinct surfaces are split into contiguous
+ * shards, one per worker; each worker loads Kuroshiro once and is reused by
+ * later requests. Readings come back aligned to their shard positions, go
+ * into the cache, and are emitted in input order.
+ *
+ * @module infra/hiragana-worker-client
+ * @requires core/text
+ * @requires infra/kana-cache
+ * @requires infra/lib-config
+ * @exports convertInWorker
  */
 
+import { normNFKC } from '../core/text.js';
+import { loadKanaCache, getReading, putReadings } from './kana-cache.js';
+import { libScriptSources, dictPathCandidates } from './lib-config.js';
+
 const WORKER_URL = new URL('../workers/hiragana-worker.js', import.meta.url);
-let worker = null;
+// Each worker holds its own Kuromoji dictionary (tens of MB), so cap the pool.
+const MAX_WORKERS = 4;
+// Do not split work smaller than this across workers.
+const MIN_SHARD_SIZE = 500;
+
+const workers = [];
 let requestId = 0;
 const inflight = new Map();
 
-function ensureWorker() {
-    if (worker) return worker;
-    worker = new Worker(WORKER_URL);
+function poolSize() {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    return Math.max(1, Math.min(MAX_WORKERS, cores));
+}
+
+function spawnWorker() {
+    const worker = new Worker(WORKER_URL);
     worker.onmessage = (evt) => {
-        const { id, type, chunk, message } = evt.data || {};
+        const { id, type, start, readings, vias, failures, message, processed, backend } = evt.data || {};
         const pending = inflight.get(id);
         if (!pending) return;
         if (type === 'chunk') {
-            pending.onChunk?.(chunk || []);
+            pending.onReadings(start, readings || [], { vias: vias || [], failures: failures || [], processed, backend });
+        } else if (type === 'progress') {
+            pending.onProcessed(processed);
         } else if (type === 'done') {
-            pending.resolve();
-            inflight.delete(id);
+            pending.onProcessed(processed);
+            pending.settle();
+            pending.resolve(backend);
+        } else if (type === 'cancelled') {
+            pending.settle();
+            pending.reject(pending.signal?.reason || new Error('Cancelled'));
         } else if (type === 'error') {
+            pending.settle();
             pending.reject(new Error(message || 'Worker error'));
-            inflight.delete(id);
         }
     };
     worker.onerror = (err) => {
-        // Fail all pending requests so caller can fallback gracefully.
-        for (const [id, pending] of inflight.entries()) {
+        // Fail this worker's pending shards so the caller can fall back gracefully.
+        for (const pending of Array.from(inflight.values())) {
+            if (pending.worker !== worker) continue;
+            pending.settle();
             pending.reject(err);
-            inflight.delete(id);
         }
     };
     return worker;
 }
 
+function ensureWorkers(count) {
+    while (workers.length < count) workers.push(spawnWorker());
+    return workers.slice(0, count);
+}
+
 /**
- * Converts items to kana in the worker.
- * @param {Iterable<string>} items
- * @param {'hiragana'|'katakana'} target
- * @param {{onChunk?: function(Array<string>):void, chunkSize?: number}} opts
+ * Converts one shard in a worker.
+ * @returns {Promise<string>} The backend the worker used
  */
-export async function convertInWorker(items, target = 'hiragana', opts = {}) {
-    const w = ensureWorker();
+function convertShard(worker, surfaces, target, { chunkSize, signal, control, onReadings, onProcessed }) {
     const id = `hiragana-${++requestId}`;
-    const { onChunk, chunkSize = 4000 } = opts;
+    const onAbort = () => worker.postMessage({ id, type: 'cancel' });
+    const offControl = control?.on?.(state => {
+        if (state === 'paused') worker.postMessage({ id, type: 'pause' });
+        else if (state === 'running') worker.postMessage({ id, type: 'resume' });
+    });
 
     const promise = new Promise((resolve, reject) => {
-        inflight.set(id, { resolve, reject, onChunk });
+        inflight.set(id, {
+            worker,
+            resolve,
+            reject,
+            signal,
+            onReadings,
+            onProcessed,
+            settle: () => {
+                inflight.delete(id);
+                signal?.removeEventListener('abort', onAbort);
+                offControl?.();
+            }
+        });
     });
+    signal?.addEventListener('abort', onAbort);
+
+    worker.postMessage({ id, target, chunkSize, items: surfaces, libs: { scripts: libScriptSources(), dictPaths: dictPathCandidates() } });
+    if (control?.paused) worker.postMessage({ id, type: 'pause' });
+    return promise;
+}
 
-    w.postMessage({
-        id,
-        target,
-        chunkSize,
-        items: Array.from(items)
+/**
+ * Converts items to kana in the workers.
+ * Aborting `signal` stops the workers; readings converted until then are
+ * still delivered (and cached), then the promise rejects with the abort reason.
+ * `control` (see domain/models/job) forwards pause / resume to the workers.
+ * `onProgress` receives (input items converted, input total).
+ * Only Kuroshiro readings are cached, so fallback results are converted again
+ * once the libraries are available. Failed items are never cached.
+ *
+ * Every input item is tallied in `counts` (filled in place, so the tally is
+ * there even when the call throws): `kuroshiro`, `direct` (no kanji, converted
+ * without the analyzer), `fallback` (kanji left unconverted), `failed`
+ * (no reading; also passed to `onReject` with the reason) and `cached`.
+ * `onItem(item, reading)` pairs each input item with its reading ('' when it
+ * failed), in input order, for callers that need the alignment.
+ * @param {Iterable<string>} items
+ * @param {'hiragana'|'katakana'|'romaji'} target
+ * @param {{onChunk?: function(Array<string>):void, onItem?: function(string, string):void, onProgress?: function(number, number):void, onReject?: function(string, string):void, counts?: object, chunkSize?: number, signal?: AbortSignal, control?: object}} opts
+ * @returns {Promise<{backend: string, counts: object}>} backend is 'kuroshiro', or the fallback ('wanakana' / 'kana-shift') if any worker had to use one
+ */
+export async function convertInWorker(items, target = 'hiragana', opts = {}) {
+    const { onChunk, onItem, onProgress, onReject, chunkSize = 2000, signal = null, control = null } = opts;
+    const counts = Object.assign(opts.counts || {}, { kuroshiro: 0, direct: 0, fallback: 0, failed: 0, cached: 0 });
+    if (signal?.aborted) throw signal.reason;
+
+    const list = Array.from(items);
+    const surfaces = list.map(normNFKC);
+    await loadKanaCache(target);
+
+    // Distinct surfaces the cache cannot answer, in first-occurrence order.
+    const seen = new Set();
+    const misses = [];
+    for (const s of surfaces) {
+        if (!s || seen.has(s) || getReading(target, s) !== undefined) continue;
+        seen.add(s);
+        misses.push(s);
+    }
+
+    // Fallback and failed readings of this call, kept out of the cache.
+    const uncached = new Map();
+    const readingOf = s => getReading(target, s) ?? uncached.get(s);
+    // How each converted surface was produced, and why failed ones failed.
+    const viaOf = new Map();
+    const failureOf = new Map();
+
+    const tally = (i) => {
+        const s = surfaces[i];
+        const via = !s ? 'failed' : (viaOf.get(s) || 'cached');
+        counts[via] += 1;
+        if (onItem) onItem(list[i], s ? readingOf(s) : '');
+        if (via === 'failed' && onReject) onReject(list[i], s ? failureOf.get(s) : 'empty input');
+    };
+
+    // Emits the longest answerable prefix of the input, in order.
+    let next = 0;
+    const emitReady = () => {
+        const out = [];
+        while (next < list.length) {
+            const s = surfaces[next];
+            const reading = s ? readingOf(s) : '';
+            if (reading === undefined) break;
+            if (reading) out.push(reading);
+            tally(next);
+            next += 1;
+        }
+        if (out.length && onChunk) onChunk(out);
+    };
+
+    const cachedCount = list.length - surfaces.filter(s => seen.has(s)).length;
+    const processedByShard = [];
+    const reportProgress = () => {
+        if (!onProgress) return;
+        // Count input items (not distinct surfaces) whose reading is known.
+        const converted = processedByShard.reduce((a, b) => a + b, 0);
+        const ratio = misses.length ? converted / misses.length : 1;
+        onProgress(Math.min(list.length, cachedCount + Math.round((list.length - cachedCount) * ratio)), list.length);
+    };
+
+    emitReady();
+    reportProgress();
+    // Cached readings come from Kuroshiro, or need no conversion.
+    if (!misses.length) return { backend: 'kuroshiro', counts };
+
+    const shardCount = Math.max(1, Math.min(poolSize(), Math.ceil(misses.length / MIN_SHARD_SIZE)));
+    const shardSize = Math.ceil(misses.length / shardCount);
+    const pool = ensureWorkers(shardCount);
+
+    const shards = pool.map((worker, k) => {
+        const shard = misses.slice(k * shardSize, (k + 1) * shardSize);
+        processedByShard[k] = 0;
+        return convertShard(worker, shard, target, {
+            chunkSize,
+            signal,
+            control,
+            onReadings: (start, readings, { vias, failures, processed }) => {
+                for (const [i, reason] of failures) failureOf.set(shard[start + i], reason);
+                const cacheable = [];
+                readings.forEach((r, i) => {
+                    const s = shard[start + i];
+                    viaOf.set(s, vias[i] || 'kuroshiro');
+                    // Only readings that any later run would produce too: a worker on
+                    // Kuroshiro can still fall back for a single item.
+                    if ((vias[i] === 'kuroshiro' || vias[i] === 'direct') && !failureOf.has(s)) cacheable.push([s, r]);
+                    else uncached.set(s, r);
+                });
+                putReadings(target, cacheable);
+                processedByShard[k] = processed;
+                emitReady();
+                reportProgress();
+            },
+            onProcessed: (processed) => {
+                processedByShard[k] = processed;
+                reportProgress();
+            }
+        });
     });
 
-    return promise;
+    const results = await Promise.allSettled(shards);
+    const failed = results.find(r => r.status === 'rejected');
+    if (failed) {
+        if (signal?.aborted) {
+            // Cancelled: hand over every reading that is known (partial result).
+            const rest = [];
+            for (let i = next; i < list.length; i++) {
+                const reading = surfaces[i] ? readingOf(surfaces[i]) : '';
+                if (reading === undefined) continue;
+                if (reading) rest.push(reading);
+                tally(i);
+            }
+            if (rest.length && onChunk) onChunk(rest);
+        }
+        throw failed.reason;
+    }
+    emitReady();
+    const backends = results.map(r => r.value);
+    return { backend: backends.find(b => b && b !== 'kuroshiro') || 'kuroshiro', counts };
 }
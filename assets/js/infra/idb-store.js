@@ -0,0 +1,140 @@
+/**
+ * @fileoverview IndexedDB access helpers.
+ * @summary Promise wrappers around the application's IndexedDB database.
+ * @description
+ * Opens (and upgrades) the `wordserial` database and exposes small helpers for
+ * reading and writing its object stores. What gets stored, and when, is decided
+ * by higher layers (e.g. store/persistence).
+ *
+ * @module infra/idb-store
+ * @requires none
+ * @exports STORES, isIdbAvailable, openDb, idbGet, idbGetAll, idbTransaction, idbClear
+ */
+
+const DB_NAME = 'wordserial';
+const DB_VERSION = 2;
+
+/**
+ * Object store names.
+ * - bags: one record per Bag ({id, name, items, meta}), keyed by id.
+ * - workspace: workspace-level records (bag order, nextId, checkpoint), keyed explicitly.
+ * - kanaCache: kana readings ({s: surface, r: reading}) keyed by "target|surface" (since v2).
+ */
+export const STORES = {
+    bags: 'bags',
+    workspace: 'workspace',
+    kanaCache: 'kana_cache'
+};
+
+let _dbPromise = null;
+
+/**
+ * Whether IndexedDB can be used in this environment.
+ * @returns {boolean}
+ */
+export function isIdbAvailable() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+function requestToPromise(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+/**
+ * Opens the database (once) and creates missing object stores.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDb() {
+    if (_dbPromise) return _dbPromise;
+    if (!isIdbAvailable()) return Promise.reject(new Error('IndexedDB is not available'));
+
+    _dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains(STORES.bags)) {
+                db.createObjectStore(STORES.bags, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(STORES.workspace)) {
+                db.createObjectStore(STORES.workspace);
+            }
+            if (!db.objectStoreNames.contains(STORES.kanaCache)) {
+                db.createObjectStore(STORES.kanaCache);
+            }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+        req.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+    }).catch(err => {
+        // Allow a later retry instead of caching the failure forever.
+        _dbPromise = null;
+        throw err;
+    });
+    return _dbPromise;
+}
+
+/**
+ * Reads a single record.
+ * @param {string} storeName
+ * @param {IDBValidKey} key
+ * @returns {Promise<any>}
+ */
+export async function idbGet(storeName, key) {
+    const db = await openDb();
+    const tx = db.transaction(storeName, 'readonly');
+    return requestToPromise(tx.objectStore(storeName).get(key));
+}
+
+/**
+ * Reads all records of a store (optionally within a key range).
+ * @param {string} storeName
+ * @param {IDBKeyRange} [range]
+ * @returns {Promise<Array<any>>}
+ */
+export async function idbGetAll(storeName, range) {
+    const db = await openDb();
+    const tx = db.transaction(storeName, 'readonly');
+    return requestToPromise(tx.objectStore(storeName).getAll(range));
+}
+
+/**
+ * Runs `fn` inside a single transaction and resolves when it commits.
+ * `fn` receives an object mapping store name → IDBObjectStore.
+ * @param {string|string[]} storeNames
+ * @param {'readonly'|'readwrite'} mode
+ * @param {function(Object<string, IDBObjectStore>): void} fn
+ * @returns {Promise<void>}
+ */
+export async function idbTransaction(storeNames, mode, fn) {
+    const db = await openDb();
+    const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+    const tx = db.transaction(names, mode);
+    const stores = {};
+    for (const name of names) stores[name] = tx.objectStore(name);
+
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        try {
+            fn(stores);
+        } catch (err) {
+            tx.abort();
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Removes every record from the given stores.
+ * @param {string|string[]} storeNames
+ * @returns {Promise<void>}
+ */
+export async function idbClear(storeNames) {
+    return idbTransaction(storeNames, 'readwrite', stores => {
+        for (const store of Object.values(stores)) store.clear();
+    });
+}
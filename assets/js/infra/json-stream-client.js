@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Streaming reads of bag files in a worker.
+ * @summary Reads a JSON bag file in `assets/js/workers/json-stream-worker.js` and streams its items back.
+ * @description
+ * Parsing a data file of 200k entries with JSON.parse and normalizing every
+ * word freezes the page for seconds. Here the file is downloaded (or an
+ * uploaded file read), split, normalized and deduplicated in a dedicated
+ * worker (see core/json-stream), which streams the items back in batches
+ * through runProgressiveOp-style hooks. Progress counts bytes read.
+ *
+ * Each read gets its own worker, terminated when the read ends. If module
+ * workers cannot be started, the same reader runs on the main thread,
+ * yielding between pieces.
+ *
+ * @module infra/json-stream-client
+ * @requires core/json-stream
+ * @exports streamBagFile
+ */
+
+import { readBagStream, textPieces } from '../core/json-stream.js';
+
+const WORKER_URL = new URL('../workers/json-stream-worker.js', import.meta.url);
+
+let requestId = 0;
+let workersBroken = false;
+
+function abortError(signal) {
+    if (signal?.reason) return signal.reason;
+    const err = new Error('Cancelled');
+    err.name = 'AbortError';
+    return err;
+}
+
+function nextTask() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * @returns {Promise<{entries: number, words: number}|null>} null when the worker could not start
+ */
+function readInWorker(source, options, { onChunk = null, onCounts = null, onAttrs = null, onProgress = null, signal = null, control = null }) {
+    return new Promise((resolve, reject) => {
+        const id = `json-${++requestId}`;
+        let worker;
+        try {
+            worker = new Worker(WORKER_URL, { type: 'module' });
+        } catch (_) {
+            workersBroken = true;
+            resolve(null);
+            return;
+        }
+        let heard = false;
+        const onAbort = () => worker.postMessage({ id, type: 'cancel' });
+        const offControl = control?.on?.(state => {
+            if (state === 'paused') worker.postMessage({ id, type: 'pause' });
+            else if (state === 'running') worker.postMessage({ id, type: 'resume' });
+        });
+        const settle = () => {
+            signal?.removeEventListener('abort', onAbort);
+            offControl?.();
+            worker.terminate();
+        };
+
+        worker.onmessage = (evt) => {
+            const data = evt.data || {};
+            if (data.id !== id) return;
+            heard = true;
+            if (data.type === 'chunk') {
+                if (onChunk) onChunk(data.items || []);
+            } else if (data.type === 'counts') {
+                if (onCounts) onCounts(data.pairs || []);
+            } else if (data.type === 'attrs') {
+                if (onAttrs) onAttrs(data.pairs || []);
+            } else if (data.type === 'progress') {
+                if (onProgress) onProgress(data.done || 0, data.total || 0);
+            } else if (data.type === 'done') {
+                if (onProgress) onProgress(data.done || 0, data.total || 0);
+                settle();
+                resolve({ entries: data.entries || 0, words: data.words || 0 });
+            } else if (data.type === 'cancelled') {
+                settle();
+                reject(abortError(signal));
+            } else if (data.type === 'error') {
+                settle();
+                reject(new Error(data.message || 'JSON stream worker error'));
+            }
+        };
+        worker.onerror = (evt) => {
+            evt.preventDefault?.();
+            settle();
+            if (!heard) {
+                // A load error (unsupported module worker, missing file): read in place from now on.
+                workersBroken = true;
+                resolve(null);
+            } else {
+                reject(new Error(`JSON stream worker failed: ${evt.message || 'unknown error'}`));
+            }
+        };
+
+        signal?.addEventListener('abort', onAbort);
+        worker.postMessage({ id, type: 'run', source, options });
+        if (control?.paused) worker.postMessage({ id, type: 'pause' });
+    });
+}
+
+async function readInPlace(source, options, hooks) {
+    let response = source;
+    if (typeof source === 'string') {
+        response = await fetch(source, { cache: 'no-cache' });
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+    }
+    const pieces = textPieces(response, hooks.onProgress);
+    return readBagStream(pieces, options, { ...hooks, yielder: hooks.yielder || nextTask });
+}
+
+/**
+ * Reads a bag file, streaming its NFKC items, counts and attribute records
+ * (see core/json-stream readBagStream) to the hooks as they are read.
+ * Aborting `signal` stops the read; what was read until then is still
+ * delivered, then the promise rejects with the abort reason. `control`
+ * (see domain/models/job) forwards pause / resume to the worker.
+ * @param {string|Blob} source Absolute URL (see infra/file-loader bagFileUrl), or an uploaded file
+ * @param {{counting?: boolean, attrs?: ('all'|'pos'|null), pos?: (string|null)}} [options]
+ * @param {{onChunk?: function(string[]):void, onCounts?: function(Array):void, onAttrs?: function(Array):void, onProgress?: function(number, number):void, signal?: AbortSignal, control?: object, useWorkers?: boolean}} [hooks]
+ *   onProgress receives (bytes read, total bytes or 0 when unknown)
+ * @returns {Promise<{entries: number, words: number}>}
+ */
+export async function streamBagFile(source, options = {}, hooks = {}) {
+    if (hooks.signal?.aborted) throw abortError(hooks.signal);
+    if (hooks.useWorkers !== false && !workersBroken && typeof Worker !== 'undefined') {
+        const result = await readInWorker(source, options, hooks);
+        if (result) return result;
+        console.warn('[streamBagFile] JSON stream worker unavailable, reading on the main thread');
+    }
+    return readInPlace(source, options, hooks);
+}
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Kana reading cache.
+ * @summary Maps NFKC surface forms to their hiragana / katakana / romaji reading.
+ * @description
+ * Kuroshiro conversion dominates kana normalization, and bags derived from the
+ * same dictionary overlap heavily. Readings are kept in memory per target and
+ * persisted to the `kana_cache` IndexedDB store, so converting an overlapping
+ * bag again (even after a reload) only sends the unseen surfaces to workers.
+ *
+ * A target's entries are loaded from IndexedDB on first use. New readings are
+ * written back in batches. Without IndexedDB the cache still works in memory.
+ *
+ * @module infra/kana-cache
+ * @requires infra/idb-store
+ * @exports loadKanaCache, getReading, hasReading, putReadings, flushKanaCache, clearKanaCache, kanaCacheSize
+ */
+
+import { STORES, isIdbAvailable, idbGetAll, idbTransaction, idbClear } from './idb-store.js';
+
+const FLUSH_DELAY_MS = 1000;
+
+/** @type {Map<string, Map<string, string>>} target → (surface → reading) */
+const caches = new Map();
+/** @type {Map<string, Promise<Map<string, string>>>} */
+const loading = new Map();
+/** @type {Array<[string, string, string]>} [target, surface, reading] not yet persisted */
+let pending = [];
+let flushTimer = null;
+
+function keyOf(target, surface) {
+    return `${target}|${surface}`;
+}
+
+function cacheFor(target) {
+    let cache = caches.get(target);
+    if (!cache) {
+        cache = new Map();
+        caches.set(target, cache);
+    }
+    return cache;
+}
+
+/**
+ * Loads the persisted readings of a target (once per session).
+ * @param {string} target
+ * @returns {Promise<Map<string, string>>}
+ */
+export function loadKanaCache(target) {
+    if (loading.has(target)) return loading.get(target);
+    const promise = (async () => {
+        const cache = cacheFor(target);
+        if (!isIdbAvailable()) return cache;
+        try {
+            const range = IDBKeyRange.bound(`${target}|`, `${target}|\uffff`);
+            const records = await idbGetAll(STORES.kanaCache, range);
+            for (const { s, r } of records) {
+                if (!cache.has(s)) cache.set(s, r);
+            }
+        } catch (err) {
+            console.warn('[kana-cache] Load failed; continuing in memory', err);
+        }
+        return cache;
+    })();
+    loading.set(target, promise);
+    return promise;
+}
+
+/**
+ * @param {string} target
+ * @param {string} surface NFKC-normalized input
+ * @returns {boolean}
+ */
+export function hasReading(target, surface) {
+    return cacheFor(target).has(surface);
+}
+
+/**
+ * @param {string} target
+ * @param {string} surface NFKC-normalized input
+ * @returns {string|undefined} '' means the surface converts to nothing
+ */
+export function getReading(target, surface) {
+    return cacheFor(target).get(surface);
+}
+
+/**
+ * Stores readings and schedules writing them to IndexedDB.
+ * @param {string} target
+ * @param {Array<[string, string]>} pairs [surface, reading]
+ */
+export function putReadings(target, pairs) {
+    const cache = cacheFor(target);
+    for (const [surface, reading] of pairs) {
+        if (cache.get(surface) === reading) continue;
+        cache.set(surface, reading);
+        pending.push([target, surface, reading]);
+    }
+    if (pending.length && isIdbAvailable() && !flushTimer) {
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            flushKanaCache();
+        }, FLUSH_DELAY_MS);
+    }
+}
+
+/**
+ * Writes pending readings to IndexedDB.
+ * @returns {Promise<void>}
+ */
+export async function flushKanaCache() {
+    if (!pending.length || !isIdbAvailable()) return;
+    const batch = pending;
+    pending = [];
+    try {
+        await idbTransaction(STORES.kanaCache, 'readwrite', stores => {
+            const store = stores[STORES.kanaCache];
+            for (const [target, s, r] of batch) store.put({ s, r }, keyOf(target, s));
+        });
+    } catch (err) {
+        console.warn('[kana-cache] Save failed', err);
+    }
+}
+
+/**
+ * Drops every cached reading, in memory and in IndexedDB.
+ * @returns {Promise<void>}
+ */
+export async function clearKanaCache() {
+    if (flushTimer) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+    }
+    pending = [];
+    caches.clear();
+    loading.clear();
+    if (isIdbAvailable()) await idbClear(STORES.kanaCache);
+}
+
+/**
+ * Number of readings held in memory, per target.
+ * @returns {Object<string, number>}
+ */
+export function kanaCacheSize() {
+    const out = {};
+    for (const [target, cache] of caches) out[target] = cache.size;
+    return out;
+}
@@ -4,23 +4,66 @@
  * @description
  * Initialises the Kuroshiro library with the Kuromoji analyzer.
  * Handles loading states and provides a simplified API for text conversion.
+ * The library scripts and the dictionary are loaded on first use from the
+ * locations in infra/lib-config (local copies first).
  * 
  * @module infra/kuro-wrapper
+ * @requires infra/lib-config
  * @requires kuroshiro (global)
  * @requires kuroshiro-analyzer-kuromoji (global)
- * @exports toHiragana, toKatakana, toRomaji, ensureKuro, getK
+ * @exports toHiragana, toKatakana, toRomaji, ensureKuro, getK, loadLibraries
  */
 
+import { libScriptSources, dictPathCandidates } from './lib-config.js';
+
 let _kuro = null;
 let _initPromise = null;
+let _libsPromise = null;
+
+function loadScript(url) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = url;
+        script.onload = () => resolve();
+        script.onerror = () => {
+            script.remove();
+            reject(new Error(`Failed to load ${url}`));
+        };
+        document.head.appendChild(script);
+    });
+}
+
+/**
+ * Loads the Wanakana / Kuroshiro scripts into the page (once).
+ * Each library is taken from the first of its candidate URLs that loads.
+ * @returns {Promise<void>}
+ */
+export function loadLibraries() {
+    if (_libsPromise) return _libsPromise;
+    _libsPromise = (async () => {
+        for (const urls of libScriptSources()) {
+            let loaded = false;
+            for (const url of urls) {
+                try {
+                    await loadScript(url);
+                    loaded = true;
+                    break;
+                } catch (err) {
+                    console.warn('[kuro-wrapper]', err.message);
+                }
+            }
+            if (!loaded) console.warn(`[kuro-wrapper] No usable copy of ${urls[0]}`);
+        }
+    })();
+    return _libsPromise;
+}
 
 export async function ensureKuro() {
     if (_kuro) return _kuro;
     if (_initPromise) return _initPromise;
 
     _initPromise = (async () => {
-        // Wait for script global if needed
-        if (!window.Kuroshiro) await new Promise(r => setTimeout(r, 500));
+        await loadLibraries();
 
         let KuroshiroConstructor = window.Kuroshiro;
         if (typeof KuroshiroConstructor !== 'function' && KuroshiroConstructor?.default) {
@@ -31,11 +74,22 @@ export async function ensureKuro() {
         let Analyzer = window.KuromojiAnalyzer || window.Kuroshiro.Analyzer?.KuromojiAnalyzer;
         if (!Analyzer) throw new Error("KuromojiAnalyzer not found");
 
-        const k = new KuroshiroConstructor();
-        await k.init(new Analyzer({ dictPath: "https://cdn.jsdelivr.net/npm/kuromoji@0.1.2/dict/" }));
-        _kuro = k;
-        return k;
+        let lastError = null;
+        for (const dictPath of dictPathCandidates()) {
+            try {
+                const k = new KuroshiroConstructor();
+                await k.init(new Analyzer({ dictPath }));
+                _kuro = k;
+                return k;
+            } catch (err) {
+                console.warn(`[kuro-wrapper] Dictionary not usable at ${dictPath}`, err);
+                lastError = err;
+            }
+        }
+        throw lastError || new Error("Kuromoji dictionary not found");
     })();
+    // Allow a later call to retry.
+    _initPromise.catch(() => { _initPromise = null; });
     return _initPromise;
 }
 
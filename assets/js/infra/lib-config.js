@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Conversion library locations.
+ * @summary Where Wanakana, Kuroshiro and the Kuromoji dictionary are loaded from.
+ * @description
+ * By default the libraries and the dictionary are served by the app itself
+ * from `assets/vendor/` (layout in assets/vendor/README.md), so kana
+ * conversion works without network access. A deployment can move them by
+ * defining, before app.js loads:
+ *
+ *     window.WORD_SERIAL_CONFIG = { libBase: '/static/kana/', dictPath: '/static/kana/dict/' };
+ *
+ * With `cdnFallback: true`, the jsDelivr copies are tried when a local file
+ * cannot be loaded; by default they are never contacted.
+ *
+ * Paths are resolved against the page URL, so the resulting absolute URLs
+ * can be handed to workers as they are.
+ *
+ * @module infra/lib-config
+ * @requires none
+ * @exports LIB_FILES, getLibConfig, libScriptSources, dictPathCandidates
+ */
+
+const CDN = 'https://cdn.jsdelivr.net/npm/';
+
+/** Library scripts in load order, with their CDN location. */
+export const LIB_FILES = [
+    { file: 'wanakana.min.js', cdn: `${CDN}wanakana@5.0.2/wanakana.min.js` },
+    { file: 'kuroshiro.min.js', cdn: `${CDN}kuroshiro@1.2.0/dist/kuroshiro.min.js` },
+    { file: 'kuroshiro-analyzer-kuromoji.min.js', cdn: `${CDN}kuroshiro-analyzer-kuromoji@1.1.0/dist/kuroshiro-analyzer-kuromoji.min.js` }
+];
+
+const CDN_DICT = `${CDN}kuromoji@0.1.2/dict/`;
+
+const DEFAULTS = {
+    libBase: 'assets/vendor/',
+    dictPath: 'assets/vendor/kuromoji/dict/',
+    cdnFallback: false
+};
+
+function withSlash(path) {
+    return path.endsWith('/') ? path : `${path}/`;
+}
+
+function resolve(path) {
+    const base = globalThis.document?.baseURI || globalThis.location?.href;
+    return base ? new URL(path, base).href : path;
+}
+
+/**
+ * Effective configuration: defaults overridden by `window.WORD_SERIAL_CONFIG`.
+ * @returns {{libBase: string, dictPath: string, cdnFallback: boolean}}
+ */
+export function getLibConfig() {
+    const override = globalThis.WORD_SERIAL_CONFIG || {};
+    const cfg = Object.assign({}, DEFAULTS, override);
+    cfg.libBase = withSlash(String(cfg.libBase));
+    cfg.dictPath = withSlash(String(cfg.dictPath));
+    cfg.cdnFallback = cfg.cdnFallback === true;
+    return cfg;
+}
+
+/**
+ * Candidate URLs per library script, in load order; try each list in turn.
+ * @returns {string[][]}
+ */
+export function libScriptSources() {
+    const cfg = getLibConfig();
+    return LIB_FILES.map(({ file, cdn }) => {
+        const urls = [resolve(cfg.libBase + file)];
+        if (cfg.cdnFallback) urls.push(cdn);
+        return urls;
+    });
+}
+
+/**
+ * Candidate Kuromoji dictionary directories, in order of preference.
+ * @returns {string[]}
+ */
+export function dictPathCandidates() {
+    const cfg = getLibConfig();
+    const paths = [resolve(cfg.dictPath)];
+    if (cfg.cdnFallback) paths.push(CDN_DICT);
+    return paths;
+}
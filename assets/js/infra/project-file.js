@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Project file (.wordserial) format.
+ * @summary Builds, migrates, validates and re-numbers whole-workspace project files.
+ * @description
+ * A project file carries every bag with its `meta` (operation lineage), the
+ * `nextId` counter and the history checkpoint, so a workspace can be handed to
+ * someone else and reapplied there. A counted bag carries `counts`, and a bag
+ * with attributes `attrs`, next to `items` (see domain/models/registry serializeBag).
+ *
+ * Versions:
+ *  - v1: a bare `REG.serialize()` snapshot (`{nextId, bags}`), no envelope.
+ *  - v2: `{format:'wordserial', version:2, exported_at, workspace:{nextId, bags}, history}`.
+ *
+ * Older files are upgraded step by step through `MIGRATIONS` on import.
+ *
+ * @module infra/project-file
+ * @requires core/utils
+ * @requires domain/models/lineage
+ * @exports PROJECT_FORMAT, PROJECT_VERSION, PROJECT_EXT, buildProject, migrateProject, validateProject, parseProjectText, prepareProjectBags, downloadProject
+ */
+
+import { nowISO } from '../core/utils.js';
+import { referencedIds, remapRefs, detachRefs } from '../domain/models/lineage.js';
+
+export const PROJECT_FORMAT = 'wordserial';
+export const PROJECT_VERSION = 2;
+export const PROJECT_EXT = '.wordserial';
+
+/**
+ * A bag saved while its job was running has no job after loading: it keeps
+ * the items computed so far, as a cancelled bag.
+ * @param {object} meta
+ * @returns {object}
+ */
+function settleStatus(meta) {
+    if (meta?.status !== 'processing') return meta;
+    return Object.assign({}, meta, { status: 'cancelled', cancelled_at: meta.cancelled_at || nowISO() });
+}
+
+/**
+ * Upgrades from version N to N+1, keyed by N.
+ * @type {Object<number, function(object): object>}
+ */
+const MIGRATIONS = {
+    1: (snapshot) => ({
+        format: PROJECT_FORMAT,
+        version: 2,
+        exported_at: null,
+        workspace: {
+            nextId: snapshot.nextId,
+            bags: snapshot.bags.map(b => Object.assign({}, b, { meta: settleStatus(b.meta) }))
+        },
+        history: null
+    })
+};
+
+/**
+ * Wraps a registry snapshot into the current project envelope.
+ * @param {{nextId:number, bags:Array<object>}} snapshot `REG.serialize()` output
+ * @param {{index:number, length:number}|null} historyState
+ * @returns {object}
+ */
+export function buildProject(snapshot, historyState = null) {
+    const exportedAt = nowISO();
+    return {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        exported_at: exportedAt,
+        workspace: {
+            nextId: snapshot.nextId,
+            bags: snapshot.bags
+        },
+        history: {
+            checkpoint_at: exportedAt,
+            index: historyState ? historyState.index : null,
+            length: historyState ? historyState.length : null
+        }
+    };
+}
+
+function detectVersion(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+    if (raw.format === PROJECT_FORMAT) return Number(raw.version) || null;
+    if (Array.isArray(raw.bags)) return 1;
+    return null;
+}
+
+/**
+ * Upgrades a parsed project file to `PROJECT_VERSION`.
+ * @param {object} raw
+ * @returns {object}
+ */
+export function migrateProject(raw) {
+    let version = detectVersion(raw);
+    if (version === null) throw new Error('Not a wordserial project file');
+    if (version > PROJECT_VERSION) {
+        throw new Error(`Project version ${version} is newer than supported (${PROJECT_VERSION})`);
+    }
+
+    let project = raw;
+    while (version < PROJECT_VERSION) {
+        const step = MIGRATIONS[version];
+        if (!step) throw new Error(`No migration from project version ${version}`);
+        project = step(project);
+        version = project.version;
+    }
+    return project;
+}
+
+/**
+ * Checks a (migrated) project for structural problems and broken references.
+ * @param {object} project
+ * @returns {Array<{code:'structure'|'broken_ref', bagId:(number|null), message:string}>}
+ */
+export function validateProject(project) {
+    const errors = [];
+    const bags = project?.workspace?.bags;
+    if (!Array.isArray(bags)) {
+        errors.push({ code: 'structure', bagId: null, message: 'workspace.bags is not an array' });
+        return errors;
+    }
+
+    const ids = new Set();
+    bags.forEach((b, i) => {
+        const at = `bags[${i}]`;
+        if (!b || typeof b !== 'object') {
+            errors.push({ code: 'structure', bagId: null, message: `${at} is not an object` });
+            return;
+        }
+        if (!Number.isInteger(b.id) || b.id < 0) {
+            errors.push({ code: 'structure', bagId: null, message: `${at}.id is not a non-negative integer` });
+            return;
+        }
+        if (ids.has(b.id)) {
+            errors.push({ code: 'structure', bagId: b.id, message: `${at}: duplicate id ${b.id}` });
+        }
+        ids.add(b.id);
+        if (!Array.isArray(b.items) || b.items.some(x => typeof x !== 'string')) {
+            errors.push({ code: 'structure', bagId: b.id, message: `${at}.items must be an array of strings` });
+        }
+        if (b.counts !== undefined && (!Array.isArray(b.counts) || b.counts.length !== b.items?.length
+            || b.counts.some(n => !Number.isInteger(n) || n < 1))) {
+            errors.push({ code: 'structure', bagId: b.id, message: `${at}.counts must be positive integers, one per item` });
+        }
+        if (b.attrs !== undefined && (!Array.isArray(b.attrs) || b.attrs.length !== b.items?.length
+            || b.attrs.some(r => r !== null && (typeof r !== 'object' || Array.isArray(r))))) {
+            errors.push({ code: 'structure', bagId: b.id, message: `${at}.attrs must be records or null, one per item` });
+        }
+        if (b.meta !== undefined && (typeof b.meta !== 'object' || b.meta === null || Array.isArray(b.meta))) {
+            errors.push({ code: 'structure', bagId: b.id, message: `${at}.meta must be an object` });
+        }
+    });
+
+    for (const b of bags) {
+        if (!b || !Number.isInteger(b.id)) continue;
+        for (const ref of referencedIds(b.meta)) {
+            if (!ids.has(ref)) {
+                errors.push({
+                    code: 'broken_ref',
+                    bagId: b.id,
+                    message: `Bag [${b.id}] ${b.name || ''} references missing bag [${ref}]`
+                });
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Parses, migrates and validates project file text.
+ * @param {string} text
+ * @returns {{project: object, errors: Array<object>}}
+ */
+export function parseProjectText(text) {
+    let raw;
+    try {
+        raw = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Invalid project JSON: ' + e.message);
+    }
+    const project = migrateProject(raw);
+    return { project, errors: validateProject(project) };
+}
+
+/**
+ * Produces registry-ready bag records from a validated project.
+ * With `firstId`, every bag gets a fresh id from that number on and all
+ * references are rewritten (merge into an existing workspace).
+ * With `detachBrokenRefs`, references to bags absent from the project are removed.
+ * Bags saved while processing are loaded as cancelled.
+ * @param {object} project
+ * @param {{firstId?: (number|null), detachBrokenRefs?: boolean}} options
+ * @returns {{bags: Array<object>, nextId: number, idMap: Map<number, number>}}
+ */
+export function prepareProjectBags(project, { firstId = null, detachBrokenRefs = false } = {}) {
+    const src = project.workspace.bags;
+    const ids = new Set(src.map(b => b.id));
+
+    const idMap = new Map();
+    if (firstId !== null) src.forEach((b, i) => idMap.set(b.id, firstId + i));
+
+    const bags = src.map(b => {
+        let meta = Object.assign({}, settleStatus(b.meta));
+        delete meta.reapply_status;
+        delete meta.reapply_error;
+        if (detachBrokenRefs) {
+            const broken = new Set(referencedIds(meta).filter(ref => !ids.has(ref)));
+            if (broken.size) meta = detachRefs(meta, broken);
+        }
+        if (idMap.size) meta = remapRefs(meta, idMap);
+        return {
+            id: idMap.size ? idMap.get(b.id) : b.id,
+            name: b.name,
+            items: b.items,
+            ...(b.counts ? { counts: b.counts } : {}),
+            ...(b.attrs ? { attrs: b.attrs } : {}),
+            meta
+        };
+    });
+
+    const maxId = bags.reduce((m, b) => Math.max(m, b.id), -1);
+    const declared = idMap.size ? 0 : Number(project.workspace.nextId) || 0;
+    return { bags, nextId: Math.max(declared, maxId + 1), idMap };
+}
+
+/**
+ * Triggers a browser download of the project file.
+ * @param {object} project
+ * @param {string} [baseName]
+ */
+export function downloadProject(project, baseName = 'workspace') {
+    const stamp = nowISO().replace(/[:T-]/g, '').slice(0, 14);
+    const blob = new Blob([JSON.stringify(project)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `${baseName}_${stamp}${PROJECT_EXT}`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+}
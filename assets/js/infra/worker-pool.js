@@ -0,0 +1,274 @@
+/**
+ * @fileoverview Worker pool for core functions.
+ * @summary Runs named core/* functions on sharded input across module workers.
+ * @description
+ * The input is split into contiguous shards, one task per shard, and the tasks
+ * are spread over a fixed set of `workers/core-worker.js` instances. Results
+ * are merged in shard order, so the output order is the same as a single pass
+ * on the main thread: shard 0 streams straight to `onChunk`, later shards are
+ * buffered until every shard before them has finished.
+ *
+ * Cancelling (`signal`) stops every shard at its next batch; what was produced
+ * is still delivered (in order) before the promise rejects. A failing shard
+ * stops the others and rejects without delivering their buffers; the error's
+ * `handedOver` tells whether anything reached the hooks before. `control` pause /
+ * resume is forwarded to the workers. If workers cannot be started (e.g. no
+ * module worker support), the pool marks itself unavailable and callers fall
+ * back to the main thread (see domain/ops/dispatch).
+ *
+ * @module infra/worker-pool
+ * @requires none
+ * @exports WorkerPool, POOL
+ */
+
+const WORKER_URL = new URL('../workers/core-worker.js', import.meta.url);
+// Below this many items per shard, messaging costs more than it saves.
+const MIN_SHARD_SIZE = 2000;
+const MAX_WORKERS = 4;
+
+function defaultSize() {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    return Math.max(1, Math.min(MAX_WORKERS, cores - 1));
+}
+
+function abortError(signal) {
+    if (signal?.reason) return signal.reason;
+    const err = new Error('Cancelled');
+    err.name = 'AbortError';
+    return err;
+}
+
+export class WorkerPool {
+    /**
+     * @param {number} size Number of workers
+     */
+    constructor(size = defaultSize()) {
+        this.size = size;
+        this._slots = []; // { worker, task }
+        this._queue = [];
+        this._tasks = new Map();
+        this._nextTaskId = 0;
+        this._broken = false;
+    }
+
+    /**
+     * Whether work can be sent to workers.
+     * @returns {boolean}
+     */
+    get available() {
+        return !this._broken && typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Number of shards worth using for the given input size.
+     * @param {number} count
+     * @returns {number}
+     */
+    shardCountFor(count) {
+        return Math.max(1, Math.min(this.size, Math.floor(count / MIN_SHARD_SIZE)));
+    }
+
+    _spawn() {
+        const worker = new Worker(WORKER_URL, { type: 'module' });
+        const slot = { worker, task: null };
+        worker.onmessage = (evt) => this._onMessage(slot, evt.data || {});
+        worker.onerror = (evt) => {
+            // A load error (unsupported module worker, missing file) breaks the pool for good.
+            evt.preventDefault?.();
+            this._broken = true;
+            const err = new Error(`Core worker failed: ${evt.message || 'unknown error'}`);
+            for (const task of Array.from(this._tasks.values())) this._settle(task, 'error', err);
+            for (const s of this._slots) s.worker.terminate();
+            this._slots = [];
+        };
+        this._slots.push(slot);
+        return slot;
+    }
+
+    _onMessage(slot, data) {
+        const task = this._tasks.get(data.id);
+        if (!task) return;
+        if (data.type === 'chunk') {
+            task.onChunk(data.chunk || []);
+        } else if (data.type === 'rejects') {
+            task.onReject(data.rejects || []);
+        } else if (data.type === 'progress') {
+            task.onProgress(data.done || 0);
+        } else if (data.type === 'done') {
+            task.onProgress(data.done || 0);
+            this._settle(task, 'done');
+        } else if (data.type === 'cancelled') {
+            this._settle(task, 'cancelled');
+        } else if (data.type === 'error') {
+            this._settle(task, 'error', new Error(data.message || 'Core worker error'));
+        }
+        if (slot.task === task && task.settled) {
+            slot.task = null;
+            this._drain();
+        }
+    }
+
+    _settle(task, outcome, error = null) {
+        if (task.settled) return;
+        task.settled = true;
+        this._tasks.delete(task.id);
+        task.resolve({ outcome, error });
+    }
+
+    _drain() {
+        while (this._queue.length) {
+            let slot = this._slots.find(s => !s.task);
+            if (!slot && this._slots.length < this.size) slot = this._spawn();
+            if (!slot) return;
+            const task = this._queue.shift();
+            if (task.settled) continue;
+            slot.task = task;
+            task.slot = slot;
+            slot.worker.postMessage({
+                id: task.id,
+                type: 'run',
+                fn: task.fn,
+                items: task.items,
+                params: task.params,
+                batchSize: task.batchSize,
+                dropReason: task.dropReason
+            });
+            if (task.paused) slot.worker.postMessage({ id: task.id, type: 'pause' });
+        }
+    }
+
+    _submit(spec) {
+        const task = Object.assign({ id: `core-${++this._nextTaskId}`, settled: false, slot: null, paused: false }, spec);
+        const done = new Promise(resolve => { task.resolve = resolve; });
+        this._tasks.set(task.id, task);
+        this._queue.push(task);
+        try {
+            this._drain();
+        } catch (err) {
+            this._broken = true;
+            this._settle(task, 'error', err);
+        }
+        return { task, done };
+    }
+
+    _send(task, type) {
+        if (type === 'pause') task.paused = true;
+        if (type === 'resume') task.paused = false;
+        if (task.slot && !task.settled) task.slot.worker.postMessage({ id: task.id, type });
+    }
+
+    /**
+     * Runs a named core function over the items, sharded across the workers.
+     * @param {string} fn Name from core/registry (must be shardable)
+     * @param {Iterable<string>} items
+     * @param {object} params Structured-clonable parameters
+     * @param {{batchSize?: number, onChunk?: function(Array):void, onProgress?: function(number, number):void, onReject?: function(string, string):void, dropReason?: string, signal?: AbortSignal, control?: object}} [hooks]
+     * @returns {Promise<Set<string>>}
+     */
+    async run(fn, items, params, { batchSize = 500, onChunk = null, onProgress = null, onReject = null, dropReason = null, signal = null, control = null } = {}) {
+        if (!this.available) throw new Error('Worker pool is not available');
+        if (signal?.aborted) throw abortError(signal);
+
+        const list = Array.from(items);
+        const total = list.length;
+        const shardCount = this.shardCountFor(total);
+        const shardSize = Math.ceil(total / shardCount) || 1;
+
+        const buffers = [];
+        const finished = [];
+        const doneCounts = [];
+        let emitted = 0; // Shards before this index were fully handed to onChunk
+        let handedOver = false; // Whether any item or reject reached the hooks
+
+        const emit = chunk => {
+            if (!chunk.length) return;
+            handedOver = true;
+            if (onChunk) onChunk(chunk);
+        };
+        const advance = () => {
+            while (emitted < shardCount && finished[emitted]) {
+                emitted += 1;
+                if (emitted < shardCount) emit(buffers[emitted]);
+            }
+        };
+        const reportProgress = () => {
+            if (onProgress) onProgress(doneCounts.reduce((a, b) => a + b, 0), total);
+        };
+
+        const runs = [];
+        for (let k = 0; k < shardCount; k++) {
+            buffers.push([]);
+            finished.push(false);
+            doneCounts.push(0);
+            runs.push(this._submit({
+                fn,
+                items: list.slice(k * shardSize, (k + 1) * shardSize),
+                params,
+                batchSize,
+                dropReason,
+                onReject: rejects => {
+                    if (rejects.length) handedOver = true;
+                    if (onReject) rejects.forEach(([item, reason]) => onReject(item, reason));
+                },
+                onChunk: chunk => {
+                    for (const w of chunk) buffers[k].push(w);
+                    if (k === emitted) emit(chunk);
+                },
+                onProgress: done => {
+                    doneCounts[k] = done;
+                    reportProgress();
+                }
+            }));
+        }
+        if (onProgress) onProgress(0, total);
+
+        const tasks = runs.map(r => r.task);
+        const onAbort = () => tasks.forEach(t => {
+            if (!t.slot) this._settle(t, 'cancelled'); // Still queued
+            else this._send(t, 'cancel');
+        });
+        signal?.addEventListener('abort', onAbort);
+        const offControl = control?.on?.(state => {
+            if (state === 'paused') tasks.forEach(t => this._send(t, 'pause'));
+            else if (state === 'running') tasks.forEach(t => this._send(t, 'resume'));
+        });
+        if (control?.paused) tasks.forEach(t => this._send(t, 'pause'));
+
+        let failure = null;
+        try {
+            await Promise.all(runs.map(async ({ done }, k) => {
+                const { outcome, error } = await done;
+                if (outcome === 'error' && !failure) {
+                    failure = error;
+                    onAbort(); // No point finishing the other shards
+                }
+                if (outcome === 'done') {
+                    finished[k] = true;
+                    advance();
+                }
+            }));
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+            offControl?.();
+        }
+
+        if (failure) {
+            // The later shards' buffers would land ahead of the failed shard's items.
+            failure.handedOver = handedOver;
+            throw failure;
+        }
+        if (signal?.aborted) {
+            // Hand over the partial results of the remaining shards, in order.
+            for (let k = emitted + 1; k < shardCount; k++) emit(buffers[k]);
+            throw abortError(signal);
+        }
+
+        const out = new Set();
+        for (const buffer of buffers) {
+            for (const w of buffer) out.add(w);
+        }
+        return out;
+    }
+}
+
+export const POOL = new WorkerPool();
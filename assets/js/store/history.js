@@ -7,7 +7,7 @@
  *
  * @module store/history
  * @requires domain/models/registry
- * @exports initHistory, captureState, undo, redo, restoreFromHistory, getHistoryState
+ * @exports initHistory, resetHistory, captureState, undo, redo, restoreFromHistory, getHistoryState
  */
 
 import { REG } from '../domain/models/registry.js';
@@ -70,7 +70,31 @@ export function redo() {
     restoreFromHistory();
 }
 
+/**
+ * Current position in the history stack.
+ * @returns {{index:number, length:number, canUndo:boolean, canRedo:boolean}}
+ */
+export function getHistoryState() {
+    return {
+        index: historyIndex,
+        length: history.length,
+        canUndo: historyIndex > 0,
+        canRedo: historyIndex < history.length - 1
+    };
+}
+
 export function initHistory() {
-    // Capture initial empty state
+    // Capture initial state (empty, or the workspace restored from storage).
+    // This entry is the restore point: undo never goes further back than it.
     if (history.length === 0) captureState();
 }
+
+/**
+ * Drops every snapshot and re-captures the current registry as the new base.
+ * Used when the workspace is replaced wholesale (start fresh, project import).
+ */
+export function resetHistory() {
+    history.length = 0;
+    historyIndex = -1;
+    captureState();
+}
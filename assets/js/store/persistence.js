@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Workspace persistence (IndexedDB auto-save).
+ * @summary Saves the Bag Registry to IndexedDB and restores it on startup.
+ * @description
+ * Each bag is stored as its own record (the `REG.serializeBag()` shape), so a
+ * change to one small bag does not rewrite a 200k-item neighbour. A separate
+ * workspace record keeps the bag order, the `nextId` counter and the restore
+ * point (when the state was saved). Bags still processing are never saved;
+ * they are picked up once they finish.
+ *
+ * @module store/persistence
+ * @requires domain/models/registry
+ * @requires domain/models/bag
+ * @requires infra/idb-store
+ * @requires core/utils
+ * @exports restoreWorkspace, startAutoSave, flushSave, startFresh, setSaveStatusCallback
+ */
+
+import { REG } from '../domain/models/registry.js';
+import { getNextId } from '../domain/models/bag.js';
+import { STORES, isIdbAvailable, idbGet, idbGetAll, idbTransaction, idbClear } from '../infra/idb-store.js';
+import { nowISO } from '../core/utils.js';
+
+const WORKSPACE_KEY = 'current';
+const SAVE_DELAY_MS = 800;
+// Not every mutation goes through REG.notify() (e.g. preview edits), so a
+// periodic check catches what the change listener misses. Clean bags cost
+// only a signature comparison.
+const SAFETY_INTERVAL_MS = 5000;
+
+/** @type {Map<number, {items: Set<string>, size: number, name: string, meta: string}>} */
+const savedSignatures = new Map();
+let savedWorkspaceSig = null;
+let autoSaveStarted = false;
+let saveTimer = null;
+let savePromise = null;
+let saveAgain = false;
+let _onStatus = null;
+
+/**
+ * Registers a callback receiving save status updates ({state, savedAt, error}).
+ * @param {function(object): void} cb
+ */
+export function setSaveStatusCallback(cb) {
+    _onStatus = cb;
+}
+
+function notifyStatus(status) {
+    if (_onStatus) _onStatus(status);
+}
+
+function signatureOf(bag) {
+    return {
+        items: bag.items,
+        size: bag.items.size,
+        name: bag.name,
+        meta: JSON.stringify(bag.meta)
+    };
+}
+
+function sameSignature(a, b) {
+    return !!a && !!b
+        && a.items === b.items
+        && a.size === b.size
+        && a.name === b.name
+        && a.meta === b.meta;
+}
+
+function isPersistable(bag) {
+    return bag.status !== 'processing';
+}
+
+/**
+ * Loads the saved workspace into the registry.
+ * @returns {Promise<null|{bags: number, savedAt: string}>} null when nothing was saved.
+ */
+export async function restoreWorkspace() {
+    if (!isIdbAvailable()) return null;
+
+    const state = await idbGet(STORES.workspace, WORKSPACE_KEY);
+    if (!state || !Array.isArray(state.order)) return null;
+
+    const records = await idbGetAll(STORES.bags);
+    const byId = new Map(records.map(r => [r.id, r]));
+    const bags = state.order.map(id => byId.get(id)).filter(Boolean);
+
+    REG.restore({ nextId: state.nextId, bags });
+
+    // The registry now mirrors storage: prime signatures so nothing is rewritten.
+    savedSignatures.clear();
+    for (const bag of REG.all()) savedSignatures.set(bag.id, signatureOf(bag));
+    savedWorkspaceSig = JSON.stringify({ order: state.order, nextId: state.nextId });
+
+    return { bags: bags.length, savedAt: state.saved_at };
+}
+
+/**
+ * Writes every changed bag (and the workspace record) in one transaction.
+ * Concurrent calls are coalesced into a single follow-up save.
+ * @returns {Promise<void>}
+ */
+export async function flushSave() {
+    if (!autoSaveStarted) return;
+    if (savePromise) {
+        saveAgain = true;
+        return savePromise;
+    }
+
+    savePromise = (async () => {
+        try {
+            do {
+                saveAgain = false;
+                await writeChanges();
+            } while (saveAgain);
+        } finally {
+            savePromise = null;
+        }
+    })();
+    return savePromise;
+}
+
+async function writeChanges() {
+    const bags = REG.all().filter(isPersistable);
+    const puts = [];
+    const nextSigs = new Map();
+
+    for (const bag of bags) {
+        const sig = signatureOf(bag);
+        nextSigs.set(bag.id, sig);
+        if (!sameSignature(savedSignatures.get(bag.id), sig)) puts.push(bag);
+    }
+    const deletes = Array.from(savedSignatures.keys()).filter(id => !nextSigs.has(id));
+
+    const order = bags.map(b => b.id);
+    const nextId = getNextId();
+    const workspaceSig = JSON.stringify({ order, nextId });
+
+    if (!puts.length && !deletes.length && workspaceSig === savedWorkspaceSig) return;
+
+    notifyStatus({ state: 'saving' });
+    const savedAt = nowISO();
+    try {
+        await idbTransaction([STORES.bags, STORES.workspace], 'readwrite', stores => {
+            for (const bag of puts) stores[STORES.bags].put(REG.serializeBag(bag));
+            for (const id of deletes) stores[STORES.bags].delete(id);
+            stores[STORES.workspace].put({ order, nextId, saved_at: savedAt }, WORKSPACE_KEY);
+        });
+    } catch (err) {
+        console.error('[persistence] Save failed', err);
+        notifyStatus({ state: 'error', error: err?.message || String(err) });
+        return;
+    }
+
+    savedSignatures.clear();
+    for (const [id, sig] of nextSigs) savedSignatures.set(id, sig);
+    savedWorkspaceSig = workspaceSig;
+    notifyStatus({ state: 'saved', savedAt, written: puts.length, deleted: deletes.length });
+}
+
+function scheduleSave() {
+    if (saveTimer) clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        flushSave();
+    }, SAVE_DELAY_MS);
+}
+
+/**
+ * Starts saving automatically on registry changes, periodically, and when the
+ * page is hidden.
+ */
+export function startAutoSave() {
+    if (autoSaveStarted || !isIdbAvailable()) return;
+    autoSaveStarted = true;
+
+    REG.on('change', scheduleSave);
+    setInterval(flushSave, SAFETY_INTERVAL_MS);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushSave();
+    });
+}
+
+/**
+ * Discards the saved workspace and empties the registry.
+ * @returns {Promise<void>}
+ */
+export async function startFresh() {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+    }
+    if (savePromise) await savePromise;
+
+    if (isIdbAvailable()) await idbClear([STORES.bags, STORES.workspace]);
+    savedSignatures.clear();
+    savedWorkspaceSig = null;
+    REG.restore([]);
+    notifyStatus({ state: 'cleared' });
+}
@@ -4,30 +4,48 @@
  * @description
  * Manages the display of bags using HTML details/summary elements.
  * Handles drag-and-drop reordering, inline editing, snapshotting, and lifecycle status updates.
+ * Double-clicking an item in a preview looks it up (see ui/panels/lookup).
  *
  * @module ui/components/bag-list
  * @requires ui/dom
  * @requires domain/models/registry
  * @requires domain/ops/base
+ * @requires domain/models/job
+ * @requires domain/models/job-queue
+ * @requires domain/models/ordering
+ * @requires domain/ops/collate
+ * @requires core/multiset
+ * @requires core/attrs
  * @requires core/text
  * @requires core/utils
  * @requires store/history
- * @exports renderBags, applyChoices, startProgressPoller, setBagStatusMessage
+ * @requires ui/panels/lookup
+ * @exports renderBags, applyChoices, startProgressPoller, setBagStatusMessage, refreshFreshnessBadges
  */
 
 import { REG } from '../../domain/models/registry.js';
 import * as Ops from '../../domain/ops/base.js'; // For op_clone
-import { reapplySeries } from '../../domain/ops/runner.js';
+import { getJobControl } from '../../domain/models/job.js';
+import { JOBS } from '../../domain/models/job-queue.js';
+import { displayItems, describeOrdering } from '../../domain/models/ordering.js';
+import { previewSort } from '../../domain/ops/collate.js';
+import { reapplySeries, reapplyDownstream, computeFreshness } from '../../domain/ops/runner.js';
 import { el, log, appendOpLog, setSelectOptions } from '../dom.js';
 import { nowISO } from '../../core/utils.js';
 import { captureState } from '../../store/history.js';
 import { normNFKC } from '../../core/text.js';
+import { formatCounted, parseCountedLines } from '../../core/multiset.js';
+import { formatRecord } from '../../core/attrs.js';
+import { openLookup } from '../panels/lookup.js';
 
 let dragSourceId = null;
 
 // Progress Poller State
 let progressPoller = null;
 let lastProcessingIds = new Set();
+// Recent (time, done) samples per processing bag, for rate and ETA.
+const RATE_WINDOW_MS = 5000;
+const progressSamples = new Map();
 
 export function startProgressPoller() {
     // Subscribe to Registry changes for reliable updates
@@ -50,20 +68,74 @@ export function startProgressPoller() {
 
         if (needsRender) renderBags();
         lastProcessingIds = processingIds;
+        for (const id of progressSamples.keys()) {
+            if (!processingIds.has(id)) progressSamples.delete(id);
+        }
 
         if (processingBags.length === 0) return;
 
         processingBags.forEach(b => {
+            recordProgressSample(b);
             const card = document.querySelector(`.bag-card[data-id="${b.id}"]`);
             if (!card) return;
             const titleSize = card.querySelector('.bag-title-size');
             if (titleSize) titleSize.textContent = `(${b.items.size}) ⏳`;
-            const statusEl = card.querySelector('.bag-status-text');
-            if (statusEl) statusEl.textContent = `Processing... ${b.items.size} items`;
+            updateProgressView(card, b);
         });
     }, 200);
 }
 
+function recordProgressSample(bag) {
+    const now = Date.now();
+    const samples = progressSamples.get(bag.id) || [];
+    const last = samples[samples.length - 1];
+    // A lower count means the job restarted (e.g. retry): start over.
+    if (last && bag.progress.current < last.done) samples.length = 0;
+    samples.push({ t: now, done: bag.progress.current });
+    while (samples.length > 2 && now - samples[0].t > RATE_WINDOW_MS) samples.shift();
+    progressSamples.set(bag.id, samples);
+}
+
+/**
+ * Input items per second over the recent window (null until measurable).
+ * @param {number} bagId
+ * @returns {number|null}
+ */
+function progressRate(bagId) {
+    const samples = progressSamples.get(bagId);
+    if (!samples || samples.length < 2) return null;
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const dt = (last.t - first.t) / 1000;
+    if (dt <= 0) return null;
+    return (last.done - first.done) / dt;
+}
+
+function formatEta(seconds) {
+    if (!Number.isFinite(seconds)) return '—';
+    const s = Math.ceil(seconds);
+    if (s < 60) return `${s}s`;
+    const m = Math.floor(s / 60);
+    if (m < 60) return `${m}m${String(s % 60).padStart(2, '0')}s`;
+    return `${Math.floor(m / 60)}h${String(m % 60).padStart(2, '0')}m`;
+}
+
+function progressPercent(bag) {
+    const { current, total } = bag.progress;
+    if (!total) return null;
+    return Math.min(100, (current / total) * 100);
+}
+
+function updateProgressView(card, bag) {
+    const fill = card.querySelector('.progress-fill');
+    if (fill) {
+        const pct = progressPercent(bag);
+        fill.style.width = pct === null ? '0%' : `${pct.toFixed(1)}%`;
+    }
+    const statusEl = card.querySelector('.bag-status-text');
+    if (statusEl) statusEl.textContent = describeProgress(bag);
+}
+
 export function setBagStatusMessage(bagId, message) {
     const card = document.querySelector(`.bag-card[data-id="${bagId}"]`);
     if (!card) return;
@@ -74,8 +146,111 @@ export function setBagStatusMessage(bagId, message) {
     }
 }
 
+// Kana conversion backends (meta.backend, see domain/ops/normalize).
+const BACKEND_TITLES = {
+    kuroshiro: 'Kuroshiro (形態素解析) で変換しました',
+    wanakana: 'Kuroshiro を読み込めなかったため wanakana で簡易変換しました。漢字は読みに変換されていません',
+    'kana-shift': '変換ライブラリを読み込めなかったため、カタカナ⇔ひらがなの置換のみ行いました',
+    none: '読みを取得できなかったため、表記のまま並べました'
+};
+
+function backendBadge(bag) {
+    const backend = bag.meta.backend;
+    if (!backend) return '';
+    const counts = bag.meta.backend_counts;
+    const degraded = backend !== 'kuroshiro' || counts?.fallback > 0;
+    let title = BACKEND_TITLES[backend] || '';
+    if (counts) {
+        title += `\n件数: ${Object.entries(counts).map(([k, v]) => `${k} ${v}`).join(' / ')}`;
+    }
+    return `<span class="badge${degraded ? ' fallback' : ''}" title="${title}">${backend}</span>`;
+}
+
+// Preview order of unordered bags (setting #selPreviewCollation); counted
+// bags list the most frequent first.
+function previewItems(bag) {
+    if (bag.counts) {
+        const byCount = items => items.sort((a, c) => bag.counts.get(c) - bag.counts.get(a) || a.localeCompare(c, 'ja'));
+        return displayItems(bag, byCount);
+    }
+    const scheme = el('#selPreviewCollation')?.value;
+    return displayItems(bag, scheme && scheme !== 'locale' ? items => previewSort(items, scheme) : null);
+}
+
+// Preview lines: "item<TAB>count" for counted bags, as in the TXT export;
+// with `withAttrs`, the item's attributes follow after a tab.
+function previewLines(bag, items, withAttrs = false) {
+    const lines = bag.counts ? items.map(w => formatCounted(w, bag.countOf(w))) : items;
+    if (!withAttrs || !bag.attrs) return lines;
+    return lines.map((line, i) => {
+        const attrs = formatRecord(bag.attrOf(items[i]));
+        return attrs ? `${line}\t${attrs}` : line;
+    });
+}
+
+function orderingBadge(bag) {
+    const label = describeOrdering(bag.meta.ordering);
+    if (!label) return '';
+    return `<span class="badge" title="この Bag は並び順を持ちます。プレビュー・書き出し・下流の操作はこの順序を保ちます">${label}</span>`;
+}
+
+function renderFreshBadge(host, fresh) {
+    if (!host) return;
+    if (fresh === 'fresh') {
+        host.className = 'badge fresh';
+        host.textContent = 'up to date';
+        host.title = '入力と条件が前回の計算時から変わっていません';
+    } else if (fresh === 'stale') {
+        host.className = 'badge stale';
+        host.textContent = 'stale';
+        host.title = '入力または上流が変更されています。再適用で更新できます';
+    } else {
+        host.className = '';
+        host.textContent = '';
+        host.title = '';
+    }
+}
+
+/**
+ * Recomputes up to date / stale badges in place (without rebuilding the cards).
+ */
+export function refreshFreshnessBadges() {
+    const freshness = computeFreshness();
+    document.querySelectorAll('.bag-card').forEach(card => {
+        const id = Number(card.dataset.id);
+        const bag = REG.get(id);
+        const processing = bag?.status === 'processing';
+        renderFreshBadge(card.querySelector('[data-k="fresh"]'), processing ? null : freshness.get(id));
+    });
+}
+
+function describeProgress(bag) {
+    const control = getJobControl(bag.id);
+    const { current, total } = bag.progress;
+    const counts = total ? `${current.toLocaleString()} / ${total.toLocaleString()}` : `${current.toLocaleString()}`;
+    if (control?.cancelled) return `Cancelling... ${bag.items.size} items`;
+    if (control?.paused) return `Paused at ${counts} (${bag.items.size} items)`;
+    const job = JOBS.forBag(bag.id);
+    if (job?.state === 'queued') {
+        const pos = JOBS.queued().indexOf(job) + 1;
+        return `Queued (${pos}/${JOBS.queued().length})`;
+    }
+    if (!total) return `Processing... ${bag.items.size} items`;
+
+    const pct = progressPercent(bag);
+    const rate = progressRate(bag.id);
+    const parts = [`${pct.toFixed(1)}% (${counts})`];
+    if (rate !== null) {
+        parts.push(`${Math.round(rate).toLocaleString()}/s`);
+        parts.push(`ETA ${rate > 0 ? formatEta((total - current) / rate) : '—'}`);
+    }
+    parts.push(`→ ${bag.items.size.toLocaleString()} items`);
+    return parts.join(' · ');
+}
+
 function describeBagLifecycle(bag) {
     if (bag?.status === 'error') return `⚠ Error`;
+    if (bag?.status === 'cancelled') return `⏹ Cancelled ${bag.meta.cancelled_at || ''}`.trim();
     if (bag?.meta?.reapply_status) return bag.meta.reapply_status;
     if (bag?.meta?.reapplied_at) return `↻ ${bag.meta.reapplied_at}`;
     if (bag?.meta?.updated_at) return `✎ ${bag.meta.updated_at}`;
@@ -88,7 +263,7 @@ export function applyChoices() {
     const ids = [
         '#selSrcNorm', '#selSrcTransform', '#selSrcDel', '#selSrcFlt', '#selLkpFlt',
         '#selSrcUnionA', '#selSrcUnionB', '#selSrcLen', '#selSrcAffix', '#selSrcContains',
-        '#selSrcRegex', '#selSrcFormat', '#selSrcNgram', '#selSrcSample', '#selExport',
+        '#selSrcRegex', '#selSrcFormat', '#selSrcClean', '#selSrcRewrite', '#selMapBag', '#selSrcNgram', '#selSrcFreq', '#selSrcAttr', '#selSrcPos', '#selSrcSyn', '#selSynLookup', '#selSrcSample', '#selExport',
         '#selSrcCartesianA', '#selSrcCartesianB', '#selSrcAppend', '#selSrcAnagram', '#selSrcSimilarity'
     ];
     ids.forEach(id => setSelectOptions(el(id), choices));
@@ -100,25 +275,31 @@ export function renderBags() {
     dragSourceId = null;
     host.innerHTML = '';
 
+    const freshness = computeFreshness();
+
     for (const b of REG.all()) {
         const isProcessing = b.status === 'processing';
         const isError = b.status === 'error';
+        const isCancelled = b.status === 'cancelled';
 
         const details = document.createElement('details');
-        details.className = `bag-card ${isProcessing ? 'processing' : ''} ${isError ? 'error' : ''}`;
+        details.className = `bag-card ${isProcessing ? 'processing' : ''} ${isError ? 'error' : ''} ${isCancelled ? 'cancelled' : ''}`;
         details.dataset.id = b.id;
         details.draggable = !isProcessing;
 
         const sum = document.createElement('summary');
         sum.innerHTML = `
-            <div class="bag-title">[${b.id}] ${b.name}</div>
-            <div class="muted small bag-title-size">size=${b.items.size} | op=${b.meta.op || 'root'} ${isProcessing ? ' ⏳' : ''}</div>
+            <div class="bag-title">[${b.id}] ${b.name} ${isCancelled ? '<span class="badge cancelled" title="途中で中止されました。途中までの結果を保持しています">cancelled</span>' : ''} ${backendBadge(b)} ${orderingBadge(b)} <span data-k="fresh"></span></div>
+            <div class="muted small bag-title-size">size=${b.items.size}${b.counts ? ` | total=${b.meta.total}` : ''}${b.attrs ? ` | attrs=${b.attrs.size}` : ''} | op=${b.meta.op || 'root'} ${isProcessing ? ' ⏳' : ''}</div>
         `;
         details.appendChild(sum);
+        renderFreshBadge(sum.querySelector('[data-k="fresh"]'), isProcessing ? null : freshness.get(b.id));
 
         const meta = document.createElement('div');
         meta.className = 'bag-meta';
-        meta.textContent = Object.entries(b.meta).map(([k, v]) => `${k}: ${v}`).join('\n');
+        meta.textContent = Object.entries(b.meta)
+            .map(([k, v]) => `${k}: ${v !== null && typeof v === 'object' ? JSON.stringify(v) : v}`)
+            .join('\n');
         details.appendChild(meta);
 
         if (isProcessing) {
@@ -126,7 +307,11 @@ export function renderBags() {
             prog.className = 'bag-progress';
             prog.style.padding = '8px';
             prog.style.background = '#f0f0f0';
-            prog.innerHTML = `<div class="bag-status-text" style="font-size:0.8em; color:#666;">Processing... ${b.items.size} items</div>`;
+            const pct = progressPercent(b);
+            prog.innerHTML = `
+                <div class="progress-track"><div class="progress-fill" style="width:${pct === null ? 0 : pct.toFixed(1)}%"></div></div>
+                <div class="bag-status-text" style="font-size:0.8em; color:#666;">${describeProgress(b)}</div>
+            `;
             details.appendChild(prog);
         }
 
@@ -145,6 +330,8 @@ export function renderBags() {
             bar.innerHTML = `
                <span class="muted small badge">Preview (Partial)</span>
                <button class="btn accent" data-k="snapshot">📷 スナップショット(コピー)</button>
+               <button class="btn ghost" data-k="pause" title="処理を一時停止 / 再開します">${getJobControl(b.id)?.paused ? '▶ 再開' : '⏸ 一時停止'}</button>
+               <button class="btn warn" data-k="cancel" title="処理を中止します。途中までの結果は残ります">⏹ 中止</button>
              `;
         } else {
             bar.innerHTML = `
@@ -152,6 +339,7 @@ export function renderBags() {
               <label class="muted small">offset <input class="input tight" type="number" min="0" value="0" data-k="off"></label>
               <label class="muted small">limit <input class="input tight" type="number" min="1" value="200" data-k="lim"></label>
               <label class="muted small"><input type="checkbox" data-k="all"> 全表示</label>
+              ${b.attrs ? '<label class="muted small" title="品詞・語義・読みを語の後ろに表示します"><input type="checkbox" data-k="attrs" checked> 属性</label>' : ''}
               <button class="btn ghost" data-k="copy">クリップボード</button>
               <button class="btn" data-k="edit">編集モード</button>
               <button class="btn ok" data-k="apply" disabled>編集を適用</button>
@@ -170,6 +358,7 @@ export function renderBags() {
             const offEl = bar.querySelector('input[data-k="off"]');
             const limEl = bar.querySelector('input[data-k="lim"]');
             const allEl = bar.querySelector('input[data-k="all"]');
+            const attrsEl = bar.querySelector('input[data-k="attrs"]');
             const copyBtn = bar.querySelector('[data-k="copy"]');
             const editBtn = bar.querySelector('[data-k="edit"]');
             const applyBtn = bar.querySelector('[data-k="apply"]');
@@ -177,7 +366,7 @@ export function renderBags() {
             const copyOriginalLabel = copyBtn?.textContent || '';
 
             function renderRange() {
-                const items = Array.from(b.items).sort((a, c) => a.localeCompare(c, 'ja'));
+                const items = previewItems(b);
                 cntEl.textContent = `total=${items.length}`;
                 let off = Math.max(0, parseInt(offEl.value || 0, 10));
                 let lim = Math.max(1, parseInt(limEl.value || 200, 10));
@@ -185,11 +374,19 @@ export function renderBags() {
                     off = 0;
                     lim = items.length;
                 }
-                ta.value = items.slice(off, off + lim).join('\n');
+                ta.value = previewLines(b, items.slice(off, off + lim), !!attrsEl?.checked).join('\n');
             }
             offEl.addEventListener('input', renderRange);
             limEl.addEventListener('input', renderRange);
             allEl.addEventListener('change', renderRange);
+            attrsEl?.addEventListener('change', renderRange);
+            ta.addEventListener('dblclick', () => {
+                if (!ta.readOnly) return;
+                // The line under the caret, without its count / attributes.
+                const line = ta.value.slice(0, ta.selectionStart).split('\n').length - 1;
+                const item = (ta.value.split('\n')[line] || '').split('\t')[0];
+                if (item) openLookup(item);
+            });
             copyBtn.addEventListener('click', async () => {
                 try {
                     await navigator.clipboard.writeText(ta.value);
@@ -205,15 +402,19 @@ export function renderBags() {
                 editBtn.textContent = editing ? '編集中…' : '編集モード';
                 applyBtn.disabled = !editing;
                 if (editing) {
-                    ta.value = Array.from(b.items).sort((a, c) => a.localeCompare(c, 'ja')).join('\n');
+                    // Edited without attributes; kept items keep theirs (see Bag.setItems).
+                    ta.value = previewLines(b, previewItems(b)).join('\n');
                 } else {
                     renderRange();
                 }
             });
             applyBtn.addEventListener('click', () => {
-                const lines = ta.value.split(/\r?\n/).map(normNFKC).filter(Boolean);
-                b.items = new Set(Array.from(new Set(lines)));
-                b.meta.size = b.items.size;
+                const rawLines = ta.value.split(/\r?\n/);
+                // A counted bag reads back "item<TAB>count" lines.
+                const lines = b.counts ? parseCountedLines(rawLines, normNFKC) : rawLines.map(normNFKC).filter(Boolean);
+                // An ordered bag keeps the edited order.
+                if (b.meta.ordering) b.meta.ordering = { mode: 'manual' };
+                b.setItems(lines);
                 b.meta.op = 'manual_edit';
                 b.meta.updated_at = nowISO();
                 delete b.meta.reapply_status;
@@ -224,6 +425,7 @@ export function renderBags() {
                 editBtn.textContent = '編集モード';
                 renderRange();
                 applyChoices();
+                refreshFreshnessBadges();
                 captureState();
                 appendOpLog(`edit → Bag [${b.id}] size=${b.items.size}`);
             });
@@ -241,6 +443,36 @@ export function renderBags() {
                 appendOpLog(`📷 Snapshot taken of [${b.id}]`);
             });
 
+            const pauseBtn = bar.querySelector('[data-k="pause"]');
+            const cancelBtn = bar.querySelector('[data-k="cancel"]');
+            const control = getJobControl(b.id);
+            if (!control) {
+                pauseBtn.disabled = true;
+                cancelBtn.disabled = true;
+            }
+            pauseBtn.addEventListener('click', () => {
+                const job = getJobControl(b.id);
+                if (!job) return;
+                if (job.paused) {
+                    job.resume();
+                    appendOpLog(`▶ Resume [${b.id}]`);
+                } else {
+                    job.pause();
+                    appendOpLog(`⏸ Pause [${b.id}]`);
+                }
+                pauseBtn.textContent = job.paused ? '▶ 再開' : '⏸ 一時停止';
+                const statusEl = details.querySelector('.bag-status-text');
+                if (statusEl) statusEl.textContent = describeProgress(b);
+            });
+            cancelBtn.addEventListener('click', () => {
+                const job = getJobControl(b.id);
+                if (!job) return;
+                job.cancel();
+                pauseBtn.disabled = true;
+                cancelBtn.disabled = true;
+                appendOpLog(`⏹ Cancel [${b.id}] (${b.items.size} items so far)`);
+            });
+
             // Efficient preview generation
             const previewLines = [];
             let pCount = 0;
@@ -254,7 +486,8 @@ export function renderBags() {
         const actions = document.createElement('div');
         actions.className = 'bag-actions';
         actions.innerHTML = `
-            <button class="btn ghost" data-k="reapply" ${isProcessing ? 'disabled' : ''}>再適用</button>
+            <button class="btn ghost" data-k="reapply" title="この Bag と上流 (入力元) を依存順に再計算します" ${isProcessing ? 'disabled' : ''}>再適用</button>
+            <button class="btn ghost" data-k="reapply-down" title="この Bag を入力とする下流の Bag を再計算します" ${isProcessing ? 'disabled' : ''}>下流を再適用</button>
             <button class="btn ghost" data-k="duplicate" ${isProcessing ? 'disabled' : ''}>複製</button>
             <button class="btn warn" data-k="remove" ${isProcessing ? 'disabled' : ''}>削除</button>
             <span class="muted small status" data-k="status"></span>
@@ -286,6 +519,23 @@ export function renderBags() {
                 }
             });
 
+            const reapplyDownBtn = actions.querySelector('[data-k="reapply-down"]');
+            reapplyDownBtn.addEventListener('click', async () => {
+                reapplyDownBtn.disabled = true;
+                try {
+                    await reapplyDownstream(b.id, {
+                        onStatus: setBagStatusMessage,
+                        onUpdate: () => {
+                            renderBags();
+                            applyChoices();
+                            captureState();
+                        }
+                    });
+                } finally {
+                    reapplyDownBtn.disabled = false;
+                }
+            });
+
             const duplicateBtn = actions.querySelector('[data-k="duplicate"]');
             duplicateBtn.addEventListener('click', () => {
                 const clone = REG.clone(b.id);
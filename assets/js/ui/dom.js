@@ -8,7 +8,7 @@
  *
  * @module ui/dom
  * @requires core/utils
- * @exports el, log, appendOpLog, waitFrame, getBatchSize, setSelectOptions
+ * @exports el, log, appendOpLog, waitFrame, getBatchSize, setSelectOptions, escapeHtml
  */
 
 import { nowISO } from '../core/utils.js';
@@ -99,3 +99,12 @@ export function setSelectOptions(sel, opts) {
         sel.value = v && opts.some(o => o.value === v) ? v : opts[opts.length - 1].value;
     }
 }
+
+/**
+ * Escapes text for use in innerHTML markup and attribute values.
+ * @param {*} s
+ * @returns {string}
+ */
+export function escapeHtml(s) {
+    return String(s ?? '').replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+}
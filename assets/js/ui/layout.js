@@ -4,6 +4,7 @@
  * @description
  * 
  * @module ui/layout
+ * @exports initTabs, showTab
  */
 
 /**
@@ -21,3 +22,11 @@ export function initTabs() {
         });
     });
 }
+
+/**
+ * Switches to a tab, as if its button was clicked.
+ * @param {string} name data-tab of the button
+ */
+export function showTab(name) {
+    document.querySelector(`.tab-button[data-tab="${name}"]`)?.click();
+}
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Apply-all Logic.
+ * @summary Recomputes the whole workspace and shows a summary report.
+ * @description
+ * Wires `#btnApplyAll`: every bag is recomputed in dependency order
+ * (domain/ops/runner reapplySeries), either stopping at the first error or
+ * continuing with the bags that do not depend on a failed one. Bags still
+ * being computed by a job are left out (処理中), with their descendants. The report
+ * lists each bag's result, added / removed counts, duration and error, and
+ * links to the bag's card. It stays until dismissed or replaced by the next run.
+ *
+ * @module ui/panels/apply-all
+ * @requires ui/dom
+ * @requires ui/components/bag-list
+ * @requires store/history
+ * @requires domain/ops/runner
+ * @exports initApplyAllPanel
+ */
+
+import { el, log, escapeHtml } from '../dom.js';
+import { renderBags, applyChoices, setBagStatusMessage } from '../components/bag-list.js';
+import { captureState } from '../../store/history.js';
+import { reapplySeries } from '../../domain/ops/runner.js';
+
+const RESULT_LABELS = {
+    updated: '更新',
+    'no-change': '変化なし',
+    'up-to-date': '最新（省略）',
+    skipped: '対象外',
+    busy: '処理中',
+    error: 'エラー',
+    blocked: '上流エラー',
+    cycle: '循環',
+    'not-run': '未実行'
+};
+
+function formatMs(ms) {
+    if (ms === null || ms === undefined) return '-';
+    return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function jumpToBag(id) {
+    const card = document.querySelector(`.bag-card[data-id="${id}"]`);
+    if (!card) return log(`Bag ${id} は見つかりません`);
+    card.open = true;
+    card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    card.classList.add('flash');
+    setTimeout(() => card.classList.remove('flash'), 1500);
+}
+
+function renderReport(report) {
+    const host = el('#applyReport');
+    if (!host) return;
+
+    const counts = {};
+    for (const r of report.rows) counts[r.result] = (counts[r.result] || 0) + 1;
+    const summary = Object.entries(counts).map(([k, n]) => `${RESULT_LABELS[k] || k} ${n}`).join(' / ');
+
+    host.innerHTML = `
+        <div class="apply-report-header">
+            <strong>再適用レポート</strong>
+            <span class="muted small">${report.rows.length} bags, ${formatMs(report.ms)}${report.stopped ? '（エラーで中断）' : ''} — ${summary}</span>
+            <button class="btn ghost tight" data-k="dismiss" title="レポートを閉じる">×</button>
+        </div>
+    `;
+
+    const table = document.createElement('table');
+    table.className = 'job-table small';
+    table.innerHTML = `
+        <thead><tr>
+            <th>Bag</th><th>結果</th><th>追加</th><th>削除</th><th>時間</th><th>エラー</th>
+        </tr></thead>
+    `;
+    const tbody = document.createElement('tbody');
+    for (const r of report.rows) {
+        const tr = document.createElement('tr');
+        tr.className = `report-row ${r.result}`;
+        tr.innerHTML = `
+            <td title="${escapeHtml(r.name)}"><a href="#" data-id="${r.id}">[${r.id}] ${escapeHtml(r.name)}</a></td>
+            <td>${RESULT_LABELS[r.result] || r.result}</td>
+            <td class="mono">${r.added ? `+${r.added}` : '-'}</td>
+            <td class="mono">${r.removed ? `-${r.removed}` : '-'}</td>
+            <td class="mono">${formatMs(r.ms)}</td>
+            <td title="${escapeHtml(r.error || '')}">${escapeHtml(r.error || '')}</td>
+        `;
+        tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+    host.appendChild(table);
+
+    table.addEventListener('click', (e) => {
+        const link = e.target.closest('a[data-id]');
+        if (!link) return;
+        e.preventDefault();
+        jumpToBag(link.dataset.id);
+    });
+    host.querySelector('[data-k="dismiss"]').addEventListener('click', () => {
+        host.innerHTML = '';
+        host.hidden = true;
+    });
+    host.hidden = false;
+}
+
+export function initApplyAllPanel() {
+    const btn = el('#btnApplyAll');
+    if (!btn) return;
+    btn.addEventListener('click', async () => {
+        btn.disabled = true;
+        try {
+            const report = await reapplySeries(null, {
+                continueOnError: !!el('#ckApplyAllContinue')?.checked,
+                force: !!el('#ckApplyAllForce')?.checked,
+                onStatus: setBagStatusMessage,
+                onUpdate: () => {
+                    renderBags();
+                    applyChoices();
+                    captureState();
+                }
+            });
+            renderReport(report);
+        } catch (e) {
+            log('Apply all failed: ' + e.message);
+        } finally {
+            btn.disabled = false;
+        }
+    });
+}
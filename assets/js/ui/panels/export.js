@@ -1,19 +1,24 @@
 /**
  * @fileoverview Export Panel Logic.
- * @summary Handles export actions (JSON/CSV/TXT).
+ * @summary Handles export actions (JSON/CSV/TXT, project file).
  * @description
- * Wires up export buttons to the file loader's export functionality.
+ * Wires up export buttons to the file loader's export functionality, and the
+ * project export button to the project file builder.
  *
  * @module ui/panels/export
  * @requires ui/dom
  * @requires domain/models/registry
  * @requires infra/file-loader
+ * @requires infra/project-file
+ * @requires store/history
  * @exports initExportPanel
  */
 
-import { el, log } from '../dom.js';
+import { el, log, appendOpLog } from '../dom.js';
 import { REG } from '../../domain/models/registry.js';
 import { exportBagData } from '../../infra/file-loader.js';
+import { buildProject, downloadProject } from '../../infra/project-file.js';
+import { getHistoryState } from '../../store/history.js';
 
 export function initExportPanel() {
     document.querySelectorAll('.export-actions button').forEach(btn => {
@@ -26,4 +31,16 @@ export function initExportPanel() {
             exportBagData(bag, btn.dataset.format);
         });
     });
+
+    el('#btnExportProject')?.addEventListener('click', () => {
+        const snapshot = REG.serialize();
+        const pending = REG.all().filter(b => b.status === 'processing');
+        if (pending.length) {
+            log(`処理中の Bag (${pending.map(b => b.id).join(', ')}) は途中の内容で書き出されます`);
+        }
+        const project = buildProject(snapshot, getHistoryState());
+        const baseName = el('#projectName')?.value.trim() || 'workspace';
+        downloadProject(project, baseName);
+        appendOpLog(`⇩ Project export (${snapshot.bags.length} bags)`);
+    });
 }
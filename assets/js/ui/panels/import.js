@@ -2,39 +2,120 @@
  * @fileoverview Import Panel Logic.
  * @summary Handles user interactions in the Import tab.
  * @description
- * Wires up file selection, upload, and text paste events to create new Bags.
+ * Wires up file selection, upload, and text paste events to create new Bags,
+ * and imports whole project files (.wordserial) by replacing or merging.
+ * JSON files (from the server or uploaded) are read in a worker and stream
+ * into a bag in 'processing' state (see domain/ops/imports), so large data
+ * files do not freeze the page and the import can be paused or cancelled.
+ * With "出現回数を数える" (#ckImportCounts), repeats are counted into a counted
+ * bag (see domain/models/bag); a JSON export of a counted bag always keeps its counts.
+ * With "属性を保持" (#ckImportAttrs), a JSON bag keeps each word's id, POS and
+ * glosses as attribute records (see core/attrs).
+ * The catalog browser lists the data files with their manifest metadata
+ * (see infra/catalog): search, a preview of the first lemmas, checksum
+ * checks, and loading several files at once, each into its own bag or all
+ * into one bag whose items record every POS they are listed under (for the
+ * POS filter). Loading LARGE_FILE_ENTRIES entries or more asks first.
  *
  * @module ui/panels/import
  * @requires ui/dom
  * @requires infra/file-loader
+ * @requires infra/catalog
  * @requires domain/models/bag
  * @requires domain/models/registry
+ * @requires domain/ops/imports
  * @requires ui/components/bag-list
  * @requires store/history
+ * @requires infra/project-file
  * @requires core/text
+ * @requires core/multiset
  * @exports initImportPanel
  */
 
 import { el, log, appendOpLog, setSelectOptions } from '../dom.js';
-import { listJsonFiles, fetchJson, parseBagData } from '../../infra/file-loader.js';
-import { Bag } from '../../domain/models/bag.js';
+import { bagFileUrl } from '../../infra/file-loader.js';
+import { LARGE_FILE_ENTRIES, loadCatalog, previewLemmas, verifyChecksum } from '../../infra/catalog.js';
+import { Bag, getNextId } from '../../domain/models/bag.js';
 import { REG } from '../../domain/models/registry.js';
+import { op_import_json } from '../../domain/ops/imports.js';
 import { renderBags, applyChoices } from '../components/bag-list.js';
-import { captureState } from '../../store/history.js';
+import { captureState, resetHistory } from '../../store/history.js';
+import { parseProjectText, prepareProjectBags } from '../../infra/project-file.js';
 import { normNFKC } from '../../core/text.js';
+import { countItems, parseCountedLines } from '../../core/multiset.js';
 
+function reportImport(lines) {
+    const logEl = el('#importLog');
+    if (!logEl) return;
+    logEl.textContent = lines.join('\n');
+}
+
+function countingImport() {
+    return !!el('#ckImportCounts')?.checked;
+}
+
+function keepingAttrs() {
+    return !!el('#ckImportAttrs')?.checked;
+}
+
+/**
+ * @param {string} name
+ * @param {string[]|Map<string, number>} words Words (repeats allowed), or counts
+ * @param {object} meta
+ */
 function addBagFromWords(name, words, meta) {
+    let items;
+    if (words instanceof Map) items = words;
+    else if (countingImport()) items = countItems(words, { clean: normNFKC });
     // uniq usage in original loader.js: const b = new Bag(..., uniq(words...))
-    const uniqueWords = Array.from(new Set(words.map(normNFKC).filter(Boolean)));
-    const b = new Bag(name, uniqueWords, meta || {});
+    else items = Array.from(new Set(words.map(normNFKC).filter(Boolean)));
+    const b = new Bag(name, items, meta || {});
     REG.add(b);
     applyChoices();
     renderBags();
     captureState();
-    appendOpLog(`+ Bag [${b.id}] '${b.name}' size=${b.items.size}`);
+    appendOpLog(`+ Bag [${b.id}] '${b.name}' size=${b.items.size}${b.counts ? ` total=${b.meta.total}` : ''}${b.attrs ? ` attrs=${b.attrs.size}` : ''}`);
     return b;
 }
 
+function entryLabel(entry) {
+    const pos = entry.pos ? `[${entry.pos}] ` : '';
+    const count = Number.isFinite(entry.entries) ? ` (${entry.entries.toLocaleString()} 件)` : '';
+    return `${pos}${entry.source || entry.file}${count}`;
+}
+
+// Asks before loading LARGE_FILE_ENTRIES entries or more.
+function confirmSize(chosen) {
+    const total = chosen.reduce((n, c) => n + (c.entries || 0), 0);
+    if (total < LARGE_FILE_ENTRIES) return true;
+    return window.confirm(`${total.toLocaleString()} 件の項目を読み込みます。読み込みはバックグラウンドで進み、途中で停止できます。続けますか？`);
+}
+
+/**
+ * Starts a streaming JSON import (see domain/ops/imports); the bag fills as the files are read.
+ * @param {string} name
+ * @param {Array<{source: (string|Blob), pos?: string, bytes?: number}>} sources
+ * @param {object} meta
+ * @param {'all'|'pos'|null} attrs
+ */
+async function streamImport(name, sources, meta, attrs) {
+    const b = await op_import_json(name, sources, { meta, counting: countingImport(), attrs });
+    applyChoices();
+    renderBags();
+    captureState();
+    appendOpLog(`+ Bag [${b.id}] '${b.name}' (streaming ${sources.length} file${sources.length > 1 ? 's' : ''})`);
+    return b;
+}
+
+async function loadJsonFile(f) {
+    const entry = catalog.find(c => c.file === f);
+    await streamImport(f.replace(/\.json$/i, ''), [{ source: bagFileUrl(f), bytes: entry?.bytes }], {
+        from: 'json',
+        format: 'lemmas'
+    }, keepingAttrs() ? 'all' : null);
+    log(`読み込み開始: ${f}`);
+}
+
 async function loadSelectedJson() {
     const sel = el('#selFile');
     const f = sel && sel.value;
@@ -42,28 +123,210 @@ async function loadSelectedJson() {
         log('ファイル未選択');
         return;
     }
+    if (!confirmSize(catalog.filter(c => c.file === f))) return;
     try {
-        const data = await fetchJson(f);
-        addBagFromWords(f.replace(/\.json$/i, ''), data.words, {
-            from: 'json',
-            format: 'lemmas'
-        });
-        log(`読み込み OK: ${f} | 語数=${data.words.length}`);
+        await loadJsonFile(f);
     } catch (e) {
         log('読み込み失敗: ' + e.message);
     }
 }
 
+/**
+ * Loads several files into one bag. Items keep the POS of every file they
+ * come from (the entry's, else the catalog's); with "属性を保持", the
+ * entries' other attributes too.
+ * @param {Array<{file: string, pos?: string}>} chosen Catalog entries
+ */
+async function importMergedFiles(chosen) {
+    const labels = chosen.map(c => c.pos || c.file.replace(/\.json$/i, ''));
+    const sources = chosen.map(c => ({ source: bagFileUrl(c.file), pos: c.pos || null, bytes: c.bytes }));
+    await streamImport(`catalog[${labels.join('+')}]`, sources, {
+        from: 'catalog',
+        format: 'lemmas',
+        files: chosen.map(c => c.file),
+        pos: chosen.map(c => c.pos || null)
+    }, keepingAttrs() ? 'all' : 'pos');
+    log(`まとめて読み込み開始: ${labels.join(', ')}`);
+}
+
+/* ====== Catalog browser ====== */
+
+let catalog = [];
+const catalogSelected = new Set();
+
+function catalogMatches(entry, query) {
+    if (!query) return true;
+    return [entry.file, entry.pos, entry.source, entry.license, entry.language, entry.description]
+        .some(v => v && normNFKC(String(v)).toLowerCase().includes(query));
+}
+
+function chosenEntries() {
+    return catalog.filter(c => catalogSelected.has(c.file));
+}
+
+function renderCatalogSummary() {
+    const host = el('#catalogSummary');
+    if (!host) return;
+    const chosen = chosenEntries();
+    const total = chosen.reduce((n, c) => n + (c.entries || 0), 0);
+    host.textContent = chosen.length ? `選択 ${chosen.length} ファイル / ${total.toLocaleString()} 件` : '';
+    host.classList.toggle('warn', total >= LARGE_FILE_ENTRIES);
+    host.title = total >= LARGE_FILE_ENTRIES ? `${LARGE_FILE_ENTRIES.toLocaleString()} 件以上: 読み込みに時間がかかることがあります` : '';
+}
+
+async function previewCatalogFile(entry) {
+    const out = el('#catalogPreview');
+    if (!out) return;
+    const n = Math.max(1, parseInt(el('#catalogPreviewN')?.value, 10) || 20);
+    out.textContent = `${entry.file}: 読み込み中…`;
+    try {
+        const lemmas = await previewLemmas(entry.file, n);
+        out.textContent = `${entry.file}（先頭 ${lemmas.length} 語）\n${lemmas.join('\n')}`;
+    } catch (e) {
+        out.textContent = `${entry.file}: 読み込み失敗 ${e.message}`;
+    }
+}
+
+async function verifyCatalogFile(entry, btn) {
+    btn.disabled = true;
+    try {
+        const ok = await verifyChecksum(entry);
+        btn.textContent = ok ? '一致' : '不一致';
+        btn.title = ok ? 'チェックサムが一致しました' : 'ファイルがマニフェストのチェックサムと一致しません';
+        if (!ok) log(`チェックサム不一致: ${entry.file}`);
+    } catch (e) {
+        btn.textContent = '失敗';
+        log('検証失敗: ' + e.message);
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+function catalogRow(entry) {
+    const tr = document.createElement('tr');
+    tr.title = [entry.description, entry.checksum].filter(Boolean).join('\n');
+    const cell = (text) => {
+        const td = document.createElement('td');
+        td.textContent = text ?? '';
+        tr.appendChild(td);
+        return td;
+    };
+
+    const ck = document.createElement('input');
+    ck.type = 'checkbox';
+    ck.checked = catalogSelected.has(entry.file);
+    ck.addEventListener('change', () => {
+        if (ck.checked) catalogSelected.add(entry.file);
+        else catalogSelected.delete(entry.file);
+        renderCatalogSummary();
+    });
+    cell('').appendChild(ck);
+    cell(entry.file);
+    cell(entry.pos);
+    const count = cell(Number.isFinite(entry.entries) ? entry.entries.toLocaleString() : '');
+    if (entry.entries >= LARGE_FILE_ENTRIES) count.className = 'warn';
+    cell(entry.source);
+    cell(entry.license);
+    cell(entry.language);
+
+    const actions = cell('');
+    actions.className = 'job-actions';
+    const preview = document.createElement('button');
+    preview.className = 'btn ghost';
+    preview.textContent = 'プレビュー';
+    preview.title = '先頭の語だけを表示します（Bag は作りません）';
+    preview.addEventListener('click', () => previewCatalogFile(entry));
+    actions.appendChild(preview);
+    if (entry.checksum) {
+        const verify = document.createElement('button');
+        verify.className = 'btn ghost';
+        verify.textContent = '検証';
+        verify.title = 'ファイルをマニフェストのチェックサムと照合します';
+        verify.addEventListener('click', () => verifyCatalogFile(entry, verify));
+        actions.appendChild(verify);
+    }
+    return tr;
+}
+
+function renderCatalog() {
+    const host = el('#catalogList');
+    if (!host) return;
+    const query = normNFKC(el('#catalogSearch')?.value || '').toLowerCase();
+    const rows = catalog.filter(c => catalogMatches(c, query));
+    const table = document.createElement('table');
+    table.className = 'job-table';
+    table.innerHTML = '<thead><tr><th></th><th>ファイル</th><th>品詞</th><th>件数</th><th>出典</th><th>ライセンス</th><th>言語</th><th></th></tr></thead>';
+    const body = document.createElement('tbody');
+    body.append(...rows.map(catalogRow));
+    table.appendChild(body);
+    host.replaceChildren(table);
+    renderCatalogSummary();
+}
+
+async function loadCatalogSelection(merge) {
+    const chosen = chosenEntries();
+    if (!chosen.length) {
+        log('カタログ: ファイル未選択');
+        return;
+    }
+    if (!confirmSize(chosen)) return;
+    try {
+        if (merge) {
+            await importMergedFiles(chosen);
+        } else {
+            for (const c of chosen) await loadJsonFile(c.file);
+        }
+    } catch (e) {
+        log('読み込み失敗: ' + e.message);
+    }
+}
+
+async function importProjectFile(file, mode) {
+    const { project, errors } = parseProjectText(await file.text());
+
+    const structural = errors.filter(e => e.code === 'structure');
+    if (structural.length) {
+        reportImport(structural.map(e => '× ' + e.message));
+        throw new Error(`project validation failed (${structural.length} errors)`);
+    }
+
+    const broken = errors.filter(e => e.code === 'broken_ref');
+    let detachBrokenRefs = false;
+    if (broken.length) {
+        reportImport(broken.map(e => '⚠ ' + e.message));
+        if (!window.confirm(`壊れた参照が ${broken.length} 件あります。参照を外して読み込みますか？`)) return;
+        detachBrokenRefs = true;
+    }
+
+    if (mode === 'replace') {
+        if (REG.all().length && !window.confirm('現在のワークスペースをプロジェクトで置き換えますか？')) return;
+        const { bags, nextId } = prepareProjectBags(project, { detachBrokenRefs });
+        REG.restore({ nextId, bags });
+        resetHistory();
+        appendOpLog(`⇧ Project import (replace): ${bags.length} bags from ${file.name}`);
+    } else {
+        const { bags, nextId, idMap } = prepareProjectBags(project, { firstId: getNextId(), detachBrokenRefs });
+        REG.append(bags, nextId);
+        captureState();
+        const mapping = Array.from(idMap.entries()).map(([from, to]) => `${from}→${to}`).join(', ');
+        appendOpLog(`⇧ Project import (merge): ${bags.length} bags from ${file.name} [${mapping}]`);
+    }
+    applyChoices();
+    renderBags();
+    log(`プロジェクト読み込み OK: ${file.name} (v${project.version})`);
+}
+
 export function initImportPanel() {
     const loadList = async () => {
         const sel = el('#selFile');
         if (!sel) return;
         sel.innerHTML = '';
         try {
-            const files = await listJsonFiles();
-            if (files && files.length) {
-                setSelectOptions(sel, files.map(f => ({ label: f, value: f })));
-                log('一覧: ' + files.length + ' 件');
+            catalog = await loadCatalog();
+            if (catalog.length) {
+                setSelectOptions(sel, catalog.map(c => ({ label: entryLabel(c), value: c.file })));
+                renderCatalog();
+                log('一覧: ' + catalog.length + ' 件');
             } else {
                 log('一覧取得失敗または空');
             }
@@ -81,29 +344,49 @@ export function initImportPanel() {
 
     el('#selFile')?.addEventListener('change', loadSelectedJson);
 
+    el('#catalogSearch')?.addEventListener('input', renderCatalog);
+    el('#btnCatalogLoad')?.addEventListener('click', () => loadCatalogSelection(false));
+    el('#btnCatalogMerge')?.addEventListener('click', () => loadCatalogSelection(true));
+
     el('#filePick')?.addEventListener('change', async (ev) => {
         const f = ev.target.files[0];
         if (!f) return;
         try {
-            const txt = await f.text();
-            const data = parseBagData(txt);
-            addBagFromWords(f.name.replace(/\.json$/i, ''), data.words, {
+            await streamImport(f.name.replace(/\.json$/i, ''), [{ source: f, bytes: f.size }], {
                 from: 'upload',
                 format: 'lemmas'
-            });
-            log(`手動読み込み OK: ${f.name} | 語数=${data.words.length}`);
+            }, keepingAttrs() ? 'all' : null);
+            log(`手動読み込み開始: ${f.name}`);
         } catch (e) {
             log('手動読み込み失敗: ' + e.message);
         }
     });
 
+    el('#btnProjectSelect')?.addEventListener('click', () => el('#projectPick')?.click());
+    el('#projectPick')?.addEventListener('change', async (ev) => {
+        const f = ev.target.files[0];
+        ev.target.value = '';
+        if (!f) return;
+        const mode = el('#selProjectMode')?.value || 'merge';
+        try {
+            await importProjectFile(f, mode);
+        } catch (e) {
+            log('プロジェクト読み込み失敗: ' + e.message);
+            appendOpLog('× Project import: ' + e.message);
+        }
+    });
+
     el('#btnMakeBagFromText')?.addEventListener('click', () => {
         const nameInput = el('#bagNameInput');
         const name = normNFKC(nameInput.value) || 'input bag';
         const area = el('#pasteArea');
-        const words = area.value.split(/\r?\n/).map(s => normNFKC(s)).filter(Boolean);
+        const lines = area.value.split(/\r?\n/);
+        // Counting also reads "word<TAB>count" lines (the TXT export of a counted bag).
+        const words = countingImport()
+            ? parseCountedLines(lines, normNFKC)
+            : lines.map(s => normNFKC(s)).filter(Boolean);
 
-        if (!words.length) {
+        if (!(words.size ?? words.length)) {
             const logEl = el('#importLog');
             if (logEl) logEl.textContent += (logEl.textContent ? '\n' : '') + '空入力';
             return;
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Jobs Panel Logic.
+ * @summary Lists queued / running / finished jobs and controls the scheduler.
+ * @description
+ * Shows every job of the session with its elapsed time, processed count and
+ * throughput, and wires the concurrency setting, priority changes,
+ * pause / cancel of running jobs and retry of failed ones.
+ *
+ * @module ui/panels/jobs
+ * @requires ui/dom
+ * @requires domain/models/job-queue
+ * @requires domain/ops/runner
+ * @exports initJobsPanel
+ */
+
+import { el, log, appendOpLog, escapeHtml } from '../dom.js';
+import { JOBS } from '../../domain/models/job-queue.js';
+import { retryBag } from '../../domain/ops/runner.js';
+
+const STATE_LABELS = {
+    queued: '待機中',
+    running: '実行中',
+    done: '完了',
+    failed: '失敗',
+    cancelled: '中止'
+};
+
+const REFRESH_MS = 1000;
+
+function formatDuration(ms) {
+    if (ms === null || ms === undefined) return '-';
+    const s = Math.floor(ms / 1000);
+    if (s < 60) return `${s}s`;
+    const m = Math.floor(s / 60);
+    return `${m}m${String(s % 60).padStart(2, '0')}s`;
+}
+
+function elapsedOf(job) {
+    if (!job.startedAt) return null;
+    return (job.finishedAt || Date.now()) - job.startedAt;
+}
+
+function throughputOf(job) {
+    const ms = elapsedOf(job);
+    if (!ms || !job.processed) return '-';
+    return `${Math.round(job.processed / (ms / 1000))}/s`;
+}
+
+function stateLabel(job) {
+    if (job.state === 'running' && job.control.paused) return '一時停止';
+    return STATE_LABELS[job.state] || job.state;
+}
+
+function renderJobs() {
+    const host = el('#jobsArea');
+    if (!host) return;
+
+    const jobs = JOBS.all().reverse();
+    const running = JOBS.running().length;
+    const queued = JOBS.queued();
+    const queuePos = new Map(queued.map((j, i) => [j.id, i + 1]));
+
+    const summary = el('#jobsSummary');
+    if (summary) summary.textContent = `実行中 ${running} / 同時実行数 ${JOBS.concurrency}, 待機 ${queued.length}`;
+    const badge = el('#jobsBadge');
+    if (badge) badge.textContent = running + queued.length ? `(${running + queued.length})` : '';
+
+    if (!jobs.length) {
+        host.innerHTML = '<div class="muted small">ジョブはありません</div>';
+        return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'job-table small';
+    table.innerHTML = `
+        <thead><tr>
+            <th>#</th><th>操作</th><th>状態</th><th>優先度</th><th>経過</th><th>件数</th><th>速度</th><th></th>
+        </tr></thead>
+    `;
+    const tbody = document.createElement('tbody');
+
+    for (const job of jobs) {
+        const tr = document.createElement('tr');
+        tr.className = `job-row ${job.state}`;
+        const pos = queuePos.has(job.id) ? ` (${queuePos.get(job.id)})` : '';
+        tr.innerHTML = `
+            <td class="mono">${job.id}</td>
+            <td title="${escapeHtml(job.name)}">${job.bagId !== null ? `[${job.bagId}] ` : ''}${escapeHtml(job.op || job.name)}</td>
+            <td title="${escapeHtml(job.error || '')}">${stateLabel(job)}${pos}</td>
+            <td class="mono">${job.priority}</td>
+            <td class="mono">${formatDuration(elapsedOf(job))}</td>
+            <td class="mono">${job.processed}</td>
+            <td class="mono">${throughputOf(job)}</td>
+            <td class="job-actions"></td>
+        `;
+
+        const actions = tr.querySelector('.job-actions');
+        const addButton = (label, title, onClick, cls = 'ghost') => {
+            const btn = document.createElement('button');
+            btn.className = `btn ${cls} tight`;
+            btn.textContent = label;
+            btn.title = title;
+            btn.addEventListener('click', onClick);
+            actions.appendChild(btn);
+        };
+
+        if (job.state === 'queued') {
+            addButton('↑', '優先度を上げる', () => JOBS.setPriority(job.id, job.priority + 1));
+            addButton('↓', '優先度を下げる', () => JOBS.setPriority(job.id, job.priority - 1));
+        }
+        if (job.state === 'running') {
+            addButton(job.control.paused ? '▶' : '⏸', job.control.paused ? '再開' : '一時停止', () => {
+                if (job.control.paused) job.control.resume();
+                else job.control.pause();
+            });
+        }
+        if (job.state === 'queued' || job.state === 'running') {
+            addButton('⏹', '中止', () => {
+                job.control.cancel();
+                appendOpLog(`⏹ Cancel job #${job.id} [${job.bagId}]`);
+            }, 'warn');
+        }
+        if (job.state === 'failed' && job.bagId !== null) {
+            addButton('↻', 'meta の条件で再試行', () => {
+                try {
+                    const retry = retryBag(job.bagId, { priority: job.priority });
+                    appendOpLog(`↻ Retry [${job.bagId}] → job #${retry.id}`);
+                } catch (e) {
+                    log('Retry failed: ' + e.message);
+                }
+            });
+        }
+
+        tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+    host.innerHTML = '';
+    host.appendChild(table);
+}
+
+export function initJobsPanel() {
+    const concurrencyEl = el('#jobConcurrency');
+    if (concurrencyEl) {
+        JOBS.setConcurrency(concurrencyEl.value);
+        concurrencyEl.addEventListener('change', () => {
+            JOBS.setConcurrency(concurrencyEl.value);
+            concurrencyEl.value = JOBS.concurrency;
+        });
+    }
+
+    el('#btnClearJobs')?.addEventListener('click', () => JOBS.clearFinished());
+
+    JOBS.on('change', renderJobs);
+    // Elapsed time and throughput move while jobs run.
+    setInterval(() => {
+        if (JOBS.running().length) renderJobs();
+    }, REFRESH_MS);
+    renderJobs();
+}
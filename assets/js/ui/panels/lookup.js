@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Lookup Panel Logic.
+ * @summary Shows the dictionary entries of an item and searches glosses.
+ * @description
+ * Looks an item up in the data files (see infra/catalog): every entry with
+ * its file, POS, synset id, glosses and the other lemmas of the entry, which
+ * can be looked up in turn; files that cannot be read are left out and
+ * reported in the log. Double-clicking an item in a bag preview opens
+ * it here (see ui/components/bag-list). The gloss search lists the lemmas
+ * whose glosses mention a text, and can save them as a bag (op 'gloss_search').
+ * With every file selected it searches only the files that have glosses
+ * (see infra/catalog glossFiles), skipping and reporting those it cannot read.
+ *
+ * @module ui/panels/lookup
+ * @requires ui/dom
+ * @requires ui/layout
+ * @requires infra/catalog
+ * @requires domain/ops/glosses
+ * @requires core/entries
+ * @requires store/history
+ * @exports initLookupPanel, openLookup
+ */
+
+import { el, log, appendOpLog, setSelectOptions, getBatchSize, waitFrame } from '../dom.js';
+import { showTab } from '../layout.js';
+import { loadCatalog, glossFiles, loadAllEntries, lookupItem } from '../../infra/catalog.js';
+import { op_gloss_search } from '../../domain/ops/glosses.js';
+import { glossSearch } from '../../core/entries.js';
+import { normNFKC } from '../../core/text.js';
+import { captureState } from '../../store/history.js';
+
+// Lemmas shown by the gloss search preview (the saved bag has them all).
+const GLOSS_PREVIEW_LIMIT = 200;
+
+let catalog = [];
+
+// '' in #selLookupFile means every file.
+function scopeFiles() {
+    const file = el('#selLookupFile')?.value;
+    return file ? [file] : catalog.map(f => f.file);
+}
+
+// Same for the gloss search, where every file means every file with glosses.
+function glossScopeFiles() {
+    const file = el('#selLookupFile')?.value;
+    return file ? [file] : glossFiles(catalog);
+}
+
+function renderEntry(entry) {
+    const box = document.createElement('div');
+    box.className = 'lookup-entry';
+
+    const head = document.createElement('div');
+    head.className = 'inline';
+    const pos = document.createElement('span');
+    pos.className = 'badge';
+    pos.textContent = entry.pos || '-';
+    const id = document.createElement('span');
+    id.className = 'mono small';
+    id.textContent = entry.id;
+    const file = document.createElement('span');
+    file.className = 'muted small';
+    file.textContent = entry.file;
+    head.append(pos, id, file);
+    box.appendChild(head);
+
+    if (entry.glosses.length) {
+        const list = document.createElement('ol');
+        list.className = 'lookup-glosses';
+        for (const g of entry.glosses) {
+            const li = document.createElement('li');
+            li.textContent = g;
+            list.appendChild(li);
+        }
+        box.appendChild(list);
+    } else {
+        const none = document.createElement('div');
+        none.className = 'muted small';
+        none.textContent = '語義なし';
+        box.appendChild(none);
+    }
+
+    if (entry.siblings.length) {
+        const row = document.createElement('div');
+        row.className = 'inline';
+        const label = document.createElement('span');
+        label.className = 'muted small';
+        label.textContent = '同じ項目の語:';
+        row.appendChild(label);
+        for (const s of entry.siblings) {
+            const btn = document.createElement('button');
+            btn.className = 'btn ghost tight';
+            btn.textContent = s;
+            btn.title = 'この語を引く';
+            btn.addEventListener('click', () => openLookup(s));
+            row.appendChild(btn);
+        }
+        box.appendChild(row);
+    }
+    return box;
+}
+
+async function showLookup(item) {
+    const host = el('#lookupArea');
+    const status = el('#lookupStatus');
+    if (!host) return;
+    const needle = normNFKC(item);
+    host.replaceChildren();
+    if (!needle) return;
+    if (status) status.textContent = '検索中…';
+    try {
+        const skipped = [];
+        const entries = await lookupItem(needle, scopeFiles(), {
+            onSkip: (file, e) => {
+                skipped.push(file);
+                log(`辞書の読み込み失敗: ${file}: ${e.message}`);
+            }
+        });
+        host.replaceChildren(...entries.map(renderEntry));
+        if (status) status.textContent = `「${needle}」: ${entries.length} 件${skipped.length ? `（読めないファイル ${skipped.length} 件）` : ''}`;
+    } catch (e) {
+        if (status) status.textContent = '';
+        log('辞書の読み込み失敗: ' + e.message);
+    }
+}
+
+/**
+ * Switches to the Lookup tab and looks the item up.
+ * @param {string} item
+ */
+export function openLookup(item) {
+    showTab('lookup');
+    const input = el('#lookupItem');
+    if (input) input.value = item;
+    showLookup(item);
+}
+
+function glossParams() {
+    return {
+        needle: el('#glossNeedle')?.value || '',
+        mode: el('#selGlossMode')?.value || 'contains'
+    };
+}
+
+export function initLookupPanel() {
+    loadCatalog().then((files) => {
+        catalog = files || [];
+        setSelectOptions(el('#selLookupFile'), [
+            { label: `すべてのファイル (${catalog.length})`, value: '' },
+            ...catalog.map(f => ({ label: f.file, value: f.file }))
+        ]);
+    }).catch((e) => {
+        log('辞書ファイル一覧の取得失敗: ' + e.message);
+    });
+
+    el('#btnLookup')?.addEventListener('click', () => showLookup(el('#lookupItem').value));
+    el('#lookupItem')?.addEventListener('keydown', (ev) => {
+        if (ev.key === 'Enter') showLookup(ev.target.value);
+    });
+
+    el('#btnGlossSearch')?.addEventListener('click', async () => {
+        const out = el('#glossResults');
+        if (!out) return;
+        const { needle, mode } = glossParams();
+        if (!needle.trim()) return;
+        out.textContent = '検索中…';
+        try {
+            const skipped = [];
+            const entries = await loadAllEntries(glossScopeFiles(), null, {
+                onSkip: (file, e) => {
+                    skipped.push(file);
+                    log(`辞書の読み込み失敗: ${file}: ${e.message}`);
+                }
+            });
+            const found = Array.from(await glossSearch(entries, { needle, mode }, { yielder: waitFrame, batchSize: getBatchSize() }));
+            const shown = found.slice(0, GLOSS_PREVIEW_LIMIT).join('\n');
+            const notes = [
+                found.length > GLOSS_PREVIEW_LIMIT ? `先頭 ${GLOSS_PREVIEW_LIMIT} 語` : '',
+                skipped.length ? `読めないファイル ${skipped.length} 件` : ''
+            ].filter(Boolean);
+            out.textContent = `${found.length} 語${notes.length ? `（${notes.join('、')}）` : ''}\n${shown}`;
+        } catch (e) {
+            out.textContent = '';
+            log('Error: ' + e.message);
+        }
+    });
+
+    el('#btnGlossSave')?.addEventListener('click', async () => {
+        const { needle, mode } = glossParams();
+        appendOpLog(`gloss_search(${needle})`);
+        try {
+            const nb = await op_gloss_search(needle, glossScopeFiles(), { mode, hooks: { yielder: waitFrame, batchSize: getBatchSize(), priority: Number(el('#selJobPriority')?.value || 0) } });
+            captureState();
+            appendOpLog(`→ start: [${nb.id}] ${nb.name}`);
+        } catch (e) {
+            log('Error: ' + e.message);
+            appendOpLog('× Error: ' + e.message);
+        }
+    });
+}
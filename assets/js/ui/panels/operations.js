@@ -13,6 +13,7 @@
  * @requires store/history
  * @requires domain/ops/*
  * @requires core/text
+ * @requires core/attrs
  * @exports initOperationsPanel
  */
 
@@ -21,10 +22,16 @@ import { REG } from '../../domain/models/registry.js';
 import { renderBags, applyChoices } from '../components/bag-list.js';
 import { captureState } from '../../store/history.js';
 import { normNFKC } from '../../core/text.js';
+import { valueCounts } from '../../core/attrs.js';
 
 // Import All Ops
 import { op_normalize_hiragana, op_normalize_katakana, op_normalize_romaji } from '../../domain/ops/normalize.js';
-import { op_to_upper, op_to_lower, op_reverse, op_dedupe_chars, op_replace, op_sort } from '../../domain/ops/transform.js';
+import { op_to_upper, op_to_lower, op_reverse, op_dedupe_chars, op_replace, op_sort, op_delete_chars } from '../../domain/ops/transform.js';
+import {
+    op_normalize_spaces, op_strip_punctuation, op_normalize_dashes,
+    op_normalize_kana, op_fingerprint, op_unique_normalized
+} from '../../domain/ops/cleanup.js';
+import { op_take, op_drop, op_slice, op_extract_regex, op_replace_regex, op_replace_map } from '../../domain/ops/rewrite.js';
 import { op_union, op_difference, op_intersection, op_symmetric_difference } from '../../domain/ops/sets.js';
 import {
     op_filter_length, op_filter_prefix, op_filter_suffix, op_filter_contains, op_filter_regex, op_filter_similarity, op_filter_in,
@@ -32,9 +39,11 @@ import {
     op_filter_script, op_filter_unicode_property,
     op_filter_subsequence, op_filter_char_at,
     op_filter_ngram_jaccard, op_filter_hamming,
-    op_filter_pattern_preset
+    op_filter_pattern_preset,
+    op_filter_top_count, op_filter_min_count, op_filter_attr, op_filter_pos
 } from '../../domain/ops/filters.js';
 import { op_ngrams, op_sample, op_cartesian, op_append, op_anagram } from '../../domain/ops/generators.js';
+import { op_expand_synonyms, op_synonym_clusters, op_split_synonym_clusters } from '../../domain/ops/synonyms.js';
 
 /* ====== Generic Runner Wrapper ====== */
 async function runOp(src, desc, action) {
@@ -42,7 +51,13 @@ async function runOp(src, desc, action) {
     appendOpLog(desc);
     try {
         const nb = await action();
-        if (nb) {
+        if (Array.isArray(nb)) {
+            // Operations that create one bag per group
+            applyChoices();
+            renderBags();
+            captureState();
+            appendOpLog(`→ start: ${nb.map(b => `[${b.id}] ${b.name}`).join(', ')}`);
+        } else if (nb) {
             // nb is likely 'processing' status. 
             // REG.add(nb) happens inside runProgressiveOp usually?
             // Checking base.js... Yes, REG.add(bag) is called there.
@@ -58,13 +73,48 @@ async function runOp(src, desc, action) {
     }
 }
 
+// POS checkboxes for the bag chosen in #selSrcPos, rebuilt when that bag changes.
+let posChoicesKey = null;
+function renderPosChoices() {
+    const host = el('#posChoices');
+    if (!host) return;
+    const bag = REG.get(el('#selSrcPos')?.value);
+    const key = bag ? `${bag.id}:${bag.meta.version}` : null;
+    if (key === posChoicesKey) return;
+    posChoicesKey = key;
+    const checked = new Set(Array.from(host.querySelectorAll('input:checked'), ck => ck.value));
+    const counts = valueCounts(bag?.attrs, 'pos');
+    if (!counts.size) {
+        host.textContent = bag ? '品詞の属性がありません' : '';
+        return;
+    }
+    host.replaceChildren(...Array.from(counts, ([pos, n]) => {
+        const label = document.createElement('label');
+        label.className = 'muted small';
+        const ck = document.createElement('input');
+        ck.type = 'checkbox';
+        ck.value = pos;
+        ck.checked = checked.has(pos);
+        label.append(ck, ` ${pos} (${n})`);
+        return label;
+    }));
+}
+
 function getHooks() {
     return {
         yielder: waitFrame,
-        batchSize: getBatchSize()
+        batchSize: getBatchSize(),
+        priority: Number(el('#selJobPriority')?.value || 0),
+        useWorkers: el('#ckUseWorkers')?.checked !== false
     };
 }
 
+// "Bag を正規化" checkbox → the pre-normalization target chosen in the settings, or false.
+function preNorm(checkboxId) {
+    if (!el(checkboxId)?.checked) return false;
+    return el('#selPreNormTarget')?.value || 'hiragana';
+}
+
 export function initOperationsPanel() {
     el('#btnNorm')?.addEventListener('click', () => {
         const src = REG.get(el('#selSrcNorm').value);
@@ -90,62 +140,170 @@ export function initOperationsPanel() {
     /* === Transform === */
     el('#btnUpper')?.addEventListener('click', () => {
         const src = REG.get(el('#selSrcTransform').value);
-        const normBag = el('#ckPreNormTransform').checked;
+        const normBag = preNorm('#ckPreNormTransform');
         runOp(src, `to_upper`, () => op_to_upper(src, { normalizeBefore: normBag, hooks: getHooks() }));
     });
     el('#btnLower')?.addEventListener('click', () => {
         const src = REG.get(el('#selSrcTransform').value);
-        const normBag = el('#ckPreNormTransform').checked;
+        const normBag = preNorm('#ckPreNormTransform');
         runOp(src, `to_lower`, () => op_to_lower(src, { normalizeBefore: normBag, hooks: getHooks() }));
     });
     el('#btnReverse')?.addEventListener('click', () => {
         const src = REG.get(el('#selSrcTransform').value);
-        const normBag = el('#ckPreNormTransform').checked;
+        const normBag = preNorm('#ckPreNormTransform');
         runOp(src, `reverse`, () => op_reverse(src, { normalizeBefore: normBag, hooks: getHooks() }));
     });
     el('#btnDedupe')?.addEventListener('click', () => {
         const src = REG.get(el('#selSrcFormat').value);
-        const normBag = el('#ckPreNormFormat').checked;
+        const normBag = preNorm('#ckPreNormFormat');
         runOp(src, `dedupe_chars`, () => op_dedupe_chars(src, { normalizeBefore: normBag, hooks: getHooks() }));
     });
     el('#btnReplace')?.addEventListener('click', () => {
         const src = REG.get(el('#selSrcFormat').value);
         const fromRaw = el('#replaceFrom').value;
         const toRaw = el('#replaceTo').value || '';
-        const normBag = el('#ckPreNormFormat').checked;
+        const normBag = preNorm('#ckPreNormFormat');
         runOp(src, `replace`, () => op_replace(src, fromRaw, toRaw, { normalizeBefore: normBag, hooks: getHooks() }));
     });
+    const sortOptions = () => {
+        const mode = el('#selSortMode')?.value || 'locale';
+        const collation = mode === 'collation' ? {
+            sensitivity: el('#selSortSensitivity')?.value || 'variant',
+            numeric: !!el('#ckSortNumeric')?.checked,
+            ignorePunctuation: !!el('#ckSortIgnorePunct')?.checked
+        } : null;
+        return { mode, collation, normalizeBefore: preNorm('#ckPreNormFormat'), hooks: getHooks() };
+    };
     el('#btnSortAsc')?.addEventListener('click', () => {
         const src = REG.get(el('#selSrcFormat').value);
-        const normBag = el('#ckPreNormFormat').checked;
-        runOp(src, `sort asc`, () => op_sort(src, 'asc', { normalizeBefore: normBag, hooks: getHooks() }));
+        const opts = sortOptions();
+        runOp(src, `sort ${opts.mode} asc`, () => op_sort(src, 'asc', opts));
     });
     el('#btnSortDesc')?.addEventListener('click', () => {
         const src = REG.get(el('#selSrcFormat').value);
-        const normBag = el('#ckPreNormFormat').checked;
-        runOp(src, `sort desc`, () => op_sort(src, 'desc', { normalizeBefore: normBag, hooks: getHooks() }));
+        const opts = sortOptions();
+        runOp(src, `sort ${opts.mode} desc`, () => op_sort(src, 'desc', opts));
+    });
+
+    /* === Cleanup === */
+    const cleanSrc = () => REG.get(el('#selSrcClean').value);
+    el('#btnSpaces')?.addEventListener('click', () => {
+        const src = cleanSrc();
+        const mode = el('#selSpaceMode')?.value || 'remove';
+        runOp(src, `spaces ${mode}`, () => op_normalize_spaces(src, mode, { normalizeBefore: preNorm('#ckPreNormClean'), hooks: getHooks() }));
+    });
+    el('#btnStripPunct')?.addEventListener('click', () => {
+        const src = cleanSrc();
+        const removeSymbols = !!el('#ckCleanSymbols')?.checked;
+        runOp(src, `strip punctuation`, () => op_strip_punctuation(src, { removeSymbols, normalizeBefore: preNorm('#ckPreNormClean'), hooks: getHooks() }));
+    });
+    el('#btnFingerprint')?.addEventListener('click', () => {
+        const src = cleanSrc();
+        const removeSymbols = !!el('#ckCleanSymbols')?.checked;
+        runOp(src, `fingerprint`, () => op_fingerprint(src, { removeSymbols, normalizeBefore: preNorm('#ckPreNormClean'), hooks: getHooks() }));
+    });
+    el('#btnDashes')?.addEventListener('click', () => {
+        const src = cleanSrc();
+        const dash = el('#dashChar')?.value ?? '-';
+        const tilde = el('#tildeChar')?.value ?? '~';
+        runOp(src, `dashes`, () => op_normalize_dashes(src, { dash, tilde, normalizeBefore: preNorm('#ckPreNormClean'), hooks: getHooks() }));
+    });
+    el('#btnKanaClean')?.addEventListener('click', () => {
+        const src = cleanSrc();
+        const to = el('#selKanaTo')?.value || null;
+        const smallToLarge = !!el('#ckKanaSmall')?.checked;
+        const removeVoicingMarks = !!el('#ckKanaVoicing')?.checked;
+        if (!to && !smallToLarge && !removeVoicingMarks) return log('かな整形の内容を選択してください');
+        runOp(src, `kana cleanup`, () => op_normalize_kana(src, { to, smallToLarge, removeVoicingMarks, normalizeBefore: preNorm('#ckPreNormClean'), hooks: getHooks() }));
+    });
+    el('#btnUniqueNfkc')?.addEventListener('click', () => {
+        const src = cleanSrc();
+        runOp(src, `unique nfkc`, () => op_unique_normalized(src, { normalizeBefore: preNorm('#ckPreNormClean'), hooks: getHooks() }));
+    });
+
+    /* === Substring / rewrite === */
+    const rewriteSrc = () => REG.get(el('#selSrcRewrite').value);
+    const rewriteOpts = () => ({ normalizeBefore: preNorm('#ckPreNormRewrite'), hooks: getHooks() });
+    el('#btnTake')?.addEventListener('click', () => {
+        const src = rewriteSrc();
+        const n = el('#cutN').value;
+        runOp(src, `take ${n}`, () => op_take(src, n, rewriteOpts()));
+    });
+    el('#btnDrop')?.addEventListener('click', () => {
+        const src = rewriteSrc();
+        const n = el('#cutN').value;
+        runOp(src, `drop ${n}`, () => op_drop(src, n, rewriteOpts()));
+    });
+    el('#btnSlice')?.addEventListener('click', () => {
+        const src = rewriteSrc();
+        const start = el('#sliceStart').value || 0;
+        const end = el('#sliceEnd').value;
+        runOp(src, `slice ${start}:${end}`, () => op_slice(src, start, end, rewriteOpts()));
+    });
+    el('#btnExtractRegex')?.addEventListener('click', () => {
+        const src = rewriteSrc();
+        const pattern = el('#rewritePattern').value;
+        const flags = el('#extractFlags')?.value || '';
+        const group = el('#rewriteGroup').value || 0;
+        runOp(src, `extract /${pattern}/`, () => op_extract_regex(src, pattern, { group, flags, ...rewriteOpts() }));
+    });
+    el('#btnReplaceRegex')?.addEventListener('click', () => {
+        const src = rewriteSrc();
+        const pattern = el('#rewritePattern').value;
+        const flags = el('#rewriteFlags').value || '';
+        const to = el('#rewriteTo').value || '';
+        runOp(src, `replace /${pattern}/`, () => op_replace_regex(src, pattern, to, { flags, ...rewriteOpts() }));
+    });
+    el('#btnReplaceMap')?.addEventListener('click', () => {
+        const src = rewriteSrc();
+        const tsv = el('#replaceMapTsv').value || '';
+        const mapBag = REG.get(el('#selMapBag').value);
+        runOp(src, `replace map`, () => op_replace_map(src, { mapBag, tsv }, rewriteOpts()));
+    });
+
+    /* === Delete chars === */
+    el('#btnDel')?.addEventListener('click', () => {
+        const src = REG.get(el('#selSrcDel').value);
+        const charsRaw = el('#delChars').value || '';
+        const classes = [
+            ['#ckDelPunct', 'punctuation'],
+            ['#ckDelSymbol', 'symbols'],
+            ['#ckDelVoicing', 'voicing'],
+            ['#ckDelSmall', 'small_kana'],
+            ['#ckDelLong', 'long_vowel']
+        ].filter(([id]) => el(id)?.checked).map(([, name]) => name);
+        if (!normNFKC(charsRaw) && !classes.length) return log('削除する文字か文字クラスを指定してください');
+        const opts = {
+            classes,
+            hiraganaChars: !!el('#ckNormDel')?.checked,
+            dropConflicts: !!el('#ckDelDropConflicts')?.checked,
+            normalizeBefore: preNorm('#ckPreNormDel'),
+            hooks: getHooks()
+        };
+        runOp(src, `delete chars`, () => op_delete_chars(src, charsRaw, opts));
     });
 
     /* === Sets === */
     el('#btnUnion')?.addEventListener('click', () => {
         const a = REG.get(el('#selSrcUnionA').value);
         const b = REG.get(el('#selSrcUnionB').value);
-        if (a && b) runOp(a, `union`, () => op_union(a, b, { hooks: getHooks() }));
+        const countMode = el('#selCountMode')?.value || 'sum';
+        if (a && b) runOp(a, `union`, () => op_union(a, b, { countMode, normalizeBefore: preNorm('#ckPreNormUnion'), hooks: getHooks() }));
     });
     el('#btnDiff')?.addEventListener('click', () => {
         const a = REG.get(el('#selSrcUnionA').value);
         const b = REG.get(el('#selSrcUnionB').value);
-        if (a && b) runOp(a, `diff`, () => op_difference(a, b, { hooks: getHooks() }));
+        if (a && b) runOp(a, `diff`, () => op_difference(a, b, { normalizeBefore: preNorm('#ckPreNormUnion'), hooks: getHooks() }));
     });
     el('#btnIntersect')?.addEventListener('click', () => {
         const a = REG.get(el('#selSrcUnionA').value);
         const b = REG.get(el('#selSrcUnionB').value);
-        if (a && b) runOp(a, `intersect`, () => op_intersection(a, b, { hooks: getHooks() }));
+        if (a && b) runOp(a, `intersect`, () => op_intersection(a, b, { normalizeBefore: preNorm('#ckPreNormUnion'), hooks: getHooks() }));
     });
     el('#btnSymDiff')?.addEventListener('click', () => {
         const a = REG.get(el('#selSrcUnionA').value);
         const b = REG.get(el('#selSrcUnionB').value);
-        if (a && b) runOp(a, `sym_diff`, () => op_symmetric_difference(a, b, { hooks: getHooks() }));
+        if (a && b) runOp(a, `sym_diff`, () => op_symmetric_difference(a, b, { normalizeBefore: preNorm('#ckPreNormUnion'), hooks: getHooks() }));
     });
 
     /* === Filters === */
@@ -153,32 +311,32 @@ export function initOperationsPanel() {
         const src = REG.get(el('#selSrcLen').value);
         const min = Math.max(0, parseInt(el('#lenMin').value, 10) || 0);
         const max = Math.max(min, parseInt(el('#lenMax').value, 10) || min);
-        const normBag = el('#ckPreNormLen').checked;
+        const normBag = preNorm('#ckPreNormLen');
         runOp(src, `length[${min}-${max}]`, () => op_filter_length(src, min, max, { normalizeBefore: normBag, hooks: getHooks() }));
     });
     el('#btnPrefix')?.addEventListener('click', () => {
         const src = REG.get(el('#selSrcAffix').value);
         const val = el('#prefixValue').value;
-        const normBag = el('#ckPreNormAffix').checked;
+        const normBag = preNorm('#ckPreNormAffix');
         runOp(src, `prefix`, () => op_filter_prefix(src, val, { normalizeBefore: normBag, hooks: getHooks() }));
     });
     el('#btnSuffix')?.addEventListener('click', () => {
         const src = REG.get(el('#selSrcAffix').value);
         const val = el('#suffixValue').value;
-        const normBag = el('#ckPreNormAffix').checked;
+        const normBag = preNorm('#ckPreNormAffix');
         runOp(src, `suffix`, () => op_filter_suffix(src, val, { normalizeBefore: normBag, hooks: getHooks() }));
     });
     el('#btnContains')?.addEventListener('click', () => {
         const src = REG.get(el('#selSrcContains').value);
         const val = el('#containsValue').value;
-        const normBag = el('#ckPreNormContains').checked;
+        const normBag = preNorm('#ckPreNormContains');
         runOp(src, `contains`, () => op_filter_contains(src, val, { normalizeBefore: normBag, hooks: getHooks() }));
     });
     el('#btnRegex')?.addEventListener('click', () => {
         const src = REG.get(el('#selSrcRegex').value);
         const pat = el('#regexPattern').value;
         const inv = el('#regexInvert').checked;
-        const normBag = el('#ckPreNormRegex').checked;
+        const normBag = preNorm('#ckPreNormRegex');
         runOp(src, `regex`, () => op_filter_regex(src, pat, inv, { normalizeBefore: normBag, hooks: getHooks() }));
     });
     el('#btnSimilarity')?.addEventListener('click', () => {
@@ -188,15 +346,15 @@ export function initOperationsPanel() {
         const target = el(kTarget).value;
         const dist = parseFloat(el(kDist).value) || 2; // Allow float for Jaro/Dice
         const metric = el('#selSimilarityMetric')?.value || 'levenshtein';
-        const normBag = el('#ckPreNormSimilarity').checked;
+        const normBag = preNorm('#ckPreNormSimilarity');
         runOp(src, `similarity`, () => op_filter_similarity(src, target, dist, { normalizeBefore: normBag, metric, hooks: getHooks() }));
     });
     el('#btnFlt')?.addEventListener('click', () => {
         const src = REG.get(el('#selSrcFlt').value);
         const lkp = REG.get(el('#selLkpFlt').value);
         if (!src || !lkp) return;
-        const normSrc = el('#ckPreNormFltSrc').checked;
-        const normLookup = el('#ckPreNormFltLookup').checked;
+        const normSrc = preNorm('#ckPreNormFltSrc');
+        const normLookup = preNorm('#ckPreNormFltLookup');
         runOp(src, `filter_in`, () => op_filter_in(src, lkp, { normalizeSrc: normSrc, normalizeLookup: normLookup, hooks: getHooks() }));
     });
 
@@ -207,13 +365,13 @@ export function initOperationsPanel() {
         const src = REG.get(el('#selSrcAdv').value);
         const preset = el('#selPreset').value;
         const invert = el('#presetInvert').checked;
-        const normBag = el('#ckPreNormAdv').checked;
+        const normBag = preNorm('#ckPreNormAdv');
         runOp(src, `preset(${preset})`, () => op_filter_pattern_preset(src, preset, invert, { normalizeBefore: normBag, hooks: getHooks() }));
     });
     el('#btnScript')?.addEventListener('click', () => {
         const src = REG.get(el('#selSrcAdv').value);
         const script = el('#scriptName').value;
-        // const normBag = el('#ckPreNormAdv').checked;
+        // const normBag = preNorm('#ckPreNormAdv');
         runOp(src, `script(${script})`, () => op_filter_script(src, script, false, { hooks: getHooks() }));
     });
     el('#btnUniProp')?.addEventListener('click', () => {
@@ -257,14 +415,66 @@ export function initOperationsPanel() {
     el('#btnNgram')?.addEventListener('click', () => {
         const src = REG.get(el('#selSrcNgram').value);
         const n = Math.max(1, parseInt(el('#ngramN').value, 10) || 2);
-        const normBag = el('#ckPreNormNgram').checked;
-        runOp(src, `ngram(${n})`, () => op_ngrams(src, n, { normalizeBefore: normBag, hooks: getHooks() }));
+        const normBag = preNorm('#ckPreNormNgram');
+        const count = !!el('#ckNgramCount')?.checked;
+        runOp(src, `ngram(${n})`, () => op_ngrams(src, n, { count, normalizeBefore: normBag, hooks: getHooks() }));
+    });
+    /* === Frequency (counted bags) === */
+    el('#btnFreqTop')?.addEventListener('click', () => {
+        const src = REG.get(el('#selSrcFreq').value);
+        const n = Math.max(1, parseInt(el('#freqTopN').value, 10) || 100);
+        runOp(src, `top(${n})`, () => op_filter_top_count(src, n, { hooks: getHooks() }));
+    });
+    el('#btnFreqMin')?.addEventListener('click', () => {
+        const src = REG.get(el('#selSrcFreq').value);
+        const min = Math.max(1, parseInt(el('#freqMin').value, 10) || 2);
+        runOp(src, `count≥${min}`, () => op_filter_min_count(src, min, { hooks: getHooks() }));
+    });
+    /* === Synonyms (WordNet) === */
+    el('#btnSynExpand')?.addEventListener('click', () => {
+        const src = REG.get(el('#selSrcSyn').value);
+        const lkp = REG.get(el('#selSynLookup').value);
+        if (!src || !lkp) return;
+        const hops = Math.max(1, parseInt(el('#synHops').value, 10) || 1);
+        runOp(src, `synonyms(${hops})`, () => op_expand_synonyms(src, lkp, { hops, hooks: getHooks() }));
     });
+    el('#btnSynCluster')?.addEventListener('click', () => {
+        const src = REG.get(el('#selSrcSyn').value);
+        const lkp = REG.get(el('#selSynLookup').value);
+        if (!src || !lkp) return;
+        if (el('#selSynClusterMode')?.value === 'split') {
+            const minSize = Math.max(1, parseInt(el('#synMinSize').value, 10) || 2);
+            const maxBags = Math.max(1, parseInt(el('#synMaxBags').value, 10) || 20);
+            runOp(src, `clusters → bags`, () => op_split_synonym_clusters(src, lkp, { minSize, maxBags, hooks: getHooks() }));
+        } else {
+            runOp(src, `clusters`, () => op_synonym_clusters(src, lkp, { hooks: getHooks() }));
+        }
+    });
+    /* === POS === */
+    el('#selSrcPos')?.addEventListener('change', renderPosChoices);
+    // After the bag list has refilled the selects (see ui/components/bag-list).
+    REG.on('change', () => queueMicrotask(renderPosChoices));
+    el('#btnPosFilter')?.addEventListener('click', () => {
+        const src = REG.get(el('#selSrcPos').value);
+        const pos = Array.from(document.querySelectorAll('#posChoices input:checked'), ck => ck.value);
+        const match = el('#selPosMatch')?.value || 'any';
+        const invert = !!el('#ckPosInvert')?.checked;
+        runOp(src, `pos(${pos.join(',')})`, () => op_filter_pos(src, pos, { match, invert, hooks: getHooks() }));
+    });
+    /* === Attributes === */
+    el('#btnAttrFilter')?.addEventListener('click', () => {
+        const src = REG.get(el('#selSrcAttr').value);
+        const key = el('#selAttrKey')?.value || 'glosses';
+        const mode = el('#selAttrMode')?.value || 'contains';
+        const invert = !!el('#ckAttrInvert')?.checked;
+        runOp(src, `attr(${key})`, () => op_filter_attr(src, key, el('#attrNeedle').value, { mode, invert, hooks: getHooks() }));
+    });
+
     el('#btnSample')?.addEventListener('click', () => {
         const src = REG.get(el('#selSrcSample').value);
         const count = Math.max(1, parseInt(el('#sampleCount').value, 10) || 20);
         const seed = el('#sampleSeed').value;
-        const normBag = el('#ckPreNormSample').checked;
+        const normBag = preNorm('#ckPreNormSample');
         runOp(src, `sample`, () => op_sample(src, count, seed, { normalizeBefore: normBag, hooks: getHooks() }));
     });
     el('#btnCartesian')?.addEventListener('click', () => {
@@ -272,19 +482,19 @@ export function initOperationsPanel() {
         const b = REG.get(el('#selSrcCartesianB').value);
         const sep = el('#cartesianSep') ? el('#cartesianSep').value : el('#cartesianJoiner').value;
         const limit = parseInt(el('#cartesianLimit').value, 10) || 10000;
-        const normBag = el('#ckPreNormCartesian').checked;
+        const normBag = preNorm('#ckPreNormCartesian');
         runOp(a, `cartesian`, () => op_cartesian(a, b, sep, limit, { normalizeBefore: normBag, hooks: getHooks() }));
     });
     el('#btnAppend')?.addEventListener('click', () => {
         const src = REG.get(el('#selSrcAppend').value);
         const pre = el('#appendPrefix').value || '';
         const suf = el('#appendSuffix').value || '';
-        const normBag = el('#ckPreNormAppend').checked;
+        const normBag = preNorm('#ckPreNormAppend');
         runOp(src, `append`, () => op_append(src, pre, suf, { normalizeBefore: normBag, hooks: getHooks() }));
     });
     el('#btnAnagram')?.addEventListener('click', () => {
         const src = REG.get(el('#selSrcAnagram').value);
-        const normBag = el('#ckPreNormAnagram').checked;
+        const normBag = preNorm('#ckPreNormAnagram');
         runOp(src, `anagram`, () => op_anagram(src, { normalizeBefore: normBag, hooks: getHooks() }));
     });
 }
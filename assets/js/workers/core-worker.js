@@ -0,0 +1,101 @@
+/*
+ * Core function worker (module worker)
+ * Runs a named core/* function on one shard of the input for infra/worker-pool,
+ * streaming results, rejected items and progress back, and honouring cancel /
+ * pause messages.
+ */
+
+import { resolveCore } from '../core/registry.js';
+
+// Per-task control state, updated by 'cancel' / 'pause' / 'resume' messages.
+const controls = new Map();
+// Minimum interval between 'progress' messages.
+const PROGRESS_INTERVAL_MS = 100;
+
+function yieldToMessages() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+function makeControl(id) {
+    const state = { paused: false, cancelled: false, waiters: [] };
+    const control = {
+        get paused() { return state.paused; },
+        async checkpoint() {
+            while (state.paused && !state.cancelled) {
+                await new Promise(resolve => state.waiters.push(resolve));
+            }
+            if (state.cancelled) {
+                const err = new Error('Cancelled');
+                err.name = 'AbortError';
+                throw err;
+            }
+        }
+    };
+    const release = () => {
+        const waiters = state.waiters;
+        state.waiters = [];
+        waiters.forEach(resolve => resolve());
+    };
+    controls.set(id, { state, release });
+    return control;
+}
+
+function handleControl(id, type) {
+    const entry = controls.get(id);
+    if (!entry) return;
+    if (type === 'cancel') entry.state.cancelled = true;
+    else if (type === 'pause') entry.state.paused = true;
+    else if (type === 'resume') entry.state.paused = false;
+    if (type !== 'pause') entry.release();
+}
+
+self.onmessage = async (event) => {
+    const { id, type, fn, items, params, batchSize = 500, dropReason = null } = event.data || {};
+    if (type === 'cancel' || type === 'pause' || type === 'resume') {
+        handleControl(id, type);
+        return;
+    }
+    if (type !== 'run' || !id) return;
+
+    const control = makeControl(id);
+    let lastProgressAt = 0;
+    // [item, reason] pairs, sent along with the next chunk or at the end.
+    let rejects = [];
+    const flushRejects = () => {
+        if (!rejects.length) return;
+        self.postMessage({ id, type: 'rejects', rejects });
+        rejects = [];
+    };
+    try {
+        const coreFn = resolveCore(fn);
+        await coreFn(items, params, {
+            batchSize,
+            dropReason,
+            // Macrotask yields let control messages through between batches.
+            yielder: yieldToMessages,
+            onChunk: chunk => {
+                flushRejects();
+                self.postMessage({ id, type: 'chunk', chunk });
+            },
+            onReject: (item, reason) => rejects.push([item, reason]),
+            onProgress: done => {
+                const now = Date.now();
+                if (now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+                lastProgressAt = now;
+                self.postMessage({ id, type: 'progress', done });
+            },
+            control
+        });
+        flushRejects();
+        self.postMessage({ id, type: 'done', done: items.length });
+    } catch (err) {
+        flushRejects();
+        if (err?.name === 'AbortError') {
+            self.postMessage({ id, type: 'cancelled' });
+        } else {
+            self.postMessage({ id, type: 'error', message: err?.message || String(err) });
+        }
+    } finally {
+        controls.delete(id);
+    }
+};
@@ -2,29 +2,41 @@
  * Kana normalization worker
  * Offloads heavy Kuroshiro conversions to a dedicated thread so the main UI
  * remains responsive even when handling 100k+ items.
+ * Several instances run side by side (see infra/hiragana-worker-client); each
+ * converts one shard and answers with readings aligned to its input positions,
+ * along with how each one was produced and why failed ones failed.
  */
 
-// Load dependencies in the worker scope (best-effort; fall back to built-ins if blocked)
+// Library URLs and dictionary paths come with each request (see infra/lib-config);
+// each library is taken from the first candidate that loads.
+let libsLoaded = false;
+let libsTried = false;
+let dictPaths = [];
+let kuroInstance = null;
+let kuroInitPromise = null;
+
 function tryImportScripts(urls) {
-    try {
-        importScripts(...urls);
-        return true;
-    } catch (err) {
-        // Swallow network errors so we can still run with fallbacks.
-        console.warn('[hiragana-worker] importScripts failed, using fallbacks only', err);
-        return false;
+    for (const url of urls) {
+        try {
+            importScripts(url);
+            return true;
+        } catch (err) {
+            // Swallow network errors so we can still run with fallbacks.
+            console.warn(`[hiragana-worker] importScripts failed for ${url}`, err);
+        }
     }
+    return false;
 }
 
-const libsLoaded = tryImportScripts([
-    'https://cdn.jsdelivr.net/npm/wanakana@5.0.2/dist/wanakana.min.js',
-    'https://cdn.jsdelivr.net/npm/kuroshiro@1.2.0/dist/kuroshiro.min.js',
-    'https://cdn.jsdelivr.net/npm/kuroshiro-analyzer-kuromoji@1.1.0/dist/kuroshiro-analyzer-kuromoji.min.js'
-]);
-
-const KUROMOJI_DICT = 'https://cdn.jsdelivr.net/npm/kuromoji@0.1.2/dict/';
-let kuroInstance = null;
-let kuroInitPromise = null;
+function loadLibs(libs) {
+    if (libsTried) return;
+    libsTried = true;
+    const scripts = libs?.scripts || [];
+    dictPaths = libs?.dictPaths || [];
+    // Kuroshiro needs every script; wanakana alone still serves the fallback path.
+    libsLoaded = scripts.map(tryImportScripts).every(Boolean) && scripts.length > 0;
+    if (!libsLoaded) console.warn('[hiragana-worker] Libraries incomplete, using fallbacks only');
+}
 
 function normNFKC(value) {
     return (value || '').normalize('NFKC').trim();
@@ -40,6 +52,15 @@ function katakanaToHiragana(value) {
     });
 }
 
+/**
+ * Name of the backend that converts Han strings in this worker.
+ * @returns {'kuroshiro'|'wanakana'|'kana-shift'}
+ */
+function backendName() {
+    if (kuroInstance) return 'kuroshiro';
+    return self.wanakana ? 'wanakana' : 'kana-shift';
+}
+
 function fallbackConvert(value, target) {
     const wk = self.wanakana;
     if (!wk) {
@@ -66,7 +87,7 @@ function shouldUseKuroshiro(value) {
 }
 
 async function ensureKuro() {
-    // If CDN scripts failed, skip Kuroshiro initialization entirely.
+    // If the scripts failed to load, skip Kuroshiro initialization entirely.
     if (!libsLoaded) return null;
     if (kuroInstance) return kuroInstance;
     if (kuroInitPromise) return kuroInitPromise;
@@ -85,10 +106,18 @@ async function ensureKuro() {
                 return null;
             }
 
-            const k = new KuroshiroConstructor();
-            await k.init(new Analyzer({ dictPath: KUROMOJI_DICT }));
-            kuroInstance = k;
-            return k;
+            for (const dictPath of dictPaths) {
+                try {
+                    const k = new KuroshiroConstructor();
+                    await k.init(new Analyzer({ dictPath }));
+                    kuroInstance = k;
+                    return k;
+                } catch (err) {
+                    console.warn(`[hiragana-worker] Dictionary not usable at ${dictPath}`, err);
+                }
+            }
+            console.warn('[hiragana-worker] No Kuromoji dictionary; fallback path only');
+            return null;
         } catch (err) {
             console.warn('[hiragana-worker] Kuroshiro init failed; fallback path only', err);
             return null;
@@ -98,51 +127,129 @@ async function ensureKuro() {
     return kuroInitPromise;
 }
 
+/**
+ * Converts one item and tells how: 'kuroshiro' (analyzed), 'direct' (no Han
+ * characters, converted character by character) or 'fallback' (has Han
+ * characters but Kuroshiro is unavailable or failed, so they stay as they are).
+ * @returns {Promise<{reading: string, via: string}>}
+ */
 async function convert(value, target) {
     const base = normNFKC(value);
-    if (!base) return '';
+    if (!base) return { reading: '', via: 'direct' };
 
     // Use light-weight path when possible
     if (!shouldUseKuroshiro(base)) {
-        return fallbackConvert(base, target);
+        return { reading: fallbackConvert(base, target), via: 'direct' };
     }
 
     try {
         const k = await ensureKuro();
         if (k) {
-            return await k.convert(base, { to: target, mode: 'spaced' });
+            return { reading: await k.convert(base, { to: target, mode: 'spaced' }), via: 'kuroshiro' };
         }
     } catch (err) {
         // Fall back to wanakana if Kuroshiro fails mid-stream
         console.warn('[hiragana-worker] Kuroshiro convert failed, fallback to wanakana', err);
     }
-    return fallbackConvert(base, target);
+    return { reading: fallbackConvert(base, target), via: 'fallback' };
+}
+
+// Per-request control state, updated by 'cancel' / 'pause' / 'resume' messages.
+const controls = new Map();
+// Control messages are only seen when the loop yields a macrotask.
+const CONTROL_CHECK_EVERY = 200;
+// Minimum interval between 'progress' messages.
+const PROGRESS_INTERVAL_MS = 250;
+
+function yieldToMessages() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+async function waitWhilePaused(state) {
+    while (state.paused && !state.cancelled) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+function handleControl(id, type) {
+    const state = controls.get(id);
+    if (!state) return;
+    if (type === 'cancel') state.cancelled = true;
+    else if (type === 'pause') state.paused = true;
+    else if (type === 'resume') state.paused = false;
 }
 
 self.onmessage = async (event) => {
-    const { id, items, target = 'hiragana', chunkSize = 2000 } = event.data || {};
+    const { id, type, items, target = 'hiragana', chunkSize = 2000, libs } = event.data || {};
+    if (type === 'cancel' || type === 'pause' || type === 'resume') {
+        handleControl(id, type);
+        return;
+    }
     if (!id || !items) return;
 
+    const state = { cancelled: false, paused: false };
+    controls.set(id, state);
+
     try {
+        loadLibs(libs);
+        // Initialize up front so every message reports the backend actually used.
+        await ensureKuro();
+        const backend = backendName();
+
+        // readings[i] / vias[i] belong to items[start + i]. An item that converts
+        // to nothing or throws gets reading '', via 'failed' and an entry in
+        // failures ([i, reason]).
         const buffer = [];
+        let vias = [];
+        let failures = [];
         let processed = 0;
+        let lastProgressAt = 0;
+        const flush = () => {
+            if (!buffer.length) return;
+            self.postMessage({ id, type: 'chunk', start: processed - buffer.length, readings: buffer.slice(), vias, failures, processed, backend });
+            buffer.length = 0;
+            vias = [];
+            failures = [];
+        };
+
         for (const raw of items) {
-            const converted = await convert(raw, target);
-            if (converted) buffer.push(converted.replace(/\s+/g, ''));
-            processed += 1;
+            if (processed % CONTROL_CHECK_EVERY === 0) {
+                const now = Date.now();
+                if (now - lastProgressAt >= PROGRESS_INTERVAL_MS) {
+                    self.postMessage({ id, type: 'progress', processed });
+                    lastProgressAt = now;
+                }
+                await yieldToMessages();
+                if (state.paused) {
+                    flush();
+                    await waitWhilePaused(state);
+                }
+                if (state.cancelled) break;
+            }
 
-            if (buffer.length >= chunkSize) {
-                self.postMessage({ id, type: 'chunk', chunk: buffer.slice(), processed });
-                buffer.length = 0;
+            let reading = '';
+            let via = 'failed';
+            try {
+                const converted = await convert(raw, target);
+                reading = converted.reading ? converted.reading.replace(/\s+/g, '') : '';
+                if (reading) via = converted.via;
+                else failures.push([buffer.length, 'empty reading']);
+            } catch (err) {
+                failures.push([buffer.length, `error: ${err?.message || err}`]);
             }
-        }
+            buffer.push(reading);
+            vias.push(via);
+            processed += 1;
 
-        if (buffer.length) {
-            self.postMessage({ id, type: 'chunk', chunk: buffer.slice(), processed });
+            if (buffer.length >= chunkSize) flush();
         }
 
-        self.postMessage({ id, type: 'done', processed });
+        flush();
+
+        self.postMessage({ id, type: state.cancelled ? 'cancelled' : 'done', processed, backend });
     } catch (err) {
         self.postMessage({ id, type: 'error', message: err?.message || String(err) });
+    } finally {
+        controls.delete(id);
     }
 };
@@ -0,0 +1,98 @@
+/*
+ * JSON stream worker (module worker)
+ * Reads one bag file for infra/json-stream-client: downloads it (or reads the
+ * uploaded file), splits, normalizes and dedupes its entries with
+ * core/json-stream, and streams items, counts, attribute records and byte
+ * progress back, honouring cancel / pause messages.
+ */
+
+import { readBagStream, textPieces } from '../core/json-stream.js';
+
+// Per-request control state, updated by 'cancel' / 'pause' / 'resume' messages.
+const controls = new Map();
+// Minimum interval between 'progress' messages.
+const PROGRESS_INTERVAL_MS = 100;
+
+function yieldToMessages() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+function makeControl(id) {
+    const state = { paused: false, cancelled: false, waiters: [] };
+    const control = {
+        get paused() { return state.paused; },
+        async checkpoint() {
+            while (state.paused && !state.cancelled) {
+                await new Promise(resolve => state.waiters.push(resolve));
+            }
+            if (state.cancelled) {
+                const err = new Error('Cancelled');
+                err.name = 'AbortError';
+                throw err;
+            }
+        }
+    };
+    const release = () => {
+        const waiters = state.waiters;
+        state.waiters = [];
+        waiters.forEach(resolve => resolve());
+    };
+    controls.set(id, { state, release });
+    return control;
+}
+
+function handleControl(id, type) {
+    const entry = controls.get(id);
+    if (!entry) return;
+    if (type === 'cancel') entry.state.cancelled = true;
+    else if (type === 'pause') entry.state.paused = true;
+    else if (type === 'resume') entry.state.paused = false;
+    if (type !== 'pause') entry.release();
+}
+
+self.onmessage = async (event) => {
+    const { id, type, source, options } = event.data || {};
+    if (type === 'cancel' || type === 'pause' || type === 'resume') {
+        handleControl(id, type);
+        return;
+    }
+    if (type !== 'run' || !id) return;
+
+    const control = makeControl(id);
+    let lastProgressAt = 0;
+    let bytes = 0;
+    let total = 0;
+    try {
+        // A URL (resolved by the client) or a File / Blob
+        let response = source;
+        if (typeof source === 'string') {
+            response = await fetch(source, { cache: 'no-cache' });
+            if (!response.ok) throw new Error('HTTP ' + response.status);
+        }
+        const pieces = textPieces(response, (read, size) => {
+            bytes = read;
+            total = size;
+            const now = Date.now();
+            if (now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+            lastProgressAt = now;
+            self.postMessage({ id, type: 'progress', done: bytes, total });
+        });
+        const { entries, words } = await readBagStream(pieces, options || {}, {
+            // Macrotask yields let control messages through between pieces.
+            yielder: yieldToMessages,
+            onChunk: items => self.postMessage({ id, type: 'chunk', items }),
+            onCounts: pairs => self.postMessage({ id, type: 'counts', pairs }),
+            onAttrs: pairs => self.postMessage({ id, type: 'attrs', pairs }),
+            control
+        });
+        self.postMessage({ id, type: 'done', done: bytes, total, entries, words });
+    } catch (err) {
+        if (err?.name === 'AbortError') {
+            self.postMessage({ id, type: 'cancelled' });
+        } else {
+            self.postMessage({ id, type: 'error', message: err?.message || String(err) });
+        }
+    } finally {
+        controls.delete(id);
+    }
+};